@@ -1,5 +1,25 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+
+// Función para obtener el usuario a partir de un access token
+// Devuelve null si el usuario no existe o si el token fue revocado
+const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Los tokens con propósito (ej: challenge de 2FA) no sirven como access token
+  if (decoded.purpose) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    return null;
+  }
+
+  return user;
+};
 
 // Middleware para verificar token JWT
 const authMiddleware = async (req, res, next) => {
@@ -14,16 +34,13 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    // Verificar el token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Buscar el usuario
-    const user = await User.findById(decoded.id).select('-password');
+    // Verificar el token y buscar el usuario
+    const user = await getUserFromToken(token);
     
     if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'Token inválido - usuario no encontrado'
+        message: 'Token inválido o sesión revocada'
       });
     }
 
@@ -61,8 +78,29 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+// Middleware para exigir 2FA activo cuando la política lo requiere para el rol del usuario
+const enforceTwoFactorPolicy = async (req, res, next) => {
+  try {
+    if (!req.user.twoFactorEnabled && await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        twoFactorSetupRequired: true,
+        message: 'Debes activar la verificación en dos pasos para realizar esta acción'
+      });
+    }
+  } catch (error) {
+    console.error('Error verificando política de 2FA:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error del servidor en autenticación'
+    });
+  }
+
+  next();
+};
+
 // Middleware para verificar si el usuario es administrador
-const adminMiddleware = (req, res, next) => {
+const adminMiddleware = async (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -77,6 +115,25 @@ const adminMiddleware = (req, res, next) => {
     });
   }
 
+  return enforceTwoFactorPolicy(req, res, next);
+};
+
+// Middleware para exigir que el usuario haya confirmado su email
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'No autenticado'
+    });
+  }
+
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Debes confirmar tu correo electrónico antes de continuar'
+    });
+  }
+
   next();
 };
 
@@ -86,8 +143,7 @@ const optionalAuth = async (req, res, next) => {
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
+      const user = await getUserFromToken(token);
       
       if (user && user.isActive) {
         req.user = user;
@@ -104,5 +160,7 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authMiddleware,
   adminMiddleware,
+  enforceTwoFactorPolicy,
+  requireVerifiedEmail,
   optionalAuth
 };
\ No newline at end of file
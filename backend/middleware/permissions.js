@@ -0,0 +1,97 @@
+const Course = require('../models/Course');
+const Video = require('../models/Video');
+const File = require('../models/File');
+const { enforceTwoFactorPolicy } = require('./auth');
+const { deleteFile } = require('./upload');
+const { getPermissionScope, hasPermission } = require('../utils/permissions');
+
+// Función para eliminar los archivos subidos por multer cuando se rechaza la petición
+const cleanupUploads = async (req) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  for (const file of files) {
+    await deleteFile(file.path);
+  }
+};
+
+// Resolvedores del curso sobre el que se evalúa un permiso
+const courseFromParam = (param = 'id') => async (req) => Course.findById(req.params[param]);
+
+const courseFromBody = (field = 'courseId') => async (req) => {
+  return req.body[field] ? Course.findById(req.body[field]) : null;
+};
+
+const courseFromVideo = (param = 'id') => async (req) => {
+  const video = await Video.findById(req.params[param]).select('course');
+  return video ? Course.findById(video.course) : null;
+};
+
+const courseFromFile = (param = 'id') => async (req) => {
+  const file = await File.findById(req.params[param]).select('course');
+  return file ? Course.findById(file.course) : null;
+};
+
+// Middleware para exigir un permiso sobre un recurso
+// Si se indica resolveCourse, los alcances 'own'/'owner' se evalúan contra ese curso,
+// que queda disponible en req.course
+const requirePermission = (resource, action, resolveCourse = null) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        await cleanupUploads(req);
+        return res.status(401).json({
+          success: false,
+          message: 'No autenticado'
+        });
+      }
+
+      const scope = getPermissionScope(req.user.role, resource, action);
+
+      if (!scope) {
+        await cleanupUploads(req);
+        return res.status(403).json({
+          success: false,
+          message: 'Acceso denegado - No tienes permisos para esta acción'
+        });
+      }
+
+      if (resolveCourse) {
+        const course = await resolveCourse(req);
+
+        if (!course) {
+          await cleanupUploads(req);
+          return res.status(404).json({
+            success: false,
+            message: 'Curso no encontrado'
+          });
+        }
+
+        if (!hasPermission(req.user, resource, action, course)) {
+          await cleanupUploads(req);
+          return res.status(403).json({
+            success: false,
+            message: 'Acceso denegado - No eres instructor de este curso'
+          });
+        }
+
+        req.course = course;
+      }
+
+      return enforceTwoFactorPolicy(req, res, next);
+    } catch (error) {
+      await cleanupUploads(req);
+      console.error('Error verificando permisos:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error del servidor en autorización'
+      });
+    }
+  };
+};
+
+module.exports = {
+  requirePermission,
+  courseFromParam,
+  courseFromBody,
+  courseFromVideo,
+  courseFromFile
+};
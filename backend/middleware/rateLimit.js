@@ -0,0 +1,36 @@
+const { getStore } = require('../utils/rateLimitStore');
+
+// Función para crear un middleware de rate limiting
+// name: prefijo de la clave, windowMs: ventana en ms, max: peticiones permitidas por ventana
+const rateLimit = ({ name, windowMs, max, keyGenerator = (req) => req.ip, message }) => {
+  return async (req, res, next) => {
+    try {
+      const key = `${name}:${keyGenerator(req)}`;
+      const { count, resetAt } = await getStore().increment(key, windowMs);
+      const retryAfter = Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 1);
+
+      res.setHeader('RateLimit-Limit', max);
+      res.setHeader('RateLimit-Remaining', Math.max(max - count, 0));
+      res.setHeader('RateLimit-Reset', retryAfter);
+
+      if (count > max) {
+        res.setHeader('Retry-After', retryAfter);
+        return res.status(429).json({
+          success: false,
+          message: message || 'Demasiadas solicitudes. Intenta de nuevo más tarde',
+          retryAfter
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Si el store falla no se bloquea el acceso
+      console.error('Error en rate limit:', error);
+      next();
+    }
+  };
+};
+
+module.exports = {
+  rateLimit
+};
@@ -0,0 +1,40 @@
+const User = require('../models/User');
+const { authMiddleware } = require('./auth');
+const { verifySignature } = require('../utils/signedUrl');
+
+// Middleware que acepta una URL firmada (?expires&uid&sig) en lugar del header Authorization
+// Pensado para <video src> y enlaces de descarga, que no pueden enviar headers
+// type: 'video' | 'file', param: nombre del parámetro con el id del recurso
+const authOrSignedUrl = (type, param = 'id') => {
+  return async (req, res, next) => {
+    if (!req.query.sig) {
+      return authMiddleware(req, res, next);
+    }
+
+    try {
+      const user = await User.findById(req.query.uid).select('-password');
+
+      if (!user || !user.isActive ||
+          !verifySignature(type, req.params[param], req.query, user.tokenVersion || 0)) {
+        return res.status(401).json({
+          success: false,
+          message: 'URL firmada inválida o expirada'
+        });
+      }
+
+      req.user = user;
+      req.signedUrl = true;
+      next();
+    } catch (error) {
+      console.error('Error verificando URL firmada:', error);
+      return res.status(401).json({
+        success: false,
+        message: 'URL firmada inválida o expirada'
+      });
+    }
+  };
+};
+
+module.exports = {
+  authOrSignedUrl
+};
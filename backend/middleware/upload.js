@@ -8,7 +8,9 @@ const ensureDirectoriesExist = () => {
     path.join(__dirname, '../uploads'),
     path.join(__dirname, '../uploads/videos'),
     path.join(__dirname, '../uploads/files'),
-    path.join(__dirname, '../uploads/thumbnails')
+    path.join(__dirname, '../uploads/thumbnails'),
+    path.join(__dirname, '../uploads/captions'),
+    path.join(__dirname, '../uploads/tmp') // Subidas reanudables en curso
   ];
 
   dirs.forEach(dir => {
@@ -20,61 +22,76 @@ const ensureDirectoriesExist = () => {
 
 ensureDirectoriesExist();
 
+// Directorios de destino
+const VIDEOS_DIR = path.join(__dirname, '../uploads/videos');
+const FILES_DIR = path.join(__dirname, '../uploads/files');
+const CAPTIONS_DIR = path.join(__dirname, '../uploads/captions');
+
+// Límites de tamaño
+const VIDEO_MAX_SIZE = 500 * 1024 * 1024; // 500MB máximo para videos
+const FILE_MAX_SIZE = 50 * 1024 * 1024; // 50MB máximo para documentos
+
+// Mensajes de validación de tipo
+const VIDEO_TYPE_ERROR = 'Solo se permiten archivos de video (mp4, mov, avi, mkv, webm, flv, wmv)';
+const DOCUMENT_TYPE_ERROR = 'Tipo de archivo no permitido. Solo: PDF, DOC, DOCX, TXT, PPT, PPTX, XLS, XLSX, ZIP, RAR, 7Z, JPG, JPEG, PNG, GIF, WEBP';
+
+// Función para generar un nombre único con timestamp y nombre original
+const buildUniqueFilename = (originalname) => {
+  const timestamp = Date.now();
+  const originalName = originalname.toLowerCase().replace(/\s+/g, '-');
+  const extension = path.extname(originalName);
+  const nameWithoutExt = path.basename(originalName, extension);
+  return `${nameWithoutExt}-${timestamp}${extension}`;
+};
+
+// Función para validar que un archivo es un video permitido
+const isAllowedVideo = (originalname, mimetype) => {
+  const allowedVideoTypes = /mp4|mov|avi|mkv|webm|flv|wmv/;
+  const extension = allowedVideoTypes.test(path.extname(originalname).toLowerCase());
+  return extension && /video/.test(mimetype);
+};
+
+// Función para validar que un archivo es un documento permitido
+const isAllowedDocument = (originalname) => {
+  const allowedTypes = /pdf|doc|docx|txt|ppt|pptx|xls|xlsx|zip|rar|7z|jpg|jpeg|png|gif|webp/;
+  return allowedTypes.test(path.extname(originalname).toLowerCase());
+};
+
 // Configuración de almacenamiento para videos
 const videoStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadPath = path.join(__dirname, '../uploads/videos');
-    cb(null, uploadPath);
+    cb(null, VIDEOS_DIR);
   },
   filename: (req, file, cb) => {
-    // Generar nombre único con timestamp y nombre original
-    const timestamp = Date.now();
-    const originalName = file.originalname.toLowerCase().replace(/\s+/g, '-');
-    const extension = path.extname(originalName);
-    const nameWithoutExt = path.basename(originalName, extension);
-    const uniqueName = `${nameWithoutExt}-${timestamp}${extension}`;
-    cb(null, uniqueName);
+    cb(null, buildUniqueFilename(file.originalname));
   }
 });
 
 // Configuración de almacenamiento para archivos (PDFs, documentos, etc.)
 const fileStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadPath = path.join(__dirname, '../uploads/files');
-    cb(null, uploadPath);
+    cb(null, FILES_DIR);
   },
   filename: (req, file, cb) => {
-    const timestamp = Date.now();
-    const originalName = file.originalname.toLowerCase().replace(/\s+/g, '-');
-    const extension = path.extname(originalName);
-    const nameWithoutExt = path.basename(originalName, extension);
-    const uniqueName = `${nameWithoutExt}-${timestamp}${extension}`;
-    cb(null, uniqueName);
+    cb(null, buildUniqueFilename(file.originalname));
   }
 });
 
 // Filtro para videos
 const videoFileFilter = (req, file, cb) => {
-  const allowedVideoTypes = /mp4|mov|avi|mkv|webm|flv|wmv/;
-  const extension = allowedVideoTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = /video/.test(file.mimetype);
-
-  if (extension && mimetype) {
+  if (isAllowedVideo(file.originalname, file.mimetype)) {
     return cb(null, true);
   } else {
-    cb(new Error('Solo se permiten archivos de video (mp4, mov, avi, mkv, webm, flv, wmv)'), false);
+    cb(new Error(VIDEO_TYPE_ERROR), false);
   }
 };
 
 // Filtro para archivos de documentos
 const documentFileFilter = (req, file, cb) => {
-  const allowedTypes = /pdf|doc|docx|txt|ppt|pptx|xls|xlsx|zip|rar|7z|jpg|jpeg|png|gif|webp/;
-  const extension = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  
-  if (extension) {
+  if (isAllowedDocument(file.originalname)) {
     return cb(null, true);
   } else {
-    cb(new Error('Tipo de archivo no permitido. Solo: PDF, DOC, DOCX, TXT, PPT, PPTX, XLS, XLSX, ZIP, RAR, 7Z, JPG, JPEG, PNG, GIF, WEBP'), false);
+    cb(new Error(DOCUMENT_TYPE_ERROR), false);
   }
 };
 
@@ -82,7 +99,7 @@ const documentFileFilter = (req, file, cb) => {
 const uploadVideo = multer({
   storage: videoStorage,
   limits: {
-    fileSize: 500 * 1024 * 1024, // 500MB máximo para videos
+    fileSize: VIDEO_MAX_SIZE,
     files: 1 // Solo un video a la vez
   },
   fileFilter: videoFileFilter
@@ -92,12 +109,42 @@ const uploadVideo = multer({
 const uploadFile = multer({
   storage: fileStorage,
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB máximo para documentos
+    fileSize: FILE_MAX_SIZE,
     files: 10 // Hasta 10 archivos a la vez
   },
   fileFilter: documentFileFilter
 });
 
+// Configuración de multer para subtítulos (se validan y convierten en memoria antes de guardarlos)
+const uploadCaption = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB máximo para subtítulos
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(vtt|srt)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Solo se permiten subtítulos en formato WebVTT (.vtt) o SRT (.srt)'), false);
+  }
+});
+
+// Configuración de multer para importaciones CSV (se procesan en memoria)
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB máximo para CSV
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.csv$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Solo se permiten archivos CSV (.csv)'), false);
+  }
+});
+
 // Configuración general para cualquier tipo de archivo (con límites más estrictos)
 const uploadGeneral = multer({
   limits: {
@@ -165,8 +212,20 @@ const deleteFile = (filePath) => {
 };
 
 module.exports = {
+  VIDEOS_DIR,
+  FILES_DIR,
+  CAPTIONS_DIR,
+  VIDEO_MAX_SIZE,
+  FILE_MAX_SIZE,
+  VIDEO_TYPE_ERROR,
+  DOCUMENT_TYPE_ERROR,
+  buildUniqueFilename,
+  isAllowedVideo,
+  isAllowedDocument,
   uploadVideo,
   uploadFile,
+  uploadCaption,
+  uploadCsv,
   uploadGeneral,
   handleMulterError,
   getFileInfo,
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Grupo de alumnos de un curso con sus propias fechas e instructores
+// Los miembros son las inscripciones del curso que lo referencian (Enrollment.cohort)
+const cohortSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  startDate: {
+    type: Date, // Referencia para la liberación gradual de las lecciones
+    required: true
+  },
+  endDate: {
+    type: Date, // Después de esta fecha el grupo no admite nuevos miembros (null = sin fin)
+    default: null
+  },
+  instructors: [{
+    type: mongoose.Schema.Types.ObjectId, // Instructores o co-instructores del curso a cargo del grupo
+    ref: 'User'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índice para listar los grupos de un curso por fecha de inicio
+cohortSchema.index({ course: 1, startDate: 1 });
+
+// Virtual para saber si el grupo admite nuevos miembros
+cohortSchema.virtual('isOpen').get(function() {
+  return this.isActive && (!this.endDate || this.endDate > new Date());
+});
+
+module.exports = mongoose.model('Cohort', cohortSchema);
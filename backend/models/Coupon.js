@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  discountValue: {
+    type: Number, // Porcentaje (1-100) o monto fijo en la moneda de los precios
+    required: true,
+    min: 0
+  },
+  // Cursos en los que aplica; vacío = todos los cursos
+  courses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }],
+  maxRedemptions: {
+    type: Number, // Usos totales permitidos (null = sin límite)
+    default: null
+  },
+  maxRedemptionsPerUser: {
+    type: Number,
+    default: 1
+  },
+  // Usos reservados o confirmados; se actualiza de forma atómica al reservar y liberar
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual para saber si el cupón aplica a todos los cursos
+couponSchema.virtual('isSiteWide').get(function() {
+  return !this.courses || this.courses.length === 0;
+});
+
+// Método para calcular el descuento sobre un precio (nunca mayor que el precio)
+couponSchema.methods.calculateDiscount = function(price) {
+  const discount = this.discountType === 'percentage'
+    ? price * this.discountValue / 100
+    : this.discountValue;
+  return Math.round(Math.min(price, discount) * 100) / 100;
+};
+
+couponSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Coupon', couponSchema);
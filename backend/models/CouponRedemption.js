@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  discount: {
+    type: Number, // Monto descontado
+    required: true
+  },
+  // pending: reservado al crear la orden; redeemed: pago confirmado e inscripción creada;
+  // released: la orden falló, se canceló o se reembolsó y el uso vuelve a estar disponible
+  status: {
+    type: String,
+    enum: ['pending', 'redeemed', 'released'],
+    default: 'pending'
+  },
+  redeemedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Un uso por orden
+couponRedemptionSchema.index({ order: 1 }, { unique: true });
+
+// Índices para los límites por usuario y el detalle del cupón
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ coupon: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
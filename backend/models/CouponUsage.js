@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Usos vigentes (pending o redeemed) de un cupón por usuario
+// Permite aplicar maxRedemptionsPerUser con una sola actualización condicional
+const couponUsageSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Un contador por cupón y usuario
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
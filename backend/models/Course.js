@@ -15,6 +15,10 @@ const courseSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  coInstructors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   category: {
     type: String,
     required: true,
@@ -33,6 +37,48 @@ const courseSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Cupo máximo de inscritos (null = sin límite); al llenarse, los nuevos pasan a la lista de espera
+  capacity: {
+    type: Number,
+    default: null
+  },
+  // Duración del acceso: días desde la inscripción y/o fecha fija de fin (null = sin vencimiento)
+  accessDays: {
+    type: Number,
+    default: null
+  },
+  accessEndsAt: {
+    type: Date,
+    default: null
+  },
+  // Idioma del contenido: define la raíz de las palabras en la búsqueda de texto
+  language: {
+    type: String,
+    enum: ['es', 'en'],
+    default: 'es'
+  },
+  // Resumen de las reseñas visibles; se actualiza con cada cambio (ver applyRatingChange)
+  rating: {
+    average: {
+      type: Number,
+      default: 0
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number, // Suma de las calificaciones, para recalcular el promedio
+      default: 0
+    },
+    distribution: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 }
+    }
+  },
   duration: {
     type: Number, // Duración en minutos
     default: 0
@@ -45,14 +91,99 @@ const courseSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'File'
   }],
-  enrolledStudents: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+  // Temario: secciones con lecciones ordenadas por su posición en el array
+  sections: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    lessons: [{
+      type: {
+        type: String,
+        enum: ['video', 'file', 'quiz', 'text'],
+        required: true
+      },
+      title: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      video: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Video',
+        default: null
+      },
+      file: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File',
+        default: null
+      },
+      content: {
+        type: String, // Lecciones de texto
+        default: ''
+      },
+      quiz: {
+        passingScore: {
+          type: Number, // Porcentaje mínimo de respuestas correctas
+          default: 70
+        },
+        questions: [{
+          _id: false,
+          question: String,
+          options: [String],
+          correctOption: Number // Índice de la opción correcta
+        }]
+      },
+      isPreview: {
+        type: Boolean, // Visible sin estar inscrito
+        default: false
+      },
+      releaseAfterDays: {
+        type: Number, // Liberación gradual: días desde el inicio del grupo o la inscripción (null = sin espera)
+        default: null
+      }
+    }]
   }],
   isActive: {
     type: Boolean,
     default: true
   },
+  // Ciclo de vida: draft -> in_review -> published -> archived
+  status: {
+    type: String,
+    enum: ['draft', 'in_review', 'published', 'archived'],
+    default: 'draft'
+  },
+  publishAt: {
+    type: Date, // Publicación programada (si es futura, el curso aún no es visible)
+    default: null
+  },
+  unpublishAt: {
+    type: Date, // Retiro programado
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  submittedAt: {
+    type: Date, // Envío a revisión
+    default: null
+  },
+  reviewNotes: {
+    type: String, // Observaciones del revisor al rechazar
+    default: ''
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   tags: [{
     type: String,
     trim: true
@@ -69,16 +200,123 @@ const courseSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Virtual para obtener el número de estudiantes inscritos
-courseSchema.virtual('enrolledCount').get(function() {
-  return this.enrolledStudents ? this.enrolledStudents.length : 0;
-});
+// Índice para listar los cursos que dicta un instructor
+courseSchema.index({ instructor: 1 });
+courseSchema.index({ coInstructors: 1 });
+courseSchema.index({ status: 1, publishAt: 1 });
+
+// Índice de texto para la búsqueda del catálogo (insensible a acentos y mayúsculas)
+// El idioma de cada curso se toma del campo language; si falta, español
+courseSchema.index(
+  { title: 'text', tags: 'text', category: 'text', description: 'text' },
+  {
+    name: 'course_text_search',
+    weights: { title: 10, tags: 5, category: 3, description: 1 },
+    default_language: 'spanish',
+    language_override: 'language'
+  }
+);
+
+// Índices para los filtros y ordenamientos del catálogo
+courseSchema.index({ category: 1, level: 1 });
+courseSchema.index({ price: 1 });
+courseSchema.index({ 'rating.average': -1 });
 
 // Virtual para obtener el número de videos
 courseSchema.virtual('videoCount').get(function() {
   return this.videos ? this.videos.length : 0;
 });
 
+// Virtual para saber si el curso es visible públicamente en este momento
+courseSchema.virtual('isLive').get(function() {
+  const now = new Date();
+  return this.isActive &&
+    this.status === 'published' &&
+    (!this.publishAt || this.publishAt <= now) &&
+    (!this.unpublishAt || this.unpublishAt > now);
+});
+
+// Método para calcular el vencimiento del acceso de una inscripción que empieza en from
+// Si el curso tiene días de acceso y fecha fija de fin, vence en la más próxima (null = sin vencimiento)
+courseSchema.methods.getAccessExpiry = function(from = new Date()) {
+  const limits = [];
+  if (this.accessDays) limits.push(new Date(from.getTime() + this.accessDays * 24 * 60 * 60 * 1000));
+  if (this.accessEndsAt) limits.push(this.accessEndsAt);
+  return limits.length ? new Date(Math.min(...limits)) : null;
+};
+
+// Método estático con el filtro de cursos visibles públicamente (misma regla que isLive)
+courseSchema.statics.liveFilter = function() {
+  const now = new Date();
+  return {
+    isActive: true,
+    status: 'published',
+    $and: [
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+    ]
+  };
+};
+
+// Método estático para recalcular la duración total (minutos) a partir de los videos activos
+courseSchema.statics.recalculateDuration = async function(courseId) {
+  const Video = mongoose.model('Video');
+  const [result] = await Video.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(courseId), isActive: true } },
+    { $group: { _id: null, seconds: { $sum: '$duration' } } }
+  ]);
+
+  const duration = Math.round((result ? result.seconds : 0) / 60);
+  await this.findByIdAndUpdate(courseId, { duration });
+  return duration;
+};
+
+// Método estático para actualizar el resumen de calificaciones sin recorrer las reseñas
+// added/removed son las calificaciones (1-5) que entran o salen del promedio (null si ninguna)
+courseSchema.statics.applyRatingChange = async function(courseId, { added = null, removed = null } = {}) {
+  const delta = (field, value) => ({
+    $add: [{ $ifNull: [`$rating.${field}`, 0] }, value]
+  });
+
+  const changes = {
+    'rating.count': delta('count', (added ? 1 : 0) - (removed ? 1 : 0)),
+    'rating.total': delta('total', (added || 0) - (removed || 0))
+  };
+
+  const distribution = {};
+  if (added) distribution[added] = (distribution[added] || 0) + 1;
+  if (removed) distribution[removed] = (distribution[removed] || 0) - 1;
+  Object.entries(distribution)
+    .filter(([, value]) => value !== 0)
+    .forEach(([stars, value]) => {
+      changes[`rating.distribution.${stars}`] = delta(`distribution.${stars}`, value);
+    });
+
+  // Pipeline de actualización: el promedio se calcula en la misma escritura atómica
+  await this.updateOne({ _id: courseId }, [
+    { $set: changes },
+    {
+      $set: {
+        'rating.average': {
+          $cond: [
+            { $gt: ['$rating.count', 0] },
+            { $round: [{ $divide: ['$rating.total', '$rating.count'] }, 2] },
+            0
+          ]
+        }
+      }
+    }
+  ]);
+};
+
+// Método estático para quitar del temario las lecciones que apuntan a un video o archivo eliminado
+courseSchema.statics.removeLessonsFor = async function(courseId, type, resourceId) {
+  await this.updateOne(
+    { _id: courseId },
+    { $pull: { 'sections.$[].lessons': { [type]: resourceId } } }
+  );
+};
+
 // Configurar virtuals para que se incluyan en JSON
 courseSchema.set('toJSON', { virtuals: true });
 
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const enrollmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // active: con acceso al curso (hasta expiresAt); waitlisted: en la lista de espera por falta de cupo;
+  // cancelled: se desinscribió, salió de la lista de espera o se reembolsó la compra
+  status: {
+    type: String,
+    enum: ['active', 'waitlisted', 'cancelled'],
+    default: 'active'
+  },
+  // Origen de la inscripción: el propio alumno, una compra, la migración de datos,
+  // un administrador o una importación de usuarios
+  source: {
+    type: String,
+    enum: ['self', 'purchase', 'migration', 'admin', 'import'],
+    default: 'self'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Grupo del curso al que pertenece (null = sin grupo, avanza a su ritmo)
+  cohort: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cohort',
+    default: null
+  },
+  enrolledAt: {
+    type: Date, // null mientras está en la lista de espera
+    default: Date.now
+  },
+  waitlistedAt: {
+    type: Date, // Ingreso a la lista de espera (define el orden de llegada)
+    default: null
+  },
+  expiresAt: {
+    type: Date, // Fin del acceso (null = sin vencimiento)
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Una inscripción por usuario y curso (al reinscribirse se reactiva la misma)
+enrollmentSchema.index({ user: 1, course: 1 }, { unique: true });
+
+// Índices para contar inscritos por curso y listar los cursos de un usuario
+enrollmentSchema.index({ course: 1, status: 1 });
+enrollmentSchema.index({ user: 1, status: 1, enrolledAt: -1 });
+
+// Índice para listar y contar los miembros de un grupo
+enrollmentSchema.index({ cohort: 1, status: 1 });
+
+// Índice para recorrer la lista de espera por orden de llegada
+enrollmentSchema.index({ course: 1, status: 1, waitlistedAt: 1 });
+
+// Virtual con el estado efectivo: una inscripción activa vencida se informa como expired
+enrollmentSchema.virtual('state').get(function() {
+  if (this.status === 'active' && this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return this.status;
+});
+
+// Método estático con el filtro de inscripciones que dan acceso en este momento
+enrollmentSchema.statics.activeFilter = function(filters = {}) {
+  return {
+    ...filters,
+    status: 'active',
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  };
+};
+
+// Método estático con el filtro de inscripciones en un estado efectivo (active, expired, waitlisted, cancelled)
+enrollmentSchema.statics.stateFilter = function(state, filters = {}) {
+  if (state === 'active') return this.activeFilter(filters);
+  if (state === 'expired') return { ...filters, status: 'active', expiresAt: { $lte: new Date() } };
+  return { ...filters, status: state };
+};
+
+// Método estático para contar los inscritos activos de varios cursos
+// Devuelve un Map courseId -> cantidad
+enrollmentSchema.statics.countByCourse = async function(courseIds) {
+  const counts = await this.aggregate([
+    { $match: this.activeFilter({ course: { $in: courseIds.map(id => new mongoose.Types.ObjectId(id)) } }) },
+    { $group: { _id: '$course', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(item => [item._id.toString(), item.count]));
+};
+
+module.exports = mongoose.model('Enrollment', enrollmentSchema);
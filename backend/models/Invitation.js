@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['student', 'instructor', 'admin'],
+    default: 'student'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Cuenta creada de antemano (importación de usuarios): al aceptar se le asigna la contraseña
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  sentCount: {
+    type: Number,
+    default: 1
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Índice para listar invitaciones por email y estado
+invitationSchema.index({ email: 1, status: 1 });
+
+// Virtual para saber si la invitación expiró sin ser usada
+invitationSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt <= new Date();
+});
+
+// Configurar virtuals para que se incluyan en JSON
+invitationSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
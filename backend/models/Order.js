@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const orderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  cohort: {
+    type: mongoose.Schema.Types.ObjectId, // Grupo elegido; la inscripción se crea en él al confirmarse el pago
+    ref: 'Cohort',
+    default: null
+  },
+  subtotal: {
+    type: Number, // Precio del curso al crear la orden
+    default: 0
+  },
+  discount: {
+    type: Number, // Descuento del cupón
+    default: 0
+  },
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    default: null
+  },
+  couponCode: {
+    type: String,
+    default: ''
+  },
+  amount: {
+    type: Number, // Monto cobrado (subtotal - descuento), en la moneda de la orden
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  // pending -> paid -> refunded; pending -> failed | cancelled
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'cancelled', 'refunded'],
+    default: 'pending'
+  },
+  provider: {
+    type: String, // Proveedor de pagos, o 'coupon' si el descuento cubrió todo el precio
+    required: true
+  },
+  providerReference: {
+    type: String, // Identificador del checkout en el proveedor
+    default: null
+  },
+  providerPaymentId: {
+    type: String, // Identificador del pago confirmado (necesario para reembolsar)
+    default: null
+  },
+  checkoutUrl: {
+    type: String,
+    default: ''
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  fulfilledAt: {
+    type: Date, // Inscripción creada y cupón confirmado tras el pago; null si quedó pendiente
+    default: null
+  },
+  refundedAt: {
+    type: Date,
+    default: null
+  },
+  refundReason: {
+    type: String,
+    default: ''
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  providerRefundId: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Índices para el historial de órdenes
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ course: 1, status: 1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+
+// Índices para ubicar la orden desde los webhooks del proveedor
+orderSchema.index({ provider: 1, providerReference: 1 });
+orderSchema.index({ provider: 1, providerPaymentId: 1 });
+
+module.exports = mongoose.model('Order', orderSchema);
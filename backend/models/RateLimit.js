@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Contadores de rate limiting compartidos entre nodos (RATE_LIMIT_STORE=mongo)
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Índice TTL: MongoDB elimina los contadores una vez vencida la ventana
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String, // Identifica la cadena de rotación de una misma sesión
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String, // Hash del token que reemplazó a este al rotar
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Índice para buscar sesiones por usuario
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Índice TTL: MongoDB elimina los tokens una vez expirados
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual para saber si el token sigue siendo utilizable
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
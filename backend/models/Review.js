@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  // Moderación: las reseñas ocultas no se muestran ni cuentan en el promedio
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenReason: {
+    type: String,
+    default: ''
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Una reseña por usuario y curso
+reviewSchema.index({ course: 1, user: 1 }, { unique: true });
+
+// Índice para listar las reseñas visibles de un curso
+reviewSchema.index({ course: 1, isHidden: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
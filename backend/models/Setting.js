@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Configuración de la plataforma editable en tiempo de ejecución (clave/valor)
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Método estático para leer un valor con valor por defecto
+settingSchema.statics.getValue = async function(key, defaultValue) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : defaultValue;
+};
+
+// Método estático para guardar un valor
+settingSchema.statics.setValue = async function(key, value, userId = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { new: true, upsert: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
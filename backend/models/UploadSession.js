@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['video', 'file'],
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  totalSize: {
+    type: Number, // Tamaño final declarado al iniciar (bytes)
+    required: true
+  },
+  receivedBytes: {
+    type: Number, // Offset actual: los fragmentos deben enviarse en orden
+    default: 0
+  },
+  checksum: {
+    type: String, // SHA-256 (hex) del archivo completo, opcional
+    default: ''
+  },
+  tempPath: {
+    type: String,
+    required: true
+  },
+  // Datos con los que se creará el video o archivo al completar
+  title: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    default: null // Solo para archivos asociados a un video
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Virtual para saber si ya se recibieron todos los bytes
+uploadSessionSchema.virtual('isComplete').get(function() {
+  return this.receivedBytes === this.totalSize;
+});
+
+// Configurar virtuals para que se incluyan en JSON
+uploadSessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken } = require('../utils/hash');
+const { LOGIN_MAX_ATTEMPTS, LOGIN_LOCK_MINUTES, LOGIN_FAILURE_WINDOW_MINUTES } = require('../utils/loginProtection');
+
+// Vigencia de los tokens de un solo uso
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 horas
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hora
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -26,13 +32,9 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['student', 'admin'],
+    enum: ['student', 'instructor', 'admin'],
     default: 'student'
   },
-  enrolledCourses: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Course'
-  }],
   avatar: {
     type: String,
     default: ''
@@ -43,6 +45,70 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  emailVerified: {
+    type: Boolean // Sin default: las cuentas previas a la verificación se consideran verificadas
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lastFailedLoginIp: {
+    type: String
+  },
+  lockUntil: {
+    type: Date
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  twoFactorSecret: {
+    type: String, // Secreto TOTP cifrado
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String, // Secreto en proceso de activación, aún sin confirmar
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number, // Último intervalo TOTP aceptado, para impedir reutilizar códigos
+    default: 0,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [{
+      _id: false,
+      hash: String,
+      usedAt: Date
+    }],
+    select: false
+  },
+  tokenVersion: {
+    type: Number, // Se incrementa para invalidar todos los access tokens emitidos
+    default: 0
   }
 }, {
   timestamps: true
@@ -68,6 +134,85 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Método para generar un token de verificación de email (devuelve el token en claro)
+userSchema.methods.createEmailVerificationToken = function() {
+  const { token, hash } = generateRandomToken();
+  this.emailVerificationToken = hash;
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  return token;
+};
+
+// Método para generar un token de restablecimiento de contraseña (devuelve el token en claro)
+userSchema.methods.createPasswordResetToken = function() {
+  const { token, hash } = generateRandomToken();
+  this.passwordResetToken = hash;
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+  return token;
+};
+
+// Método para registrar un intento de login fallido y bloquear la cuenta si corresponde
+// Se aplica en una sola actualización para no perder fallos simultáneos. El contador vuelve
+// a empezar si el último fallo es anterior a la ventana o si el bloqueo anterior ya venció
+userSchema.methods.registerFailedLogin = async function(ip) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - LOGIN_FAILURE_WINDOW_MINUTES * 60 * 1000);
+  const lockExpired = { $and: [{ $ne: [{ $ifNull: ['$lockUntil', null] }, null] }, { $lte: ['$lockUntil', now] }] };
+  const outsideWindow = { $lt: [{ $ifNull: ['$lastFailedLoginAt', new Date(0)] }, windowStart] };
+
+  const updated = await this.constructor.findOneAndUpdate({ _id: this._id }, [
+    {
+      $set: {
+        lockUntil: { $cond: [lockExpired, '$$REMOVE', '$lockUntil'] },
+        failedLoginAttempts: {
+          $cond: [{ $or: [lockExpired, outsideWindow] }, 1, { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] }]
+        },
+        lastFailedLoginAt: now,
+        lastFailedLoginIp: ip
+      }
+    },
+    {
+      $set: {
+        lockUntil: {
+          $cond: [
+            { $gte: ['$failedLoginAttempts', LOGIN_MAX_ATTEMPTS] },
+            new Date(now.getTime() + LOGIN_LOCK_MINUTES * 60 * 1000),
+            '$lockUntil'
+          ]
+        }
+      }
+    }
+  ], { new: true }).select('failedLoginAttempts lastFailedLoginAt lastFailedLoginIp lockUntil');
+
+  if (updated) {
+    this.failedLoginAttempts = updated.failedLoginAttempts;
+    this.lastFailedLoginAt = updated.lastFailedLoginAt;
+    this.lastFailedLoginIp = updated.lastFailedLoginIp;
+    this.lockUntil = updated.lockUntil;
+  }
+};
+
+// Método para limpiar los intentos fallidos y el bloqueo
+userSchema.methods.resetLoginAttempts = async function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) return;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+};
+
+// Virtual para saber si la cuenta está bloqueada temporalmente
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
+// Virtual para saber si la cuenta tiene el email confirmado
+userSchema.virtual('isEmailVerified').get(function() {
+  return this.emailVerified !== false;
+});
+
 // Método para obtener nombre completo
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
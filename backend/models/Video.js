@@ -44,9 +44,30 @@ const videoSchema = new mongoose.Schema({
     default: 0
   },
   thumbnail: {
-    type: String,
+    type: String, // URL asignada manualmente (tiene prioridad sobre la generada)
+    default: ''
+  },
+  thumbnailPath: {
+    type: String, // Póster generado automáticamente
     default: ''
   },
+  sprite: {
+    path: String, // Imagen con los cuadros de previsualización
+    interval: Number, // Segundos entre cuadros
+    count: Number,
+    columns: Number,
+    rows: Number,
+    tileWidth: Number,
+    tileHeight: Number
+  },
+  metadata: {
+    width: Number,
+    height: Number,
+    videoCodec: String,
+    audioCodec: String,
+    bitrate: Number, // bits por segundo
+    frameRate: Number
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -59,7 +80,58 @@ const videoSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
-  }
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'ready', 'failed'],
+    default: 'ready' // Los videos previos al pipeline HLS se sirven tal cual
+  },
+  processingError: {
+    type: String,
+    default: ''
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  hlsPath: {
+    type: String, // Directorio con el master playlist y las variantes
+    default: ''
+  },
+  chapters: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    startTime: {
+      type: Number, // Segundos desde el inicio
+      required: true
+    },
+    endTime: {
+      type: Number, // Opcional: si falta, termina donde empieza el siguiente
+      default: null
+    }
+  }],
+  captions: [{
+    _id: false,
+    language: String, // Código BCP 47 (ej: 'es', 'en', 'pt-BR'), único por video
+    label: String, // Nombre visible en el reproductor
+    filePath: String, // Archivo WebVTT (los SRT se convierten al subirlos)
+    isDefault: {
+      type: Boolean,
+      default: false
+    },
+    cueCount: Number,
+    updatedAt: Date
+  }],
+  renditions: [{
+    _id: false,
+    name: String, // ej: '720p'
+    width: Number,
+    height: Number,
+    bandwidth: Number // bits por segundo
+  }]
 }, {
   timestamps: true
 });
@@ -72,6 +144,57 @@ videoSchema.virtual('videoUrl').get(function() {
   return `/api/videos/stream/${this._id}`;
 });
 
+// Virtual para obtener la URL del master playlist HLS (solo si ya fue transcodificado)
+videoSchema.virtual('hlsUrl').get(function() {
+  return this.status === 'ready' && this.hlsPath ? `/api/videos/${this._id}/hls/master.m3u8` : null;
+});
+
+// Virtual para obtener la URL de la miniatura (manual o generada)
+videoSchema.virtual('thumbnailUrl').get(function() {
+  if (this.thumbnail) return this.thumbnail;
+  return this.thumbnailPath ? `/api/videos/${this._id}/thumbnail` : '';
+});
+
+// Virtual para obtener la URL del storyboard WebVTT de previsualización
+videoSchema.virtual('storyboardUrl').get(function() {
+  return this.sprite && this.sprite.path ? `/api/videos/${this._id}/storyboard.vtt` : null;
+});
+
+// Método para listar los subtítulos con la URL de cada pista
+// query se agrega a las URLs (firma para usar en <track src>)
+videoSchema.methods.getCaptionTracks = function(query = '') {
+  return this.captions.map(track => ({
+    language: track.language,
+    label: track.label,
+    isDefault: track.isDefault,
+    cueCount: track.cueCount,
+    updatedAt: track.updatedAt,
+    url: `/api/videos/${this._id}/captions/${track.language}.vtt${query ? `?${query}` : ''}`
+  }));
+};
+
+// Método para listar los capítulos ordenados, con el final calculado
+// (el inicio del siguiente capítulo o la duración del video)
+// Un final indicado que pase el inicio del siguiente se recorta para no superponer los capítulos
+videoSchema.methods.getChapters = function() {
+  const chapters = [...this.chapters].sort((a, b) => a.startTime - b.startTime);
+
+  return chapters.map((chapter, index) => {
+    const next = chapters[index + 1];
+    const endTime = Math.min(
+      chapter.endTime || (next ? next.startTime : this.duration) || chapter.startTime + 1, // Duración aún desconocida
+      next ? next.startTime : Infinity
+    );
+
+    return {
+      id: chapter._id,
+      title: chapter.title,
+      startTime: chapter.startTime,
+      endTime
+    };
+  });
+};
+
 // Virtual para obtener el tamaño formateado
 videoSchema.virtual('formattedSize').get(function() {
   const bytes = this.fileSize;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Porcentaje visto a partir del cual un video se marca como completado
+const COMPLETION_THRESHOLD = parseInt(process.env.VIDEO_COMPLETION_THRESHOLD) || 90;
+
+const videoProgressSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  lastPosition: {
+    type: Number, // Posición en segundos para reanudar
+    default: 0
+  },
+  watchedPercentage: {
+    type: Number, // Máximo porcentaje alcanzado (0-100)
+    default: 0
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  lastWatchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Un registro de progreso por usuario y video
+videoProgressSchema.index({ user: 1, video: 1 }, { unique: true });
+
+// Índice para resumir el progreso de un usuario en un curso
+videoProgressSchema.index({ user: 1, course: 1 });
+
+// Método estático para registrar una nueva posición de reproducción de un usuario
+// Crea el registro si no existe y aplica el cambio en una sola actualización, para que
+// los envíos simultáneos del reproductor no se pisen. finished marca el video como terminado
+// Devuelve el progreso actualizado
+videoProgressSchema.statics.recordPosition = async function({ user, video, course }, position, duration, finished = false) {
+  const now = new Date();
+  const percentage = duration > 0 ? Math.min(100, Math.round((position / duration) * 100)) : 0;
+
+  // Mongoose agrega una etapa con updatedAt al pipeline: se arma uno nuevo en cada intento
+  const buildUpdate = () => [
+    {
+      $set: {
+        course,
+        lastPosition: Math.max(0, position),
+        lastWatchedAt: now,
+        watchedPercentage: finished ? 100 : { $max: [{ $ifNull: ['$watchedPercentage', 0] }, percentage] },
+        createdAt: { $ifNull: ['$createdAt', now] }
+      }
+    },
+    {
+      $set: {
+        completed: { $or: [{ $ifNull: ['$completed', false] }, { $gte: ['$watchedPercentage', COMPLETION_THRESHOLD] }] }
+      }
+    },
+    {
+      $set: {
+        completedAt: { $cond: ['$completed', { $ifNull: ['$completedAt', now] }, null] }
+      }
+    }
+  ];
+
+  const save = () => this.findOneAndUpdate({ user, video }, buildUpdate(), { upsert: true, new: true });
+
+  try {
+    return await save();
+  } catch (error) {
+    // Dos upserts simultáneos del primer envío: uno crea el registro y el otro lo actualiza
+    if (error.code === 11000) return save();
+    throw error;
+  }
+};
+
+videoProgressSchema.statics.COMPLETION_THRESHOLD = COMPLETION_THRESHOLD;
+
+module.exports = mongoose.model('VideoProgress', videoProgressSchema);
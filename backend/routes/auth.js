@@ -1,26 +1,60 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { authMiddleware } = require('../middleware/auth');
+const {
+  TokenError,
+  ACCESS_TOKEN_EXPIRES_IN,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+} = require('../utils/tokens');
+const { hashToken } = require('../utils/hash');
+const { sendMail, buildAppUrl } = require('../utils/mailer');
+const { rateLimit } = require('../middleware/rateLimit');
+const { getLockRemaining, recordFailedLogin, clearFailedLogins } = require('../utils/loginProtection');
+const { createChallengeToken, isTwoFactorRequired } = require('../utils/twoFactor');
+const { getRolePermissions } = require('../utils/permissions');
+const { getEnrolledCourseIds } = require('../utils/enrollment');
+const { hasText } = require('../utils/validation');
 
 const router = express.Router();
 
-// Función para generar JWT
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: '7d' // Token válido por 7 días
+// Rate limit de intentos de login por IP
+const loginIpLimiter = rateLimit({
+  name: 'login:ip',
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_IP_MAX) || 20,
+  message: 'Demasiados intentos de inicio de sesión desde esta IP. Intenta de nuevo más tarde'
+});
+
+// Rate limit de solicitudes de restablecimiento de contraseña por IP
+const forgotPasswordLimiter = rateLimit({
+  name: 'forgot-password:ip',
+  windowMs: 60 * 60 * 1000,
+  max: 5
+});
+
+// Función para generar y enviar el correo de verificación de email
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+
+  await sendMail(user.email, 'emailVerification', {
+    firstName: user.firstName,
+    url: buildAppUrl('/verify-email', { token })
   });
 };
 
 // @route   POST /api/auth/register
-// @desc    Registrar nuevo usuario
+// @desc    Registrar nuevo estudiante (otros roles solo mediante invitación)
 // @access  Public
 router.post('/register', async (req, res) => {
   try {
-    const { email, password, firstName, lastName, role = 'student' } = req.body;
+    const { email, password, firstName, lastName } = req.body;
 
     // Validar campos requeridos
-    if (!email || !password || !firstName || !lastName) {
+    if (!hasText(email, password, firstName, lastName)) {
       return res.status(400).json({
         success: false,
         message: 'Todos los campos son requeridos'
@@ -50,25 +84,36 @@ router.post('/register', async (req, res) => {
       password,
       firstName,
       lastName,
-      role: role === 'admin' ? 'admin' : 'student' // Por seguridad, validar role
+      role: 'student', // El rol nunca se toma del body
+      emailVerified: false
     });
 
     await user.save();
 
-    // Generar token
-    const token = generateToken(user._id);
+    // Enviar correo de verificación (un fallo de envío no impide el registro)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Error enviando correo de verificación:', mailError);
+    }
+
+    // Iniciar sesión
+    const session = await issueSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'Usuario registrado exitosamente',
-      token,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
       user: {
         id: user._id,
         email: user.email,
         firstName: user.firstName,
         lastName: user.lastName,
         fullName: user.fullName,
-        role: user.role
+        role: user.role,
+        emailVerified: user.isEmailVerified
       }
     });
 
@@ -83,13 +128,13 @@ router.post('/register', async (req, res) => {
 
 // @route   POST /api/auth/login
 // @desc    Iniciar sesión
-// @access  Public
-router.post('/login', async (req, res) => {
+// @access  Public (con rate limit por IP y bloqueo por cuenta)
+router.post('/login', loginIpLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
     // Validar campos requeridos
-    if (!email || !password) {
+    if (!hasText(email, password)) {
       return res.status(400).json({
         success: false,
         message: 'Email y contraseña son requeridos'
@@ -98,14 +143,29 @@ router.post('/login', async (req, res) => {
 
     // Buscar usuario
     const user = await User.findOne({ email: email.toLowerCase() });
-    if (!user) {
+
+    // Rechazar si la cuenta está bloqueada (mismo mensaje exista o no el usuario)
+    const lockRemaining = await getLockRemaining(email, user);
+    if (lockRemaining > 0) {
+      res.setHeader('Retry-After', lockRemaining);
+      return res.status(429).json({
+        success: false,
+        message: `Demasiados intentos fallidos. Intenta de nuevo en ${Math.ceil(lockRemaining / 60)} minuto(s)`,
+        retryAfter: lockRemaining
+      });
+    }
+
+    // Verificar contraseña
+    const isMatch = user ? await user.comparePassword(password) : false;
+    if (!isMatch) {
+      await recordFailedLogin(email, user, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Credenciales inválidas'
       });
     }
 
-    // Verificar si el usuario está activo
+    // Verificar si el usuario está activo (solo se informa con la contraseña correcta)
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
@@ -113,26 +173,32 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Verificar contraseña
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Credenciales inválidas'
+    // Con 2FA activo la sesión se emite después de verificar el código
+    // Los fallos no se limpian hasta entonces: el contador abarca la contraseña y el código
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        message: 'Ingresa el código de tu aplicación de autenticación',
+        challengeToken: createChallengeToken(user)
       });
     }
 
+    await clearFailedLogins(email, user);
+
     // Actualizar último login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generar token
-    const token = generateToken(user._id);
+    // Iniciar sesión
+    const session = await issueSession(user, req);
 
     res.json({
       success: true,
       message: 'Inicio de sesión exitoso',
-      token,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
       user: {
         id: user._id,
         email: user.email,
@@ -140,8 +206,11 @@ router.post('/login', async (req, res) => {
         lastName: user.lastName,
         fullName: user.fullName,
         role: user.role,
-        avatar: user.avatar
-      }
+        avatar: user.avatar,
+        emailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactorEnabled
+      },
+      twoFactorSetupRequired: await isTwoFactorRequired(user)
     });
 
   } catch (error) {
@@ -153,11 +222,285 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Obtener un nuevo access token rotando el refresh token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!hasText(refreshToken)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token es requerido'
+      });
+    }
+
+    const session = await rotateRefreshToken(refreshToken, req);
+
+    res.json({
+      success: true,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error renovando token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Cerrar la sesión actual (revoca el refresh token)
+// @access  Public
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!hasText(refreshToken)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token es requerido'
+      });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Sesión cerrada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error cerrando sesión:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Cerrar sesión en todos los dispositivos
+// @access  Private
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Se cerraron todas las sesiones exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error cerrando todas las sesiones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirmar email con el token enviado por correo
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!hasText(token)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token de verificación es requerido'
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token de verificación inválido o expirado'
+      });
+    }
+
+    // El token es de un solo uso
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Correo electrónico verificado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error verificando email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Reenviar el correo de verificación
+// @access  Private
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tu correo electrónico ya está verificado'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Correo de verificación enviado'
+    });
+
+  } catch (error) {
+    console.error('Error reenviando verificación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Solicitar restablecimiento de contraseña
+// @access  Public (con rate limit por IP)
+router.post('/forgot-password', forgotPasswordLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!hasText(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email es requerido'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    // Solo enviar si la cuenta existe y está activa, pero responder siempre igual
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendMail(user.email, 'passwordReset', {
+          firstName: user.firstName,
+          url: buildAppUrl('/reset-password', { token })
+        });
+      } catch (mailError) {
+        console.error('Error enviando correo de restablecimiento:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña'
+    });
+
+  } catch (error) {
+    console.error('Error solicitando restablecimiento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Restablecer contraseña con el token enviado por correo
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!hasText(token, password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token y nueva contraseña son requeridos'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'La contraseña debe tener al menos 6 caracteres'
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token de restablecimiento inválido o expirado'
+      });
+    }
+
+    // El token es de un solo uso. Quien recibe el correo también confirma su email
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.emailVerified = true;
+    await user.save();
+
+    await revokeAllSessions(user._id);
+    await clearFailedLogins(user.email, user);
+
+    try {
+      await sendMail(user.email, 'passwordChanged', { firstName: user.firstName });
+    } catch (mailError) {
+      console.error('Error enviando aviso de cambio de contraseña:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Contraseña restablecida exitosamente. Inicia sesión con tu nueva contraseña'
+    });
+
+  } catch (error) {
+    console.error('Error restableciendo contraseña:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Obtener usuario actual
 // @access  Private
 router.get('/me', authMiddleware, async (req, res) => {
   try {
+    const enrolledCourses = await getEnrolledCourseIds(req.user);
+
     res.json({
       success: true,
       user: {
@@ -168,7 +511,10 @@ router.get('/me', authMiddleware, async (req, res) => {
         fullName: req.user.fullName,
         role: req.user.role,
         avatar: req.user.avatar,
-        enrolledCourses: req.user.enrolledCourses,
+        emailVerified: req.user.isEmailVerified,
+        twoFactorEnabled: req.user.twoFactorEnabled,
+        permissions: getRolePermissions(req.user.role),
+        enrolledCourses: [...enrolledCourses],
         createdAt: req.user.createdAt,
         lastLogin: req.user.lastLogin
       }
@@ -227,7 +573,7 @@ router.put('/change-password', authMiddleware, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
-    if (!currentPassword || !newPassword) {
+    if (!hasText(currentPassword, newPassword)) {
       return res.status(400).json({
         success: false,
         message: 'Contraseña actual y nueva son requeridas'
@@ -256,9 +602,16 @@ router.put('/change-password', authMiddleware, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Revocar todas las sesiones y abrir una nueva para este dispositivo
+    user.tokenVersion = await revokeAllSessions(user._id);
+    const session = await issueSession(user, req);
+
     res.json({
       success: true,
-      message: 'Contraseña cambiada exitosamente'
+      message: 'Contraseña cambiada exitosamente. Se cerraron las demás sesiones',
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
     });
 
   } catch (error) {
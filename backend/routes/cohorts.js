@@ -0,0 +1,428 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Cohort = require('../models/Cohort');
+const Enrollment = require('../models/Enrollment');
+const { authMiddleware, optionalAuth } = require('../middleware/auth');
+const { requirePermission, courseFromParam } = require('../middleware/permissions');
+const { canManageCourse } = require('../utils/permissions');
+const { parseScheduleDate } = require('../utils/coursePublishing');
+const { getWaitlistPosition } = require('../utils/enrollment');
+const { countMembers } = require('../utils/cohorts');
+const { resolveUsers, applyToUsers } = require('../utils/userLookup');
+const { parsePagination } = require('../utils/courseSearch');
+
+// Montado en /api/courses/:courseId/cohorts: necesita los parámetros de la ruta padre
+const router = express.Router({ mergeParams: true });
+
+// Crear, editar y asignar miembros a los grupos modifica el curso
+const canEditCourse = [authMiddleware, requirePermission('course', 'update', courseFromParam('courseId'))];
+
+// Máximo de usuarios por petición de asignación de miembros
+const MEMBERS_MAX = 500;
+
+// Función para buscar el curso de la ruta (404 si no existe o está eliminado)
+const findCourse = async (req, res) => {
+  const course = mongoose.isValidObjectId(req.params.courseId)
+    ? await Course.findById(req.params.courseId)
+    : null;
+
+  if (!course || !course.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Curso no encontrado'
+    });
+    return null;
+  }
+
+  return course;
+};
+
+// Función para buscar un grupo del curso de la ruta
+const findCohort = async (req, res) => {
+  const cohort = mongoose.isValidObjectId(req.params.cohortId)
+    ? await Cohort.findOne({ _id: req.params.cohortId, course: req.params.courseId })
+    : null;
+
+  if (!cohort) {
+    res.status(404).json({
+      success: false,
+      message: 'Grupo no encontrado'
+    });
+    return null;
+  }
+
+  return cohort;
+};
+
+// Función para validar los datos de un grupo del body
+// cohort es el grupo que se edita (null al crear); los instructores deben dictar el curso
+// Devuelve { values } con los campos enviados o { error }
+const parseCohortInput = (body, course, cohort = null) => {
+  const values = {};
+
+  if (body.name !== undefined || !cohort) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'El nombre del grupo es requerido' };
+    }
+    values.name = body.name.trim();
+  }
+
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string') {
+      return { error: 'La descripción debe ser un texto' };
+    }
+    values.description = body.description;
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    const date = parseScheduleDate(body[field]);
+    if (Number.isNaN(date)) {
+      return { error: `${field} no es una fecha válida` };
+    }
+    if (date !== undefined) values[field] = date;
+  }
+
+  if (values.startDate === null || (!cohort && !values.startDate)) {
+    return { error: 'La fecha de inicio (startDate) es requerida' };
+  }
+
+  const startDate = values.startDate || cohort.startDate;
+  const endDate = values.endDate !== undefined ? values.endDate : (cohort ? cohort.endDate : null);
+  if (endDate && endDate <= startDate) {
+    return { error: 'La fecha de fin debe ser posterior a la de inicio' };
+  }
+
+  if (body.instructorIds !== undefined) {
+    const courseInstructors = [course.instructor, ...course.coInstructors].map(id => id.toString());
+
+    if (!Array.isArray(body.instructorIds) || !body.instructorIds.every(id => courseInstructors.includes(String(id)))) {
+      return { error: 'Los instructores del grupo deben ser el instructor o co-instructores del curso' };
+    }
+    values.instructors = [...new Set(body.instructorIds.map(String))];
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') {
+      return { error: 'isActive debe ser true o false' };
+    }
+    values.isActive = body.isActive;
+  }
+
+  return { values };
+};
+
+// Función para dar formato a un grupo
+const formatCohort = (cohort, memberCount) => ({
+  id: cohort._id,
+  name: cohort.name,
+  description: cohort.description,
+  startDate: cohort.startDate,
+  endDate: cohort.endDate,
+  isOpen: cohort.isOpen,
+  isActive: cohort.isActive,
+  instructors: cohort.instructors.map(instructor => instructor && instructor._id ? {
+    id: instructor._id,
+    name: instructor.fullName,
+    avatar: instructor.avatar
+  } : instructor),
+  memberCount,
+  createdAt: cohort.createdAt
+});
+
+// @route   GET /api/courses/:courseId/cohorts
+// @desc    Listar los grupos del curso (el público ve los que admiten nuevos miembros)
+// @access  Public (con auth opcional; quienes gestionan el curso ven todos)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const course = await findCourse(req, res);
+    if (!course) return;
+
+    const canManage = req.user ? canManageCourse(req.user, course) : false;
+
+    if (!course.isLive && !canManage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Curso no encontrado'
+      });
+    }
+
+    const filters = canManage
+      ? { course: course._id }
+      : { course: course._id, isActive: true, $or: [{ endDate: null }, { endDate: { $gt: new Date() } }] };
+
+    const cohorts = await Cohort.find(filters)
+      .populate('instructors', 'firstName lastName fullName avatar')
+      .sort({ startDate: 1, _id: 1 });
+
+    const memberCounts = await countMembers(cohorts.map(cohort => cohort._id));
+
+    res.json({
+      success: true,
+      cohorts: cohorts.map(cohort => formatCohort(cohort, memberCounts.get(cohort._id.toString()) || 0))
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo grupos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/courses/:courseId/cohorts
+// @desc    Crear un grupo (name, startDate, endDate, description, instructorIds)
+// @access  Private (Admin, Instructor del curso)
+router.post('/', canEditCourse, async (req, res) => {
+  try {
+    const course = req.course;
+
+    const { values, error } = parseCohortInput(req.body, course);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const cohort = await Cohort.create({
+      ...values,
+      course: course._id,
+      createdBy: req.user._id
+    });
+    await cohort.populate('instructors', 'firstName lastName fullName avatar');
+
+    res.status(201).json({
+      success: true,
+      message: 'Grupo creado exitosamente',
+      cohort: formatCohort(cohort, 0)
+    });
+
+  } catch (error) {
+    console.error('Error creando grupo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/courses/:courseId/cohorts/:cohortId
+// @desc    Obtener un grupo; quienes gestionan el curso reciben además sus miembros (paginados)
+// @access  Public (con auth opcional)
+router.get('/:cohortId', optionalAuth, async (req, res) => {
+  try {
+    const course = await findCourse(req, res);
+    if (!course) return;
+
+    const cohort = await findCohort(req, res);
+    if (!cohort) return;
+
+    const canManage = req.user ? canManageCourse(req.user, course) : false;
+
+    if (!canManage && (!course.isLive || !cohort.isActive)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grupo no encontrado'
+      });
+    }
+
+    await cohort.populate('instructors', 'firstName lastName fullName avatar');
+    const memberCounts = await countMembers([cohort._id]);
+    const response = formatCohort(cohort, memberCounts.get(cohort._id.toString()) || 0);
+
+    if (!canManage) {
+      return res.json({
+        success: true,
+        cohort: response
+      });
+    }
+
+    // Miembros: inscripciones del grupo que no se cancelaron (incluye las vencidas y en espera)
+    const { page, limit } = parsePagination(req.query, 50);
+    const skip = (page - 1) * limit;
+    const filters = { course: course._id, cohort: cohort._id, status: { $in: ['active', 'waitlisted'] } };
+
+    const [enrollments, total] = await Promise.all([
+      Enrollment.find(filters)
+        .populate('user', 'firstName lastName fullName email')
+        .sort({ enrolledAt: 1, _id: 1 })
+        .limit(limit)
+        .skip(skip),
+      Enrollment.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      cohort: {
+        ...response,
+        members: await Promise.all(enrollments.map(async (enrollment) => ({
+          enrollment: enrollment._id,
+          user: enrollment.user ? {
+            id: enrollment.user._id,
+            name: enrollment.user.fullName,
+            email: enrollment.user.email
+          } : null,
+          status: enrollment.state,
+          enrolledAt: enrollment.enrolledAt,
+          expiresAt: enrollment.expiresAt,
+          waitlistPosition: enrollment.state === 'waitlisted' ? await getWaitlistPosition(enrollment) : undefined
+        })))
+      },
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo grupo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/courses/:courseId/cohorts/:cohortId
+// @desc    Actualizar un grupo (isActive: false lo cierra a nuevos miembros sin quitar los actuales)
+// @access  Private (Admin, Instructor del curso)
+router.put('/:cohortId', canEditCourse, async (req, res) => {
+  try {
+    const cohort = await findCohort(req, res);
+    if (!cohort) return;
+
+    const { values, error } = parseCohortInput(req.body, req.course, cohort);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    Object.assign(cohort, values);
+    await cohort.save();
+    await cohort.populate('instructors', 'firstName lastName fullName avatar');
+
+    const memberCounts = await countMembers([cohort._id]);
+
+    res.json({
+      success: true,
+      message: 'Grupo actualizado exitosamente',
+      cohort: formatCohort(cohort, memberCounts.get(cohort._id.toString()) || 0)
+    });
+
+  } catch (error) {
+    console.error('Error actualizando grupo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/courses/:courseId/cohorts/:cohortId
+// @desc    Eliminar un grupo sin miembros (para conservar un grupo con alumnos, usar isActive: false)
+// @access  Private (Admin, Instructor del curso)
+router.delete('/:cohortId', canEditCourse, async (req, res) => {
+  try {
+    const cohort = await findCohort(req, res);
+    if (!cohort) return;
+
+    const members = await Enrollment.countDocuments({ cohort: cohort._id, status: { $in: ['active', 'waitlisted'] } });
+    if (members) {
+      return res.status(400).json({
+        success: false,
+        message: 'El grupo tiene miembros. Quítalos o desactiva el grupo'
+      });
+    }
+
+    // Las inscripciones canceladas no guardan la referencia a un grupo que ya no existe
+    await Enrollment.updateMany({ cohort: cohort._id }, { cohort: null });
+    await cohort.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Grupo eliminado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error eliminando grupo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/courses/:courseId/cohorts/:cohortId/members
+// @desc    Agregar o quitar miembros de un grupo (action: add | remove; userIds y/o emails)
+//          Solo se agregan usuarios inscritos en el curso (o en la lista de espera); si estaban en otro grupo, se mueven
+// @access  Private (Admin, Instructor del curso)
+router.put('/:cohortId/members', canEditCourse, async (req, res) => {
+  try {
+    const { action = 'add', userIds = [], emails = [] } = req.body;
+    const course = req.course;
+
+    const cohort = await findCohort(req, res);
+    if (!cohort) return;
+
+    if (!['add', 'remove'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'action debe ser add o remove'
+      });
+    }
+
+    if (!Array.isArray(userIds) || !Array.isArray(emails) || !(userIds.length + emails.length)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Indica los usuarios en userIds y/o emails'
+      });
+    }
+
+    if (userIds.length + emails.length > MEMBERS_MAX) {
+      return res.status(400).json({
+        success: false,
+        message: `Se pueden procesar hasta ${MEMBERS_MAX} usuarios por petición`
+      });
+    }
+
+    const resolved = await resolveUsers(userIds, emails);
+
+    const { results, summary } = await applyToUsers(resolved, async (user) => {
+      const filters = { user: user._id, course: course._id, status: { $in: ['active', 'waitlisted'] } };
+
+      if (action === 'remove') {
+        const result = await Enrollment.updateOne({ ...filters, cohort: cohort._id }, { cohort: null });
+        return result.modifiedCount ? 'removed' : 'not_member';
+      }
+
+      const enrollment = await Enrollment.findOne(filters);
+      if (!enrollment) return 'not_enrolled';
+      if (enrollment.cohort && enrollment.cohort.equals(cohort._id)) return 'already_member';
+
+      enrollment.cohort = cohort._id;
+      await enrollment.save();
+      return 'added';
+    });
+
+    res.json({
+      success: true,
+      message: action === 'add' ? 'Miembros agregados' : 'Miembros quitados',
+      summary,
+      results
+    });
+
+  } catch (error) {
+    console.error('Error asignando miembros del grupo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,374 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Course = require('../models/Course');
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { normalizeCode } = require('../utils/coupons');
+const { literalRegex } = require('../utils/regex');
+const { parsePagination } = require('../utils/courseSearch');
+
+const router = express.Router();
+
+// Todas las rutas de cupones son de administración
+const canManageCoupons = [authMiddleware, requirePermission('coupon', 'manage')];
+
+// Formato de los códigos: letras, números, guiones y guiones bajos
+const CODE_REGEX = /^[A-Z0-9_-]{3,40}$/;
+
+// Función para interpretar una fecha opcional (undefined si no se envió, null para borrarla)
+const parseOptionalDate = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? NaN : date;
+};
+
+// Función para validar los datos de un cupón
+// coupon es el cupón existente al actualizar (los campos no enviados conservan su valor)
+// Devuelve { values } o { error }
+const parseCouponInput = async (body, coupon = null) => {
+  const values = {};
+
+  if (body.code !== undefined || !coupon) {
+    values.code = normalizeCode(body.code);
+    if (!CODE_REGEX.test(values.code)) {
+      return { error: 'El código debe tener entre 3 y 40 letras, números, guiones o guiones bajos' };
+    }
+  }
+
+  if (body.description !== undefined) values.description = String(body.description);
+
+  const discountType = body.discountType !== undefined ? body.discountType : coupon && coupon.discountType;
+  const discountValue = body.discountValue !== undefined ? Number(body.discountValue) : coupon && coupon.discountValue;
+
+  if (!['percentage', 'fixed'].includes(discountType)) {
+    return { error: 'discountType debe ser percentage o fixed' };
+  }
+  if (!(discountValue > 0) || (discountType === 'percentage' && discountValue > 100)) {
+    return { error: 'discountValue debe ser mayor a 0 (y hasta 100 si es un porcentaje)' };
+  }
+  values.discountType = discountType;
+  values.discountValue = discountValue;
+
+  if (body.courseIds !== undefined) {
+    if (!Array.isArray(body.courseIds) || !body.courseIds.every(id => mongoose.isValidObjectId(id))) {
+      return { error: 'courseIds debe ser una lista de IDs de cursos (vacía para todos los cursos)' };
+    }
+    const ids = [...new Set(body.courseIds.map(String))];
+    const found = await Course.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) {
+      return { error: 'Alguno de los cursos indicados no existe' };
+    }
+    values.courses = ids;
+  }
+
+  for (const field of ['maxRedemptions', 'maxRedemptionsPerUser']) {
+    if (body[field] === undefined) continue;
+    const value = body[field] === null ? null : Number(body[field]);
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      return { error: `${field} debe ser un entero mayor a 0` };
+    }
+    if (field === 'maxRedemptionsPerUser' && value === null) {
+      return { error: 'maxRedemptionsPerUser es requerido' };
+    }
+    values[field] = value;
+  }
+
+  const validFrom = parseOptionalDate(body.validFrom);
+  const validUntil = parseOptionalDate(body.validUntil);
+  if (Number.isNaN(validFrom) || Number.isNaN(validUntil)) {
+    return { error: 'Las fechas de vigencia no son válidas' };
+  }
+  if (validFrom !== undefined) values.validFrom = validFrom;
+  if (validUntil !== undefined) values.validUntil = validUntil;
+
+  const from = values.validFrom !== undefined ? values.validFrom : coupon && coupon.validFrom;
+  const until = values.validUntil !== undefined ? values.validUntil : coupon && coupon.validUntil;
+  if (from && until && until <= from) {
+    return { error: 'validUntil debe ser posterior a validFrom' };
+  }
+
+  if (body.isActive !== undefined) values.isActive = Boolean(body.isActive);
+
+  return { values };
+};
+
+// Función para dar formato a un cupón
+const formatCoupon = (coupon) => ({
+  id: coupon._id,
+  code: coupon.code,
+  description: coupon.description,
+  discountType: coupon.discountType,
+  discountValue: coupon.discountValue,
+  isSiteWide: coupon.isSiteWide,
+  courses: coupon.courses.map(course => (course && course._id ? {
+    id: course._id,
+    title: course.title
+  } : course)),
+  maxRedemptions: coupon.maxRedemptions,
+  maxRedemptionsPerUser: coupon.maxRedemptionsPerUser,
+  redemptionCount: coupon.redemptionCount,
+  validFrom: coupon.validFrom,
+  validUntil: coupon.validUntil,
+  isActive: coupon.isActive,
+  createdAt: coupon.createdAt
+});
+
+// Función para buscar el cupón de la ruta
+const findCoupon = async (req, res) => {
+  const coupon = mongoose.isValidObjectId(req.params.id)
+    ? await Coupon.findById(req.params.id).populate('courses', 'title')
+    : null;
+
+  if (!coupon) {
+    res.status(404).json({
+      success: false,
+      message: 'Cupón no encontrado'
+    });
+    return null;
+  }
+
+  return coupon;
+};
+
+// @route   GET /api/coupons
+// @desc    Listar cupones (filtros: search por código, courseId, isActive)
+// @access  Private (Admin)
+router.get('/', ...canManageCoupons, async (req, res) => {
+  try {
+    const { search, courseId, isActive } = req.query;
+    const { page, limit } = parsePagination(req.query, 20);
+
+    const filters = {};
+    if (search) filters.code = literalRegex(search);
+    if (courseId && mongoose.isValidObjectId(courseId)) {
+      // Los cupones de todos los cursos también aplican al curso consultado
+      filters.$or = [{ courses: courseId }, { courses: { $size: 0 } }];
+    }
+    if (isActive !== undefined) filters.isActive = isActive === 'true';
+
+    const skip = (page - 1) * limit;
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filters)
+        .populate('courses', 'title')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      Coupon.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      coupons: coupons.map(formatCoupon),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo cupones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/coupons
+// @desc    Crear un cupón (porcentaje o monto fijo, por curso o para todos los cursos)
+// @access  Private (Admin)
+router.post('/', ...canManageCoupons, async (req, res) => {
+  try {
+    const { values, error } = await parseCouponInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (await Coupon.exists({ code: values.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe un cupón con ese código'
+      });
+    }
+
+    const coupon = await Coupon.create({ ...values, createdBy: req.user._id });
+    await coupon.populate('courses', 'title');
+
+    res.status(201).json({
+      success: true,
+      message: 'Cupón creado exitosamente',
+      coupon: formatCoupon(coupon)
+    });
+
+  } catch (error) {
+    console.error('Error creando cupón:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/coupons/:id
+// @desc    Obtener un cupón con el detalle de sus usos
+// @access  Private (Admin)
+router.get('/:id', ...canManageCoupons, async (req, res) => {
+  try {
+    const { page, limit } = parsePagination(req.query, 20);
+
+    const coupon = await findCoupon(req, res);
+    if (!coupon) return;
+
+    const skip = (page - 1) * limit;
+
+    const [redemptions, total, summary] = await Promise.all([
+      CouponRedemption.find({ coupon: coupon._id })
+        .populate('user', 'firstName lastName fullName email')
+        .populate('course', 'title')
+        .populate('order', 'status amount currency')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      CouponRedemption.countDocuments({ coupon: coupon._id }),
+      CouponRedemption.aggregate([
+        { $match: { coupon: coupon._id } },
+        { $group: { _id: '$status', count: { $sum: 1 }, discount: { $sum: '$discount' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      coupon: formatCoupon(coupon),
+      summary: Object.fromEntries(summary.map(item => [item._id, { count: item.count, discount: item.discount }])),
+      redemptions: redemptions.map(redemption => ({
+        id: redemption._id,
+        status: redemption.status,
+        discount: redemption.discount,
+        user: redemption.user ? {
+          id: redemption.user._id,
+          name: redemption.user.fullName,
+          email: redemption.user.email
+        } : null,
+        course: redemption.course ? {
+          id: redemption.course._id,
+          title: redemption.course.title
+        } : null,
+        order: redemption.order ? {
+          id: redemption.order._id,
+          status: redemption.order.status,
+          amount: redemption.order.amount,
+          currency: redemption.order.currency
+        } : null,
+        redeemedAt: redemption.redeemedAt,
+        createdAt: redemption.createdAt
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo cupón:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/coupons/:id
+// @desc    Actualizar un cupón (el código no se puede cambiar si ya se usó)
+// @access  Private (Admin)
+router.put('/:id', ...canManageCoupons, async (req, res) => {
+  try {
+    const coupon = await findCoupon(req, res);
+    if (!coupon) return;
+
+    const { values, error } = await parseCouponInput(req.body, coupon);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (values.code && values.code !== coupon.code) {
+      if (await CouponRedemption.exists({ coupon: coupon._id })) {
+        return res.status(400).json({
+          success: false,
+          message: 'No se puede cambiar el código de un cupón que ya se usó'
+        });
+      }
+      if (await Coupon.exists({ code: values.code })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ya existe un cupón con ese código'
+        });
+      }
+    }
+
+    // redemptionCount no se toca aquí: lo actualizan las reservas de forma atómica
+    coupon.set(values);
+    await coupon.save();
+    await coupon.populate('courses', 'title');
+
+    res.json({
+      success: true,
+      message: 'Cupón actualizado exitosamente',
+      coupon: formatCoupon(coupon)
+    });
+
+  } catch (error) {
+    console.error('Error actualizando cupón:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/coupons/:id
+// @desc    Eliminar un cupón (si ya se usó, solo se desactiva para conservar el historial)
+// @access  Private (Admin)
+router.delete('/:id', ...canManageCoupons, async (req, res) => {
+  try {
+    const coupon = await findCoupon(req, res);
+    if (!coupon) return;
+
+    if (await CouponRedemption.exists({ coupon: coupon._id })) {
+      coupon.isActive = false;
+      await coupon.save();
+
+      return res.json({
+        success: true,
+        message: 'El cupón ya se usó: se desactivó en lugar de eliminarse'
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Cupón eliminado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error eliminando cupón:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+module.exports = router;
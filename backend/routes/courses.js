@@ -1,40 +1,173 @@
 const express = require('express');
 const Course = require('../models/Course');
 const User = require('../models/User');
-const { authMiddleware, adminMiddleware, optionalAuth } = require('../middleware/auth');
+const Video = require('../models/Video');
+const File = require('../models/File');
+const VideoProgress = require('../models/VideoProgress');
+const Enrollment = require('../models/Enrollment');
+const { authMiddleware, requireVerifiedEmail, optionalAuth } = require('../middleware/auth');
+const { requirePermission, courseFromParam } = require('../middleware/permissions');
+const { getPermissionScope, hasPermission, canManageCourse } = require('../utils/permissions');
+const { getTransitionAction, getPublishingIssues, parseScheduleDate } = require('../utils/coursePublishing');
+const { SORT_OPTIONS, parsePagination, parseCourseQuery, buildFacetStage, buildPopularityStages, formatFacets } = require('../utils/courseSearch');
+const { buildCurriculum } = require('../utils/curriculum');
+const { runInTransaction } = require('../utils/transaction');
+const {
+  enrollUser,
+  requestEnrollment,
+  unenrollUser,
+  promoteFromWaitlist,
+  getWaitlistPosition,
+  hasActiveEnrollment,
+  getEnrollment,
+  getReleaseStart,
+  canAccessCourse,
+  getEnrolledCourseIds,
+  countEnrolled
+} = require('../utils/enrollment');
+const { CouponError, quoteCourse } = require('../utils/coupons');
+const { literalRegex } = require('../utils/regex');
+const { resolveUsers, applyToUsers } = require('../utils/userLookup');
+const { resolveCohort, parseCohortFilter } = require('../utils/cohorts');
+const { PAYMENT_CURRENCY } = require('../utils/payments');
 
 const router = express.Router();
 
+// Idiomas de contenido admitidos según el modelo
+const LANGUAGES = Course.schema.path('language').enumValues;
+
+// Máximo de usuarios por petición de inscripción en bloque
+const BULK_ENROLLMENT_MAX = 500;
+
+// Estados efectivos de una inscripción (expired es una inscripción activa vencida)
+const ENROLLMENT_STATES = [...Enrollment.schema.path('status').enumValues, 'expired'];
+
+// Función para validar el cupo y la duración del acceso de un curso (null quita el límite)
+// Devuelve { values } con los campos enviados o { error }
+const parseEnrollmentSettings = (body) => {
+  const values = {};
+
+  for (const field of ['capacity', 'accessDays']) {
+    if (body[field] === undefined) continue;
+    const value = body[field] === null || body[field] === '' ? null : Number(body[field]);
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      return { error: `${field} debe ser un entero mayor a 0 (o null para no limitar)` };
+    }
+    values[field] = value;
+  }
+
+  const accessEndsAt = parseScheduleDate(body.accessEndsAt);
+  if (Number.isNaN(accessEndsAt)) {
+    return { error: 'accessEndsAt no es una fecha válida' };
+  }
+  if (accessEndsAt !== undefined) values.accessEndsAt = accessEndsAt;
+
+  return { values };
+};
+
+// Función para calcular los cupos libres a partir de la cantidad de inscritos (null si no hay cupo máximo)
+const seatsLeft = (course, enrolledCount) => (
+  course.capacity ? Math.max(course.capacity - enrolledCount, 0) : null
+);
+
+// Función para crear el handler que reordena los videos o archivos de un curso
+// Recibe la lista completa de IDs en el nuevo orden y normaliza order a 1..n
+// Los eliminados (isActive: false) no se listan, así que no forman parte del orden
+const reorderCourseItems = (Model, idsField, label) => async (req, res) => {
+  try {
+    const ids = req.body[idsField];
+    const items = await Model.find({ course: req.course._id, isActive: true }).select('_id');
+    const current = new Set(items.map(item => item._id.toString()));
+
+    const isPermutation = Array.isArray(ids) &&
+      ids.length === current.size &&
+      new Set(ids.map(String)).size === ids.length &&
+      ids.every(id => current.has(String(id)));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: `${idsField} debe contener exactamente los ${label} del curso, sin repetir`
+      });
+    }
+
+    await runInTransaction(session => Model.bulkWrite(
+      ids.map((id, index) => ({
+        updateOne: {
+          filter: { _id: id, course: req.course._id, isActive: true },
+          update: { $set: { order: index + 1 } }
+        }
+      })),
+      { session }
+    ));
+
+    res.json({
+      success: true,
+      message: `Orden de ${label} actualizado exitosamente`,
+      order: ids.map((id, index) => ({ id, order: index + 1 }))
+    });
+
+  } catch (error) {
+    console.error(`Error reordenando ${label}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+};
+
 // @route   GET /api/courses
-// @desc    Obtener todos los cursos
+// @desc    Buscar cursos: texto (search), filtros (category, level, price, tag),
+//          orden (sort: relevance, newest, popular, rating, price_asc, price_desc) y facetas
 // @access  Public (con auth opcional para mostrar estado de inscripción)
 router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { category, level, search, limit = 10, page = 1 } = req.query;
-    
-    // Construir filtros
-    const filters = { isActive: true };
+    const { status } = req.query;
+    const { page, limit } = parsePagination(req.query);
+    const { search, refinements, sort } = parseCourseQuery(req.query);
     
-    if (category) filters.category = new RegExp(category, 'i');
-    if (level) filters.level = level;
+    // Construir filtros: el público solo ve cursos publicados y vigentes;
+    // un administrador puede filtrar por estado para revisar borradores
+    const baseFilters = req.user && req.user.role === 'admin' && status
+      ? { isActive: true, status: String(status) }
+      : Course.liveFilter();
+
+    // $text usa el índice de texto y debe ir en la primera etapa del pipeline
     if (search) {
-      filters.$or = [
-        { title: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+      baseFilters.$text = { $search: search };
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const filters = {
+      ...baseFilters,
+      $and: [...(baseFilters.$and || []), ...Object.values(refinements)]
+    };
+    if (!filters.$and.length) delete filters.$and;
 
-    const courses = await Course.find(filters)
-      .populate('instructor', 'firstName lastName fullName')
-      .populate('videos', 'title duration')
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
+    const skip = (page - 1) * limit;
+
+    const [results, [facets], total] = await Promise.all([
+      Course.aggregate([
+        { $match: filters },
+        ...(sort === 'popular' ? buildPopularityStages(Enrollment.collection.name) : []),
+        { $sort: { ...SORT_OPTIONS[sort], _id: 1 } },
+        { $skip: skip },
+        { $limit: limit }
+      ]),
+      Course.aggregate([{ $match: baseFilters }, buildFacetStage(refinements)]),
+      Course.countDocuments(filters)
+    ]);
+
+    const courses = await Course.populate(results.map(doc => Course.hydrate(doc)), [
+      { path: 'instructor', select: 'firstName lastName fullName' },
+      { path: 'videos', select: 'title duration' }
+    ]);
 
-    const total = await Course.countDocuments(filters);
+    // Inscritos por curso e inscripciones del usuario, con una consulta cada uno
+    const courseIds = courses.map(course => course._id);
+    const [enrolledCounts, enrolledIds] = await Promise.all([
+      Enrollment.countByCourse(courseIds),
+      getEnrolledCourseIds(req.user, courseIds)
+    ]);
 
     res.json({
       success: true,
@@ -48,20 +181,30 @@ router.get('/', optionalAuth, async (req, res) => {
         } : null,
         category: course.category,
         level: course.level,
+        language: course.language,
         thumbnail: course.thumbnail,
         price: course.price,
         duration: course.duration,
         videoCount: course.videoCount,
-        enrolledCount: course.enrolledCount,
+        enrolledCount: enrolledCounts.get(course._id.toString()) || 0,
+        capacity: course.capacity,
+        seatsAvailable: seatsLeft(course, enrolledCounts.get(course._id.toString()) || 0),
+        rating: {
+          average: course.rating.average,
+          count: course.rating.count,
+          distribution: course.rating.distribution.toObject()
+        },
         tags: course.tags,
-        isEnrolled: req.user ? course.enrolledStudents.some(studentId => 
-          studentId.toString() === req.user._id.toString()
-        ) : false,
+        status: course.status,
+        publishedAt: course.publishedAt,
+        isEnrolled: enrolledIds.has(course._id.toString()),
         createdAt: course.createdAt
       })),
+      sort,
+      facets: formatFacets(facets),
       pagination: {
-        current: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
+        current: page,
+        pages: Math.ceil(total / limit),
         total
       }
     });
@@ -77,14 +220,16 @@ router.get('/', optionalAuth, async (req, res) => {
 
 // @route   POST /api/courses
 // @desc    Crear nuevo curso
-// @access  Private (Admin)
-router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+// @access  Private (Admin, Instructor)
+router.post('/', authMiddleware, requirePermission('course', 'create'), async (req, res) => {
   try {
     const {
+      instructorId,
       title,
       description,
       category,
       level = 'beginner',
+      language = 'es',
       thumbnail = '',
       price = 0,
       tags = [],
@@ -99,17 +244,54 @@ router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
       });
     }
 
+    if (!LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        success: false,
+        message: `Idioma inválido. Debe ser uno de: ${LANGUAGES.join(', ')}`
+      });
+    }
+
+    const { values: enrollmentSettings, error: settingsError } = parseEnrollmentSettings(req.body);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    // Solo un administrador puede crear el curso a nombre de otro instructor
+    let instructor = req.user._id;
+    if (instructorId && instructorId !== req.user._id.toString()) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Solo un administrador puede asignar otro instructor'
+        });
+      }
+
+      const instructorUser = await User.findById(instructorId);
+      if (!instructorUser || !instructorUser.isActive || !['instructor', 'admin'].includes(instructorUser.role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'El instructor indicado no existe o no tiene rol de instructor'
+        });
+      }
+      instructor = instructorUser._id;
+    }
+
     const course = new Course({
       title,
       description,
-      instructor: req.user._id,
+      instructor,
       category,
       level,
+      language,
       thumbnail,
       price: parseFloat(price) || 0,
       tags: Array.isArray(tags) ? tags : [],
       requirements: Array.isArray(requirements) ? requirements : [],
-      whatYouWillLearn: Array.isArray(whatYouWillLearn) ? whatYouWillLearn : []
+      whatYouWillLearn: Array.isArray(whatYouWillLearn) ? whatYouWillLearn : [],
+      ...enrollmentSettings
     });
 
     await course.save();
@@ -121,13 +303,19 @@ router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
         id: course._id,
         title: course.title,
         description: course.description,
+        instructor: course.instructor,
         category: course.category,
         level: course.level,
+        language: course.language,
         thumbnail: course.thumbnail,
         price: course.price,
         tags: course.tags,
         requirements: course.requirements,
         whatYouWillLearn: course.whatYouWillLearn,
+        capacity: course.capacity,
+        accessDays: course.accessDays,
+        accessEndsAt: course.accessEndsAt,
+        status: course.status,
         createdAt: course.createdAt
       }
     });
@@ -148,8 +336,9 @@ router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id)
       .populate('instructor', 'firstName lastName fullName avatar')
-      .populate('videos', 'title description duration order thumbnail views')
-      .populate('files', 'title description fileType fileSize originalName');
+      .populate('coInstructors', 'firstName lastName fullName avatar')
+      .populate('videos', 'title description duration order thumbnail thumbnailPath views status isActive')
+      .populate('files', 'title description fileType fileSize originalName isActive');
 
     if (!course || !course.isActive) {
       return res.status(404).json({
@@ -158,21 +347,33 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
-    const isEnrolled = req.user ? course.enrolledStudents.some(studentId => 
-      studentId.toString() === req.user._id.toString()
-    ) : false;
+    const [enrollment, enrolledCount] = await Promise.all([
+      req.user ? getEnrollment(req.user, course).populate('cohort', 'name startDate endDate') : null,
+      countEnrolled(course._id)
+    ]);
+    const enrollmentState = enrollment ? enrollment.state : null;
+    const isEnrolled = enrollmentState === 'active';
+
+    const canManage = req.user ? canManageCourse(req.user, course) : false;
 
-    const isAdmin = req.user ? req.user.role === 'admin' : false;
+    // Borradores, cursos en revisión o retirados: solo para quienes lo gestionan
+    // (y para los ya inscritos, que conservan el acceso)
+    if (!course.isLive && !canManage && !isEnrolled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Curso no encontrado'
+      });
+    }
 
-    // Si el usuario no está inscrito y no es admin, ocultar algunos datos
-    const videoData = (isEnrolled || isAdmin) ? course.videos.map(video => ({
+    // Si el usuario no está inscrito ni dicta el curso, ocultar algunos datos
+    const videoData = (isEnrolled || canManage) ? course.videos.map(video => ({
       id: video._id,
       title: video.title,
       description: video.description,
       duration: video.duration,
       formattedDuration: video.formattedDuration,
       order: video.order,
-      thumbnail: video.thumbnail,
+      thumbnail: video.thumbnailUrl,
       views: video.views,
       videoUrl: video.videoUrl
     })).sort((a, b) => a.order - b.order) : course.videos.map(video => ({
@@ -181,10 +382,11 @@ router.get('/:id', optionalAuth, async (req, res) => {
       description: video.description,
       duration: video.duration,
       formattedDuration: video.formattedDuration,
-      order: video.order
+      order: video.order,
+      thumbnail: video.thumbnailUrl
     })).sort((a, b) => a.order - b.order);
 
-    const fileData = (isEnrolled || isAdmin) ? course.files.map(file => ({
+    const fileData = (isEnrolled || canManage) ? course.files.map(file => ({
       id: file._id,
       title: file.title,
       description: file.description,
@@ -206,19 +408,58 @@ router.get('/:id', optionalAuth, async (req, res) => {
           name: course.instructor.fullName,
           avatar: course.instructor.avatar
         },
+        coInstructors: course.coInstructors.map(instructor => ({
+          id: instructor._id,
+          name: instructor.fullName,
+          avatar: instructor.avatar
+        })),
         category: course.category,
         level: course.level,
+        language: course.language,
         thumbnail: course.thumbnail,
         price: course.price,
         duration: course.duration,
+        rating: {
+          average: course.rating.average,
+          count: course.rating.count,
+          distribution: course.rating.distribution.toObject()
+        },
         tags: course.tags,
         requirements: course.requirements,
         whatYouWillLearn: course.whatYouWillLearn,
         videoCount: course.videoCount,
-        enrolledCount: course.enrolledCount,
+        enrolledCount,
+        capacity: course.capacity,
+        seatsAvailable: seatsLeft(course, enrolledCount),
+        accessDays: course.accessDays,
+        accessEndsAt: course.accessEndsAt,
         videos: videoData,
         files: fileData,
+        curriculum: buildCurriculum(course, course.videos, course.files, {
+          fullAccess: isEnrolled || canManage,
+          canManage,
+          releaseStart: isEnrolled ? getReleaseStart(enrollment) : null
+        }),
+        status: course.status,
+        publishAt: course.publishAt,
+        unpublishAt: course.unpublishAt,
+        publishedAt: course.publishedAt,
+        reviewNotes: canManage ? course.reviewNotes : undefined,
+        isLive: course.isLive,
         isEnrolled,
+        enrollment: enrollment && enrollmentState !== 'cancelled' ? {
+          status: enrollmentState,
+          enrolledAt: enrollment.enrolledAt,
+          expiresAt: enrollment.expiresAt,
+          cohort: enrollment.cohort ? {
+            id: enrollment.cohort._id,
+            name: enrollment.cohort.name,
+            startDate: enrollment.cohort.startDate,
+            endDate: enrollment.cohort.endDate
+          } : null,
+          waitlistPosition: enrollmentState === 'waitlisted' ? await getWaitlistPosition(enrollment) : undefined
+        } : null,
+        canManage,
         createdAt: course.createdAt,
         updatedAt: course.updatedAt
       }
@@ -235,14 +476,15 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
 // @route   PUT /api/courses/:id
 // @desc    Actualizar curso
-// @access  Private (Admin)
-router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+// @access  Private (Admin, Instructor del curso)
+router.put('/:id', authMiddleware, requirePermission('course', 'update', courseFromParam()), async (req, res) => {
   try {
     const {
       title,
       description,
       category,
       level,
+      language,
       thumbnail,
       price,
       tags,
@@ -250,12 +492,20 @@ router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
       whatYouWillLearn
     } = req.body;
 
-    const course = await Course.findById(req.params.id);
+    const course = req.course;
 
-    if (!course) {
-      return res.status(404).json({
+    if (language !== undefined && !LANGUAGES.includes(language)) {
+      return res.status(400).json({
         success: false,
-        message: 'Curso no encontrado'
+        message: `Idioma inválido. Debe ser uno de: ${LANGUAGES.join(', ')}`
+      });
+    }
+
+    const { values: enrollmentSettings, error: settingsError } = parseEnrollmentSettings(req.body);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
       });
     }
 
@@ -264,14 +514,23 @@ router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
     if (description) course.description = description;
     if (category) course.category = category;
     if (level) course.level = level;
+    if (language) course.language = language;
     if (thumbnail !== undefined) course.thumbnail = thumbnail;
     if (price !== undefined) course.price = parseFloat(price) || 0;
     if (tags !== undefined) course.tags = Array.isArray(tags) ? tags : [];
     if (requirements !== undefined) course.requirements = Array.isArray(requirements) ? requirements : [];
     if (whatYouWillLearn !== undefined) course.whatYouWillLearn = Array.isArray(whatYouWillLearn) ? whatYouWillLearn : [];
+    // El cupo y la duración del acceso se aplican a las inscripciones nuevas
+    course.set(enrollmentSettings);
 
+    const capacityChanged = course.isModified('capacity');
     await course.save();
 
+    // Si se amplió o quitó el cupo, los primeros de la lista de espera ocupan los lugares libres
+    if (capacityChanged) {
+      await promoteFromWaitlist(course);
+    }
+
     res.json({
       success: true,
       message: 'Curso actualizado exitosamente',
@@ -281,11 +540,16 @@ router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
         description: course.description,
         category: course.category,
         level: course.level,
+        language: course.language,
         thumbnail: course.thumbnail,
         price: course.price,
         tags: course.tags,
         requirements: course.requirements,
         whatYouWillLearn: course.whatYouWillLearn,
+        capacity: course.capacity,
+        accessDays: course.accessDays,
+        accessEndsAt: course.accessEndsAt,
+        status: course.status,
         updatedAt: course.updatedAt
       }
     });
@@ -300,13 +564,14 @@ router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
 });
 
 // @route   POST /api/courses/:id/enroll
-// @desc    Inscribirse en un curso
-// @access  Private
-router.post('/:id/enroll', authMiddleware, async (req, res) => {
+// @desc    Inscribirse en un curso, opcionalmente en uno de sus grupos (cohortId)
+//          Si no quedan cupos, anotarse en la lista de espera
+// @access  Private (email verificado)
+router.post('/:id/enroll', authMiddleware, requireVerifiedEmail, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
 
-    if (!course || !course.isActive) {
+    if (!course || !course.isLive) {
       return res.status(404).json({
         success: false,
         message: 'Curso no encontrado'
@@ -314,29 +579,45 @@ router.post('/:id/enroll', authMiddleware, async (req, res) => {
     }
 
     // Verificar si ya está inscrito
-    const isAlreadyEnrolled = course.enrolledStudents.some(studentId => 
-      studentId.toString() === req.user._id.toString()
-    );
-
-    if (isAlreadyEnrolled) {
+    if (await hasActiveEnrollment(req.user, course)) {
       return res.status(400).json({
         success: false,
         message: 'Ya estás inscrito en este curso'
       });
     }
 
-    // Agregar estudiante al curso
-    course.enrolledStudents.push(req.user._id);
-    await course.save();
+    // Los cursos pagos se compran con una orden; la inscripción se crea al confirmarse el pago
+    if (course.price > 0) {
+      return res.status(402).json({
+        success: false,
+        message: 'Este curso es pago. Crea una orden en /api/orders para inscribirte',
+        price: course.price
+      });
+    }
 
-    // Agregar curso al usuario
-    await User.findByIdAndUpdate(req.user._id, {
-      $addToSet: { enrolledCourses: course._id }
-    });
+    const { cohort, error: cohortError } = await resolveCohort(course, (req.body || {}).cohortId);
+    if (cohortError) {
+      return res.status(400).json({
+        success: false,
+        message: cohortError
+      });
+    }
+
+    const { status, position } = await requestEnrollment(course, req.user._id, cohort ? cohort._id : null);
+
+    if (status === 'waitlisted') {
+      return res.status(202).json({
+        success: true,
+        message: 'El curso no tiene cupos disponibles. Te anotamos en la lista de espera',
+        status,
+        waitlistPosition: position
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Te has inscrito exitosamente al curso'
+      message: 'Te has inscrito exitosamente al curso',
+      status
     });
 
   } catch (error) {
@@ -348,8 +629,57 @@ router.post('/:id/enroll', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   POST /api/courses/:id/quote
+// @desc    Calcular el precio final del curso con un código de descuento opcional (code)
+// @access  Private
+router.post('/:id/quote', authMiddleware, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course || !course.isLive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Curso no encontrado'
+      });
+    }
+
+    const { price, discount, finalPrice, coupon } = await quoteCourse(course, req.user, req.body.code);
+
+    res.json({
+      success: true,
+      quote: {
+        price,
+        discount,
+        finalPrice,
+        currency: PAYMENT_CURRENCY,
+        coupon: coupon ? {
+          code: coupon.code,
+          description: coupon.description,
+          discountType: coupon.discountType,
+          discountValue: coupon.discountValue,
+          validUntil: coupon.validUntil
+        } : null
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof CouponError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error calculando precio:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
 // @route   DELETE /api/courses/:id/enroll
-// @desc    Desinscribirse de un curso
+// @desc    Desinscribirse de un curso o salir de su lista de espera
 // @access  Private
 router.delete('/:id/enroll', authMiddleware, async (req, res) => {
   try {
@@ -362,24 +692,190 @@ router.delete('/:id/enroll', authMiddleware, async (req, res) => {
       });
     }
 
-    // Remover estudiante del curso
-    course.enrolledStudents = course.enrolledStudents.filter(studentId => 
-      studentId.toString() !== req.user._id.toString()
-    );
-    await course.save();
+    const previousStatus = await unenrollUser(course, req.user._id);
+
+    res.json({
+      success: true,
+      message: previousStatus === 'waitlisted'
+        ? 'Saliste de la lista de espera del curso'
+        : 'Te has desinscrito del curso exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error desinscribiendo del curso:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/enrollments
+// @desc    Listar las inscripciones de un curso con su estado: active, waitlisted, expired o cancelled
+//          (filtros: status, cohort (id del grupo o none para los que no tienen), search por nombre o email)
+// @access  Private (Admin)
+router.get('/:id/enrollments', authMiddleware, requirePermission('enrollment', 'read', courseFromParam()), async (req, res) => {
+  try {
+    const { status, cohort, search } = req.query;
+    const { page, limit } = parsePagination(req.query, 20);
+    const course = req.course;
+
+    if (status && !ENROLLMENT_STATES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Estado inválido. Debe ser uno de: ${ENROLLMENT_STATES.join(', ')}`
+      });
+    }
+
+    const { value: cohortFilter, error: cohortError } = parseCohortFilter(cohort);
+    if (cohortError) {
+      return res.status(400).json({
+        success: false,
+        message: cohortError
+      });
+    }
+
+    const filters = status
+      ? Enrollment.stateFilter(status, { course: course._id })
+      : { course: course._id };
+
+    if (cohortFilter !== undefined) filters.cohort = cohortFilter;
+
+    if (search) {
+      const pattern = literalRegex(search);
+      const users = await User.find({
+        $or: [
+          { firstName: pattern },
+          { lastName: pattern },
+          { email: pattern }
+        ]
+      }).select('_id');
+      filters.user = { $in: users.map(user => user._id) };
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [enrollments, total, counts] = await Promise.all([
+      Enrollment.find(filters)
+        .populate('user', 'firstName lastName fullName email')
+        .populate('cohort', 'name')
+        .sort(status === 'waitlisted' ? { waitlistedAt: 1, _id: 1 } : { enrolledAt: -1, _id: 1 })
+        .limit(limit)
+        .skip(skip),
+      Enrollment.countDocuments(filters),
+      Promise.all(ENROLLMENT_STATES.map(state => Enrollment.countDocuments(Enrollment.stateFilter(state, { course: course._id }))))
+    ]);
+
+    const summary = Object.fromEntries(ENROLLMENT_STATES.map((state, index) => [state, counts[index]]));
 
-    // Remover curso del usuario
-    await User.findByIdAndUpdate(req.user._id, {
-      $pull: { enrolledCourses: course._id }
+    res.json({
+      success: true,
+      course: {
+        id: course._id,
+        title: course.title,
+        capacity: course.capacity,
+        seatsAvailable: seatsLeft(course, summary.active),
+        accessDays: course.accessDays,
+        accessEndsAt: course.accessEndsAt
+      },
+      summary,
+      enrollments: await Promise.all(enrollments.map(async (enrollment) => ({
+        id: enrollment._id,
+        user: enrollment.user ? {
+          id: enrollment.user._id,
+          name: enrollment.user.fullName,
+          email: enrollment.user.email
+        } : null,
+        status: enrollment.state,
+        source: enrollment.source,
+        order: enrollment.order,
+        cohort: enrollment.cohort ? {
+          id: enrollment.cohort._id,
+          name: enrollment.cohort.name
+        } : null,
+        enrolledAt: enrollment.enrolledAt,
+        expiresAt: enrollment.expiresAt,
+        waitlistedAt: enrollment.waitlistedAt,
+        waitlistPosition: enrollment.state === 'waitlisted' ? await getWaitlistPosition(enrollment) : undefined,
+        completedAt: enrollment.completedAt,
+        cancelledAt: enrollment.cancelledAt
+      }))),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo inscripciones del curso:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/enrollments
+// @desc    Inscribir o desinscribir usuarios existentes en bloque
+//          (action: enroll | unenroll; userIds y/o emails; cohortId opcional para inscribir en un grupo)
+//          Las inscripciones de un administrador no respetan el cupo
+// @access  Private (Admin)
+router.post('/:id/enrollments', authMiddleware, requirePermission('enrollment', 'manage', courseFromParam()), async (req, res) => {
+  try {
+    const { action = 'enroll', userIds = [], emails = [], cohortId } = req.body;
+    const course = req.course;
+
+    if (!['enroll', 'unenroll'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'action debe ser enroll o unenroll'
+      });
+    }
+
+    if (!Array.isArray(userIds) || !Array.isArray(emails) || !(userIds.length + emails.length)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Indica los usuarios en userIds y/o emails'
+      });
+    }
+
+    if (userIds.length + emails.length > BULK_ENROLLMENT_MAX) {
+      return res.status(400).json({
+        success: false,
+        message: `Se pueden procesar hasta ${BULK_ENROLLMENT_MAX} usuarios por petición`
+      });
+    }
+
+    // Un administrador puede inscribir en un grupo aunque ya haya terminado
+    const { cohort, error: cohortError } = action === 'enroll'
+      ? await resolveCohort(course, cohortId, { requireOpen: false })
+      : { cohort: null };
+    if (cohortError) {
+      return res.status(400).json({
+        success: false,
+        message: cohortError
+      });
+    }
+
+    const resolved = await resolveUsers(userIds, emails);
+
+    const { results, summary } = await applyToUsers(resolved, async (user) => {
+      if (action === 'enroll') {
+        return await enrollUser(course, user._id, { source: 'admin', cohort: cohort ? cohort._id : null }) ? 'enrolled' : 'already_enrolled';
+      }
+      return await unenrollUser(course, user._id) ? 'unenrolled' : 'not_enrolled';
     });
 
     res.json({
       success: true,
-      message: 'Te has desinscrito del curso exitosamente'
+      message: action === 'enroll' ? 'Inscripciones procesadas' : 'Bajas procesadas',
+      summary,
+      results
     });
 
   } catch (error) {
-    console.error('Error desinscribiendo del curso:', error);
+    console.error('Error procesando inscripciones en bloque:', error);
     res.status(500).json({
       success: false,
       message: 'Error del servidor'
@@ -388,19 +884,33 @@ router.delete('/:id/enroll', authMiddleware, async (req, res) => {
 });
 
 // @route   GET /api/courses/user/enrolled
-// @desc    Obtener cursos inscritos del usuario
+// @desc    Obtener cursos inscritos del usuario (status: active por defecto, waitlisted o expired)
 // @access  Private
 router.get('/user/enrolled', authMiddleware, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).populate({
-      path: 'enrolledCourses',
-      populate: [
-        { path: 'instructor', select: 'firstName lastName fullName' },
-        { path: 'videos', select: 'title duration' }
-      ]
-    });
+    const { status = 'active' } = req.query;
+
+    if (!['active', 'waitlisted', 'expired'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status debe ser active, waitlisted o expired'
+      });
+    }
+
+    const enrollments = await Enrollment.find(Enrollment.stateFilter(status, { user: req.user._id }))
+      .populate({
+        path: 'course',
+        populate: [
+          { path: 'instructor', select: 'firstName lastName fullName' },
+          { path: 'videos', select: 'title duration' }
+        ]
+      })
+      .sort(status === 'waitlisted' ? { waitlistedAt: -1 } : { enrolledAt: -1 });
 
-    const enrolledCourses = user.enrolledCourses.map(course => ({
+    // Los cursos eliminados no se listan
+    const activeEnrollments = enrollments.filter(enrollment => enrollment.course && enrollment.course.isActive);
+
+    const enrolledCourses = activeEnrollments.map(({ course, enrolledAt, expiresAt, waitlistedAt }) => ({
       id: course._id,
       title: course.title,
       description: course.description,
@@ -413,6 +923,9 @@ router.get('/user/enrolled', authMiddleware, async (req, res) => {
       thumbnail: course.thumbnail,
       videoCount: course.videoCount,
       duration: course.duration,
+      enrolledAt,
+      expiresAt,
+      waitlistedAt: waitlistedAt || undefined,
       createdAt: course.createdAt
     }));
 
@@ -430,20 +943,457 @@ router.get('/user/enrolled', authMiddleware, async (req, res) => {
   }
 });
 
-// @route   DELETE /api/courses/:id
-// @desc    Eliminar curso
-// @access  Private (Admin)
-router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+// @route   GET /api/courses/:id/progress
+// @desc    Obtener el resumen de progreso del usuario en un curso
+// @access  Private
+router.get('/:id/progress', authMiddleware, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
 
-    if (!course) {
+    if (!course || !course.isActive) {
       return res.status(404).json({
         success: false,
         message: 'Curso no encontrado'
       });
     }
 
+    if (!(await canAccessCourse(req.user, course))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes acceso a este curso'
+      });
+    }
+
+    const videos = await Video.find({ course: course._id, isActive: true })
+      .select('title order duration')
+      .sort({ order: 1, createdAt: 1 });
+
+    const progressList = await VideoProgress.find({
+      user: req.user._id,
+      course: course._id,
+      video: { $in: videos.map(video => video._id) }
+    });
+    const progressByVideo = new Map(progressList.map(progress => [progress.video.toString(), progress]));
+
+    const videoProgress = videos.map(video => {
+      const progress = progressByVideo.get(video._id.toString());
+      return {
+        id: video._id,
+        title: video.title,
+        order: video.order,
+        duration: video.duration,
+        resumeAt: progress ? progress.lastPosition : 0,
+        watchedPercentage: progress ? progress.watchedPercentage : 0,
+        completed: progress ? progress.completed : false,
+        lastWatchedAt: progress ? progress.lastWatchedAt : null
+      };
+    });
+
+    const completedVideos = videoProgress.filter(video => video.completed).length;
+
+    // Último video visto, para el botón "continuar"
+    const lastWatched = progressList
+      .filter(progress => !progress.completed)
+      .sort((a, b) => b.lastWatchedAt - a.lastWatchedAt)[0];
+
+    res.json({
+      success: true,
+      progress: {
+        course: course._id,
+        totalVideos: videos.length,
+        completedVideos,
+        percentage: videos.length ? Math.round((completedVideos / videos.length) * 100) : 0,
+        completed: videos.length > 0 && completedVideos === videos.length,
+        resume: lastWatched ? {
+          video: lastWatched.video,
+          resumeAt: lastWatched.lastPosition
+        } : null,
+        videos: videoProgress
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo progreso del curso:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/analytics
+// @desc    Obtener el progreso de los alumnos con acceso vigente (filtro: cohort, id del grupo o none)
+// @access  Private (Admin, Instructor del curso)
+router.get('/:id/analytics', authMiddleware, requirePermission('course', 'update', courseFromParam()), async (req, res) => {
+  try {
+    const { cohort } = req.query;
+    const { page, limit } = parsePagination(req.query, 20);
+    const course = req.course;
+
+    const { value: cohortFilter, error: cohortError } = parseCohortFilter(cohort);
+    if (cohortError) {
+      return res.status(400).json({
+        success: false,
+        message: cohortError
+      });
+    }
+
+    const filters = Enrollment.activeFilter({ course: course._id });
+    if (cohortFilter !== undefined) filters.cohort = cohortFilter;
+
+    const skip = (page - 1) * limit;
+
+    const [enrollments, studentIds, videos] = await Promise.all([
+      Enrollment.find(filters)
+        .populate('user', 'firstName lastName fullName email')
+        .populate('cohort', 'name')
+        .sort({ enrolledAt: 1, _id: 1 })
+        .limit(limit)
+        .skip(skip),
+      Enrollment.distinct('user', filters),
+      Video.find({ course: course._id, isActive: true }).select('_id')
+    ]);
+
+    // Videos completados y última actividad de cada alumno
+    const progressByUser = new Map((await VideoProgress.aggregate([
+      { $match: { course: course._id, user: { $in: studentIds }, video: { $in: videos.map(video => video._id) } } },
+      {
+        $group: {
+          _id: '$user',
+          completedVideos: { $sum: { $cond: ['$completed', 1, 0] } },
+          lastActivityAt: { $max: '$lastWatchedAt' }
+        }
+      }
+    ])).map(item => [item._id.toString(), item]));
+
+    const percentageOf = (completedVideos) => (
+      videos.length ? Math.round((completedVideos / videos.length) * 100) : 0
+    );
+
+    const percentages = studentIds.map(userId => {
+      const progress = progressByUser.get(userId.toString());
+      return percentageOf(progress ? progress.completedVideos : 0);
+    });
+
+    res.json({
+      success: true,
+      summary: {
+        students: studentIds.length,
+        totalVideos: videos.length,
+        averagePercentage: percentages.length
+          ? Math.round(percentages.reduce((total, percentage) => total + percentage, 0) / percentages.length)
+          : 0,
+        completed: videos.length ? percentages.filter(percentage => percentage === 100).length : 0,
+        notStarted: studentIds.filter(userId => !progressByUser.has(userId.toString())).length
+      },
+      students: enrollments.map(enrollment => {
+        const progress = enrollment.user ? progressByUser.get(enrollment.user._id.toString()) : null;
+        const completedVideos = progress ? progress.completedVideos : 0;
+
+        return {
+          user: enrollment.user ? {
+            id: enrollment.user._id,
+            name: enrollment.user.fullName,
+            email: enrollment.user.email
+          } : null,
+          cohort: enrollment.cohort ? {
+            id: enrollment.cohort._id,
+            name: enrollment.cohort.name
+          } : null,
+          enrolledAt: enrollment.enrolledAt,
+          completedVideos,
+          percentage: percentageOf(completedVideos),
+          lastActivityAt: progress ? progress.lastActivityAt : null
+        };
+      }),
+      pagination: {
+        current: page,
+        pages: Math.ceil(studentIds.length / limit),
+        total: studentIds.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo analíticas del curso:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/courses/user/teaching
+// @desc    Obtener cursos que dicta el usuario (instructor o co-instructor)
+// @access  Private (Admin, Instructor)
+router.get('/user/teaching', authMiddleware, async (req, res) => {
+  try {
+    if (!getPermissionScope(req.user.role, 'course', 'update')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado - No tienes permisos para esta acción'
+      });
+    }
+
+    const courses = await Course.find({
+      isActive: true,
+      $or: [{ instructor: req.user._id }, { coInstructors: req.user._id }]
+    })
+      .populate('instructor', 'firstName lastName fullName')
+      .sort({ createdAt: -1 });
+
+    const enrolledCounts = await Enrollment.countByCourse(courses.map(course => course._id));
+
+    res.json({
+      success: true,
+      courses: courses.map(course => ({
+        id: course._id,
+        title: course.title,
+        instructor: {
+          id: course.instructor._id,
+          name: course.instructor.fullName
+        },
+        isOwner: course.instructor._id.toString() === req.user._id.toString(),
+        category: course.category,
+        level: course.level,
+        thumbnail: course.thumbnail,
+        status: course.status,
+        publishAt: course.publishAt,
+        isLive: course.isLive,
+        videoCount: course.videoCount,
+        enrolledCount: enrolledCounts.get(course._id.toString()) || 0,
+        createdAt: course.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo cursos del instructor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/courses/:id/co-instructors
+// @desc    Agregar un co-instructor al curso
+// @access  Private (Admin, Instructor principal del curso)
+router.post('/:id/co-instructors', authMiddleware, requirePermission('course', 'manageInstructors', courseFromParam()), async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const course = req.course;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID del usuario es requerido'
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive || !['instructor', 'admin'].includes(user.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El usuario no existe o no tiene rol de instructor'
+      });
+    }
+
+    if (course.instructor.toString() === user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'El usuario ya es el instructor principal del curso'
+      });
+    }
+
+    await Course.findByIdAndUpdate(course._id, {
+      $addToSet: { coInstructors: user._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Co-instructor agregado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error agregando co-instructor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/courses/:id/co-instructors/:userId
+// @desc    Quitar un co-instructor del curso
+// @access  Private (Admin, Instructor principal del curso)
+router.delete('/:id/co-instructors/:userId', authMiddleware, requirePermission('course', 'manageInstructors', courseFromParam()), async (req, res) => {
+  try {
+    await Course.findByIdAndUpdate(req.course._id, {
+      $pull: { coInstructors: req.params.userId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Co-instructor quitado exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error quitando co-instructor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/courses/:id/publishing
+// @desc    Ver el estado de publicación y lo que falta para publicar
+// @access  Private (Admin, Instructor del curso)
+router.get('/:id/publishing', authMiddleware, requirePermission('course', 'update', courseFromParam()), async (req, res) => {
+  try {
+    const course = req.course;
+
+    res.json({
+      success: true,
+      publishing: {
+        status: course.status,
+        isLive: course.isLive,
+        publishAt: course.publishAt,
+        unpublishAt: course.unpublishAt,
+        publishedAt: course.publishedAt,
+        submittedAt: course.submittedAt,
+        reviewNotes: course.reviewNotes,
+        issues: await getPublishingIssues(course)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo estado de publicación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/courses/:id/status
+// @desc    Cambiar el estado del curso: enviar a revisión, publicar (con fechas opcionales
+//          publishAt/unpublishAt), rechazar o volver a borrador, archivar
+// @access  Private (enviar a revisión: instructor del curso; publicar: admin; archivar: admin o instructor principal)
+router.put('/:id/status', authMiddleware, requirePermission('course', 'update', courseFromParam()), async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+    const course = req.course;
+
+    const action = getTransitionAction(course.status, status);
+    if (!action) {
+      return res.status(400).json({
+        success: false,
+        message: `No se puede pasar de ${course.status} a ${status}`
+      });
+    }
+
+    if (!hasPermission(req.user, 'course', action, course)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado - No tienes permisos para esta acción'
+      });
+    }
+
+    if (status === 'in_review' || status === 'published') {
+      const issues = await getPublishingIssues(course);
+      if (issues.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'El curso todavía no se puede publicar',
+          issues
+        });
+      }
+    }
+
+    if (status === 'published') {
+      const publishAt = parseScheduleDate(req.body.publishAt);
+      const unpublishAt = parseScheduleDate(req.body.unpublishAt);
+
+      if (Number.isNaN(publishAt) || Number.isNaN(unpublishAt)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Las fechas de publicación no son válidas'
+        });
+      }
+
+      if (publishAt !== undefined) course.publishAt = publishAt;
+      if (unpublishAt !== undefined) course.unpublishAt = unpublishAt;
+
+      if (course.unpublishAt && course.unpublishAt <= (course.publishAt || new Date())) {
+        return res.status(400).json({
+          success: false,
+          message: 'La fecha de retiro debe ser posterior a la de publicación'
+        });
+      }
+
+      if (course.status !== 'published') {
+        course.publishedAt = course.publishAt || new Date();
+        course.reviewedBy = req.user._id;
+        course.reviewNotes = '';
+      }
+    }
+
+    if (status === 'in_review') {
+      course.submittedAt = new Date();
+      course.reviewNotes = '';
+    }
+
+    // Volver a borrador: retiro del envío, rechazo del revisor o despublicación
+    if (status === 'draft') {
+      course.reviewNotes = notes || '';
+      if (course.status === 'in_review' && hasPermission(req.user, 'course', 'publish', course)) {
+        course.reviewedBy = req.user._id;
+      }
+    }
+
+    course.status = status;
+    await course.save();
+
+    res.json({
+      success: true,
+      message: 'Estado del curso actualizado',
+      publishing: {
+        status: course.status,
+        isLive: course.isLive,
+        publishAt: course.publishAt,
+        unpublishAt: course.unpublishAt,
+        publishedAt: course.publishedAt,
+        reviewNotes: course.reviewNotes
+      }
+    });
+
+  } catch (error) {
+    console.error('Error cambiando estado del curso:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/courses/:id/videos/order
+// @desc    Reordenar todos los videos del curso (videoIds en el nuevo orden)
+// @access  Private (Admin, Instructor del curso)
+router.put('/:id/videos/order', authMiddleware, requirePermission('course', 'update', courseFromParam()), reorderCourseItems(Video, 'videoIds', 'videos'));
+
+// @route   PUT /api/courses/:id/files/order
+// @desc    Reordenar todos los archivos del curso (fileIds en el nuevo orden)
+// @access  Private (Admin, Instructor del curso)
+router.put('/:id/files/order', authMiddleware, requirePermission('course', 'update', courseFromParam()), reorderCourseItems(File, 'fileIds', 'archivos'));
+
+// @route   DELETE /api/courses/:id
+// @desc    Eliminar curso
+// @access  Private (Admin, Instructor principal del curso)
+router.delete('/:id', authMiddleware, requirePermission('course', 'delete', courseFromParam()), async (req, res) => {
+  try {
+    const course = req.course;
+
     // Marcar como inactivo en lugar de eliminar completamente
     course.isActive = false;
     await course.save();
@@ -0,0 +1,341 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const File = require('../models/File');
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission, courseFromParam } = require('../middleware/permissions');
+const { validateQuiz, parseReleaseAfterDays, buildLesson, findLesson, insertAt, buildCurriculum } = require('../utils/curriculum');
+
+// Montado en /api/courses/:courseId: necesita los parámetros de la ruta padre
+const router = express.Router({ mergeParams: true });
+
+// Todas las rutas del temario modifican el curso
+const canEditCourse = [authMiddleware, requirePermission('course', 'update', courseFromParam('courseId'))];
+
+// Función para guardar el temario con control de concurrencia:
+// si otro usuario lo modificó en paralelo, save() lanza VersionError
+const saveCurriculum = async (course) => {
+  course.increment();
+  await course.save();
+};
+
+// Función para responder con el temario actualizado
+const sendCurriculum = async (res, course, message, status = 200) => {
+  const [videos, files] = await Promise.all([
+    Video.find({ course: course._id }).select('title duration thumbnail thumbnailPath status isActive'),
+    File.find({ course: course._id }).select('title fileType fileSize isActive')
+  ]);
+
+  res.status(status).json({
+    success: true,
+    message,
+    curriculum: buildCurriculum(course, videos, files, { fullAccess: true, canManage: true })
+  });
+};
+
+// Función para responder a los errores de las rutas del temario
+const handleCurriculumError = (res, error, context) => {
+  if (error instanceof mongoose.Error.VersionError) {
+    return res.status(409).json({
+      success: false,
+      message: 'El temario fue modificado por otro usuario. Recarga e intenta de nuevo'
+    });
+  }
+
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Error del servidor'
+  });
+};
+
+// @route   GET /api/courses/:courseId/curriculum
+// @desc    Obtener el temario completo para edición (incluye contenido sin asignar)
+// @access  Private (Admin, Instructor del curso)
+router.get('/curriculum', ...canEditCourse, async (req, res) => {
+  try {
+    await sendCurriculum(res, req.course);
+  } catch (error) {
+    handleCurriculumError(res, error, 'obteniendo temario');
+  }
+});
+
+// @route   POST /api/courses/:courseId/sections
+// @desc    Crear una sección (position opcional, por defecto al final)
+// @access  Private (Admin, Instructor del curso)
+router.post('/sections', ...canEditCourse, async (req, res) => {
+  try {
+    const { title, description, position } = req.body;
+
+    if (!title) {
+      return res.status(400).json({
+        success: false,
+        message: 'El título de la sección es requerido'
+      });
+    }
+
+    const course = req.course;
+    const section = course.sections.create({ title, description: description || '', lessons: [] });
+    insertAt(course.sections, section, position);
+
+    await saveCurriculum(course);
+    await sendCurriculum(res, course, 'Sección creada exitosamente', 201);
+
+  } catch (error) {
+    handleCurriculumError(res, error, 'creando sección');
+  }
+});
+
+// @route   PUT /api/courses/:courseId/sections/order
+// @desc    Reordenar las secciones (lista completa de IDs en el nuevo orden)
+// @access  Private (Admin, Instructor del curso)
+router.put('/sections/order', ...canEditCourse, async (req, res) => {
+  try {
+    const { sectionIds } = req.body;
+    const course = req.course;
+    const current = course.sections.map(section => section._id.toString());
+
+    const isPermutation = Array.isArray(sectionIds) &&
+      sectionIds.length === current.length &&
+      new Set(sectionIds.map(String)).size === current.length &&
+      sectionIds.every(id => current.includes(String(id)));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: 'sectionIds debe contener exactamente las secciones del curso'
+      });
+    }
+
+    course.sections = sectionIds.map(id => course.sections.id(id));
+
+    await saveCurriculum(course);
+    await sendCurriculum(res, course, 'Secciones reordenadas exitosamente');
+
+  } catch (error) {
+    handleCurriculumError(res, error, 'reordenando secciones');
+  }
+});
+
+// @route   PUT /api/courses/:courseId/sections/:sectionId
+// @desc    Renombrar o actualizar la descripción de una sección
+// @access  Private (Admin, Instructor del curso)
+router.put('/sections/:sectionId', ...canEditCourse, async (req, res) => {
+  try {
+    const { title, description } = req.body;
+    const course = req.course;
+    const section = course.sections.id(req.params.sectionId);
+
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sección no encontrada'
+      });
+    }
+
+    if (title !== undefined && !String(title).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'El título de la sección no puede estar vacío'
+      });
+    }
+
+    if (title !== undefined) section.title = title;
+    if (description !== undefined) section.description = description;
+
+    await saveCurriculum(course);
+    await sendCurriculum(res, course, 'Sección actualizada exitosamente');
+
+  } catch (error) {
+    handleCurriculumError(res, error, 'actualizando sección');
+  }
+});
+
+// @route   DELETE /api/courses/:courseId/sections/:sectionId
+// @desc    Eliminar una sección. Sus videos y archivos quedan sin asignar (no se borran)
+// @access  Private (Admin, Instructor del curso)
+router.delete('/sections/:sectionId', ...canEditCourse, async (req, res) => {
+  try {
+    const course = req.course;
+    const section = course.sections.id(req.params.sectionId);
+
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sección no encontrada'
+      });
+    }
+
+    section.deleteOne();
+
+    await saveCurriculum(course);
+    await sendCurriculum(res, course, 'Sección eliminada exitosamente');
+
+  } catch (error) {
+    handleCurriculumError(res, error, 'eliminando sección');
+  }
+});
+
+// @route   POST /api/courses/:courseId/sections/:sectionId/lessons
+// @desc    Agregar una lección (video, file, quiz o text) a una sección
+// @access  Private (Admin, Instructor del curso)
+router.post('/sections/:sectionId/lessons', ...canEditCourse, async (req, res) => {
+  try {
+    const course = req.course;
+    const section = course.sections.id(req.params.sectionId);
+
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sección no encontrada'
+      });
+    }
+
+    const { lesson, error } = await buildLesson(course, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    insertAt(section.lessons, section.lessons.create(lesson), req.body.position);
+
+    await saveCurriculum(course);
+    await sendCurriculum(res, course, 'Lección agregada exitosamente', 201);
+
+  } catch (error) {
+    handleCurriculumError(res, error, 'agregando lección');
+  }
+});
+
+// @route   PUT /api/courses/:courseId/lessons/:lessonId
+// @desc    Actualizar una lección (título, vista previa, días de liberación, contenido de texto o quiz)
+// @access  Private (Admin, Instructor del curso)
+router.put('/lessons/:lessonId', ...canEditCourse, async (req, res) => {
+  try {
+    const course = req.course;
+    const found = findLesson(course, req.params.lessonId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lección no encontrada'
+      });
+    }
+
+    const { lesson } = found;
+    const { title, isPreview, releaseAfterDays, content, quiz } = req.body;
+
+    if (title !== undefined && !String(title).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'El título de la lección no puede estar vacío'
+      });
+    }
+
+    if (lesson.type === 'text' && content !== undefined && !content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Las lecciones de texto requieren contenido'
+      });
+    }
+
+    if (lesson.type === 'quiz' && quiz !== undefined) {
+      const quizError = validateQuiz(quiz);
+      if (quizError) {
+        return res.status(400).json({
+          success: false,
+          message: quizError
+        });
+      }
+      lesson.quiz = quiz;
+    }
+
+    if (releaseAfterDays !== undefined) {
+      const release = parseReleaseAfterDays(releaseAfterDays);
+      if (release.error) {
+        return res.status(400).json({
+          success: false,
+          message: release.error
+        });
+      }
+      lesson.releaseAfterDays = release.value;
+    }
+
+    if (title !== undefined) lesson.title = title;
+    if (isPreview !== undefined) lesson.isPreview = Boolean(isPreview);
+    if (lesson.type === 'text' && content !== undefined) lesson.content = content;
+
+    await saveCurriculum(course);
+    await sendCurriculum(res, course, 'Lección actualizada exitosamente');
+
+  } catch (error) {
+    handleCurriculumError(res, error, 'actualizando lección');
+  }
+});
+
+// @route   PUT /api/courses/:courseId/lessons/:lessonId/move
+// @desc    Mover una lección a otra sección y/o posición en una sola operación
+// @access  Private (Admin, Instructor del curso)
+router.put('/lessons/:lessonId/move', ...canEditCourse, async (req, res) => {
+  try {
+    const { sectionId, position } = req.body;
+    const course = req.course;
+    const found = findLesson(course, req.params.lessonId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lección no encontrada'
+      });
+    }
+
+    const target = sectionId ? course.sections.id(sectionId) : found.section;
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sección de destino no encontrada'
+      });
+    }
+
+    // Copiar la lección antes de quitarla para conservar su _id en la sección de destino
+    const lesson = found.lesson.toObject();
+    found.lesson.deleteOne();
+    insertAt(target.lessons, lesson, position);
+
+    await saveCurriculum(course);
+    await sendCurriculum(res, course, 'Lección movida exitosamente');
+
+  } catch (error) {
+    handleCurriculumError(res, error, 'moviendo lección');
+  }
+});
+
+// @route   DELETE /api/courses/:courseId/lessons/:lessonId
+// @desc    Quitar una lección del temario (el video o archivo no se borra)
+// @access  Private (Admin, Instructor del curso)
+router.delete('/lessons/:lessonId', ...canEditCourse, async (req, res) => {
+  try {
+    const course = req.course;
+    const found = findLesson(course, req.params.lessonId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lección no encontrada'
+      });
+    }
+
+    found.lesson.deleteOne();
+
+    await saveCurriculum(course);
+    await sendCurriculum(res, course, 'Lección eliminada exitosamente');
+
+  } catch (error) {
+    handleCurriculumError(res, error, 'eliminando lección');
+  }
+});
+
+module.exports = router;
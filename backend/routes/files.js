@@ -1,17 +1,22 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const File = require('../models/File');
 const Course = require('../models/Course');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission, courseFromFile } = require('../middleware/permissions');
+const { hasPermission } = require('../utils/permissions');
+const { CONTENT_ACCESS_FIELDS, canAccessCourse, canAccessContent } = require('../utils/enrollment');
+const { authOrSignedUrl } = require('../middleware/signedUrl');
+const { signResource } = require('../utils/signedUrl');
+const { serveFile } = require('../utils/serveFile');
 const { uploadFile, handleMulterError, getFileInfo, deleteFile } = require('../middleware/upload');
 
 const router = express.Router();
 
 // @route   POST /api/files/upload
 // @desc    Subir archivos (PDFs, documentos)
-// @access  Private (Admin)
-router.post('/upload', authMiddleware, adminMiddleware, uploadFile.array('files', 10), handleMulterError, async (req, res) => {
+// @access  Private (Admin, Instructor del curso)
+router.post('/upload', authMiddleware, requirePermission('file', 'upload'), uploadFile.array('files', 10), handleMulterError, async (req, res) => {
   try {
     const { courseId, videoId, titles, descriptions, orders } = req.body;
 
@@ -45,6 +50,17 @@ router.post('/upload', authMiddleware, adminMiddleware, uploadFile.array('files'
       });
     }
 
+    // Verificar que el usuario puede subir archivos a este curso
+    if (!hasPermission(req.user, 'file', 'upload', course)) {
+      for (const file of req.files) {
+        await deleteFile(file.path);
+      }
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado - No eres instructor de este curso'
+      });
+    }
+
     const uploadedFiles = [];
 
     // Procesar cada archivo
@@ -141,10 +157,10 @@ router.post('/upload', authMiddleware, adminMiddleware, uploadFile.array('files'
 
 // @route   GET /api/files/download/:id
 // @desc    Descargar archivo
-// @access  Private
-router.get('/download/:id', authMiddleware, async (req, res) => {
+// @access  Private (header Authorization o URL firmada). Admite GET y HEAD
+router.get('/download/:id', authOrSignedUrl('file'), async (req, res) => {
   try {
-    const file = await File.findById(req.params.id).populate('course', 'enrolledStudents');
+    const file = await File.findById(req.params.id).populate('course', CONTENT_ACCESS_FIELDS);
     
     if (!file || !file.isActive) {
       return res.status(404).json({
@@ -153,44 +169,37 @@ router.get('/download/:id', authMiddleware, async (req, res) => {
       });
     }
 
-    // Verificar que el usuario tiene acceso al curso
-    const isEnrolled = file.course.enrolledStudents.some(studentId => 
-      studentId.toString() === req.user._id.toString()
-    );
-    
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isEnrolled && !isAdmin) {
+    // Verificar que el usuario tiene acceso al curso y que la lección del archivo ya se liberó
+    if (!(await canAccessContent(req.user, file.course, { file: file._id }))) {
       return res.status(403).json({
         success: false,
         message: 'No tienes acceso a este archivo'
       });
     }
 
-    const filePath = file.filePath;
-    
-    // Verificar que el archivo existe
-    if (!fs.existsSync(filePath)) {
+    // Enviar el archivo con soporte de ranges (descargas reanudables), caché condicional y HEAD
+    const result = await serveFile(req, res, {
+      filePath: file.filePath,
+      contentType: file.mimeType,
+      filename: file.originalName,
+      disposition: 'attachment'
+    });
+
+    if (!result) {
       return res.status(404).json({
         success: false,
         message: 'Archivo físico no encontrado'
       });
     }
 
-    // Configurar headers para descarga
-    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(file.originalName)}"`);
-    res.setHeader('Content-Type', file.mimeType);
-    res.setHeader('Content-Length', file.fileSize);
-
-    // Crear stream y enviar archivo
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
-
-    // Incrementar contador de descargas (sin await para no bloquear la descarga)
-    File.findByIdAndUpdate(req.params.id, { $inc: { downloads: 1 } }).exec();
+    // Incrementar contador de descargas solo en descargas nuevas (sin await para no bloquear la descarga)
+    if (req.method === 'GET' && (result.status === 200 || (result.status === 206 && result.start === 0))) {
+      File.findByIdAndUpdate(req.params.id, { $inc: { downloads: 1 } }).exec();
+    }
 
   } catch (error) {
     console.error('Error en descarga de archivo:', error);
+    if (res.headersSent) return res.destroy();
     res.status(500).json({
       success: false,
       message: 'Error del servidor'
@@ -213,13 +222,7 @@ router.get('/course/:courseId', authMiddleware, async (req, res) => {
     }
 
     // Verificar acceso
-    const isEnrolled = course.enrolledStudents.some(studentId => 
-      studentId.toString() === req.user._id.toString()
-    );
-    
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isEnrolled && !isAdmin) {
+    if (!(await canAccessCourse(req.user, course))) {
       return res.status(403).json({
         success: false,
         message: 'No tienes acceso a este curso'
@@ -271,7 +274,7 @@ router.get('/video/:videoId', authMiddleware, async (req, res) => {
     const files = await File.find({ 
       video: req.params.videoId,
       isActive: true 
-    }).populate('course', 'enrolledStudents').sort({ order: 1, createdAt: 1 });
+    }).populate('course', 'instructor coInstructors').sort({ order: 1, createdAt: 1 });
 
     if (files.length === 0) {
       return res.json({
@@ -282,13 +285,7 @@ router.get('/video/:videoId', authMiddleware, async (req, res) => {
 
     // Verificar acceso usando el primer archivo (todos deberían tener el mismo curso)
     const course = files[0].course;
-    const isEnrolled = course.enrolledStudents.some(studentId => 
-      studentId.toString() === req.user._id.toString()
-    );
-    
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isEnrolled && !isAdmin) {
+    if (!(await canAccessCourse(req.user, course))) {
       return res.status(403).json({
         success: false,
         message: 'No tienes acceso a estos archivos'
@@ -329,7 +326,7 @@ router.get('/video/:videoId', authMiddleware, async (req, res) => {
 router.get('/:id', authMiddleware, async (req, res) => {
   try {
     const file = await File.findById(req.params.id)
-      .populate('course', 'title enrolledStudents')
+      .populate('course', `title ${CONTENT_ACCESS_FIELDS}`)
       .populate('video', 'title');
     
     if (!file || !file.isActive) {
@@ -340,13 +337,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
     }
 
     // Verificar acceso
-    const isEnrolled = file.course.enrolledStudents.some(studentId => 
-      studentId.toString() === req.user._id.toString()
-    );
-    
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isEnrolled && !isAdmin) {
+    if (!(await canAccessContent(req.user, file.course, { file: file._id }))) {
       return res.status(403).json({
         success: false,
         message: 'No tienes acceso a este archivo'
@@ -390,10 +381,49 @@ router.get('/:id', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   GET /api/files/:id/download-url
+// @desc    Obtener una URL firmada y temporal para descargar el archivo desde un enlace
+// @access  Private
+router.get('/:id/download-url', authMiddleware, async (req, res) => {
+  try {
+    const file = await File.findById(req.params.id).populate('course', CONTENT_ACCESS_FIELDS);
+
+    if (!file || !file.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Archivo no encontrado'
+      });
+    }
+
+    // Verificar acceso
+    if (!(await canAccessContent(req.user, file.course, { file: file._id }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes acceso a este archivo'
+      });
+    }
+
+    const { query, expiresAt } = signResource('file', file._id, req.user);
+
+    res.json({
+      success: true,
+      url: `${file.downloadUrl}?${query}`,
+      expiresAt
+    });
+
+  } catch (error) {
+    console.error('Error generando URL de descarga:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
 // @route   PUT /api/files/:id
 // @desc    Actualizar información de archivo
-// @access  Private (Admin)
-router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+// @access  Private (Admin, Instructor del curso)
+router.put('/:id', authMiddleware, requirePermission('file', 'update', courseFromFile()), async (req, res) => {
   try {
     const { title, description, order, tags, videoId } = req.body;
 
@@ -440,8 +470,8 @@ router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
 
 // @route   DELETE /api/files/:id
 // @desc    Eliminar archivo
-// @access  Private (Admin)
-router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+// @access  Private (Admin, Instructor del curso)
+router.delete('/:id', authMiddleware, requirePermission('file', 'delete', courseFromFile()), async (req, res) => {
   try {
     const file = await File.findById(req.params.id);
     
@@ -466,6 +496,7 @@ router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
     await Course.findByIdAndUpdate(file.course, {
       $pull: { files: file._id }
     });
+    await Course.removeLessonsFor(file.course, 'file', file._id);
 
     res.json({
       success: true,
@@ -0,0 +1,345 @@
+const express = require('express');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { hashToken } = require('../utils/hash');
+const { sendInvitation, createInvitation } = require('../utils/invitations');
+const { ACCESS_TOKEN_EXPIRES_IN, issueSession } = require('../utils/tokens');
+const { hasText } = require('../utils/validation');
+const { parsePagination } = require('../utils/courseSearch');
+
+const router = express.Router();
+
+// Roles que se pueden asignar mediante invitación
+const INVITABLE_ROLES = Invitation.schema.path('role').enumValues;
+
+// Función para formatear una invitación en las respuestas
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  status: invitation.isExpired ? 'expired' : invitation.status,
+  expiresAt: invitation.expiresAt,
+  invitedBy: invitation.invitedBy && invitation.invitedBy.fullName ? {
+    id: invitation.invitedBy._id,
+    name: invitation.invitedBy.fullName
+  } : invitation.invitedBy,
+  acceptedAt: invitation.acceptedAt,
+  revokedAt: invitation.revokedAt,
+  sentCount: invitation.sentCount,
+  lastSentAt: invitation.lastSentAt,
+  createdAt: invitation.createdAt
+});
+
+// @route   POST /api/invitations
+// @desc    Crear y enviar una invitación
+// @access  Private (Admin)
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { email, role = 'student' } = req.body;
+
+    if (!hasText(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email es requerido'
+      });
+    }
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Rol inválido. Debe ser uno de: ${INVITABLE_ROLES.join(', ')}`
+      });
+    }
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe un usuario con este email'
+      });
+    }
+
+    // Revoca las invitaciones pendientes anteriores para el mismo email
+    const invitation = await createInvitation({ email, role }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitación enviada exitosamente',
+      invitation: formatInvitation(invitation)
+    });
+
+  } catch (error) {
+    console.error('Error creando invitación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/invitations
+// @desc    Listar invitaciones
+// @access  Private (Admin)
+router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { status, email } = req.query;
+    const { page, limit } = parsePagination(req.query);
+
+    // Construir filtros
+    const filters = {};
+
+    if (status === 'expired') {
+      filters.status = 'pending';
+      filters.expiresAt = { $lte: new Date() };
+    } else if (status === 'pending') {
+      filters.status = 'pending';
+      filters.expiresAt = { $gt: new Date() };
+    } else if (status) {
+      filters.status = String(status);
+    }
+
+    if (hasText(email)) filters.email = email.toLowerCase();
+
+    const skip = (page - 1) * limit;
+
+    const invitations = await Invitation.find(filters)
+      .populate('invitedBy', 'firstName lastName fullName')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const total = await Invitation.countDocuments(filters);
+
+    res.json({
+      success: true,
+      invitations: invitations.map(formatInvitation),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo invitaciones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/invitations/token/:token
+// @desc    Validar una invitación antes de mostrar el formulario de registro
+// @access  Public
+router.get('/token/:token', async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({
+      tokenHash: hashToken(req.params.token),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).populate('user', 'firstName lastName');
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitación inválida o expirada'
+      });
+    }
+
+    res.json({
+      success: true,
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        firstName: invitation.user ? invitation.user.firstName : undefined,
+        lastName: invitation.user ? invitation.user.lastName : undefined,
+        expiresAt: invitation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error validando invitación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/invitations/accept
+// @desc    Aceptar una invitación y crear la cuenta con el rol asignado
+// @access  Public
+router.post('/accept', async (req, res) => {
+  try {
+    const { token, password, firstName, lastName } = req.body;
+
+    if (!hasText(token, password, firstName, lastName)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Todos los campos son requeridos'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'La contraseña debe tener al menos 6 caracteres'
+      });
+    }
+
+    const invitation = await Invitation.findOne({
+      tokenHash: hashToken(token),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitación inválida o expirada'
+      });
+    }
+
+    // Las cuentas creadas por una importación ya existen: se activan con la contraseña elegida
+    let user = invitation.user ? await User.findById(invitation.user) : null;
+
+    if (user) {
+      user.password = password;
+      user.firstName = firstName;
+      user.lastName = lastName;
+      user.emailVerified = true;
+    } else {
+      const existingUser = await User.findOne({ email: invitation.email });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ya existe un usuario con este email'
+        });
+      }
+
+      // El enlace llegó al correo invitado, por lo que el email queda verificado
+      user = new User({
+        email: invitation.email,
+        password,
+        firstName,
+        lastName,
+        role: invitation.role,
+        emailVerified: true
+      });
+    }
+
+    await user.save();
+
+    invitation.status = 'accepted';
+    invitation.acceptedBy = user._id;
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    const session = await issueSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Cuenta creada exitosamente',
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        fullName: user.fullName,
+        role: user.role,
+        emailVerified: user.isEmailVerified
+      }
+    });
+
+  } catch (error) {
+    console.error('Error aceptando invitación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/invitations/:id/resend
+// @desc    Reenviar una invitación (genera un enlace nuevo y renueva la vigencia)
+// @access  Private (Admin)
+router.post('/:id/resend', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitación no encontrada'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `No se puede reenviar una invitación ${invitation.status === 'accepted' ? 'aceptada' : 'revocada'}`
+      });
+    }
+
+    await sendInvitation(invitation, req.user);
+
+    res.json({
+      success: true,
+      message: 'Invitación reenviada exitosamente',
+      invitation: formatInvitation(invitation)
+    });
+
+  } catch (error) {
+    console.error('Error reenviando invitación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revocar una invitación
+// @access  Private (Admin)
+router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitación no encontrada'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Solo se pueden revocar invitaciones pendientes'
+      });
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: 'Invitación revocada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error revocando invitación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+module.exports = router;
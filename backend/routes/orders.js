@@ -0,0 +1,494 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Course = require('../models/Course');
+const { authMiddleware, requireVerifiedEmail } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { hasPermission } = require('../utils/permissions');
+const { buildAppUrl } = require('../utils/mailer');
+const { PAYMENT_CURRENCY, PaymentError, getPaymentProvider } = require('../utils/payments');
+const { fulfillOrder, applyPaymentEvent, markOrderRefunded, cancelOrder } = require('../utils/orders');
+const { CouponError, normalizeCode, quoteCourse, reserveCoupon, releaseRedemption } = require('../utils/coupons');
+const { hasActiveEnrollment, getAvailableSeats } = require('../utils/enrollment');
+const { resolveCohort } = require('../utils/cohorts');
+const { parsePagination } = require('../utils/courseSearch');
+
+const router = express.Router();
+
+// Una orden pendiente reciente se reutiliza en lugar de abrir otro checkout (evita cobros duplicados)
+const PENDING_ORDER_REUSE_MS = 60 * 60 * 1000;
+
+// Función para dar formato a una orden
+const formatOrder = (order) => ({
+  id: order._id,
+  course: order.course && order.course._id ? {
+    id: order.course._id,
+    title: order.course.title,
+    thumbnail: order.course.thumbnail
+  } : order.course,
+  user: order.user && order.user._id ? {
+    id: order.user._id,
+    name: order.user.fullName,
+    email: order.user.email
+  } : order.user,
+  cohort: order.cohort || undefined,
+  subtotal: order.subtotal,
+  discount: order.discount,
+  couponCode: order.couponCode || undefined,
+  amount: order.amount,
+  currency: order.currency,
+  status: order.status,
+  provider: order.provider,
+  checkoutUrl: order.status === 'pending' ? order.checkoutUrl : undefined,
+  paidAt: order.paidAt,
+  refundedAt: order.refundedAt,
+  refundReason: order.refundReason || undefined,
+  createdAt: order.createdAt
+});
+
+// Función para buscar una orden visible para el usuario (la propia, o cualquiera para un admin)
+const findOrder = async (req, res) => {
+  const order = mongoose.isValidObjectId(req.params.id)
+    ? await Order.findById(req.params.id)
+      .populate('course', 'title thumbnail')
+      .populate('user', 'firstName lastName fullName email')
+    : null;
+
+  const canRead = order && (
+    (order.user && order.user._id.toString() === req.user._id.toString()) ||
+    hasPermission(req.user, 'order', 'read')
+  );
+
+  if (!canRead) {
+    res.status(404).json({
+      success: false,
+      message: 'Orden no encontrada'
+    });
+    return null;
+  }
+
+  return order;
+};
+
+// @route   POST /api/orders
+// @desc    Crear una orden de compra para un curso pago (couponCode y cohortId opcionales) y obtener la URL de pago
+//          Si el cupón cubre todo el precio, la orden queda pagada y se inscribe al usuario
+// @access  Private (email verificado)
+router.post('/', authMiddleware, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { courseId, couponCode, cohortId } = req.body;
+
+    const course = mongoose.isValidObjectId(courseId) ? await Course.findById(courseId) : null;
+
+    if (!course || !course.isLive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Curso no encontrado'
+      });
+    }
+
+    if (!(course.price > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Este curso es gratuito. Inscríbete directamente'
+      });
+    }
+
+    if (await hasActiveEnrollment(req.user, course)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya estás inscrito en este curso'
+      });
+    }
+
+    // Los cursos pagos no tienen lista de espera: sin cupos no se venden
+    // (una orden ya creada se respeta al confirmarse el pago)
+    if (await getAvailableSeats(course) === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'El curso no tiene cupos disponibles'
+      });
+    }
+
+    const { cohort, error: cohortError } = await resolveCohort(course, cohortId);
+    if (cohortError) {
+      return res.status(400).json({
+        success: false,
+        message: cohortError
+      });
+    }
+
+    const provider = getPaymentProvider();
+
+    // Una orden pendiente reciente con el mismo código se reutiliza antes de cotizar:
+    // su uso del cupón ya está reservado y cotizar de nuevo lo contaría otra vez
+    const pendingOrder = await Order.findOne({
+      user: req.user._id,
+      course: course._id,
+      cohort: cohort ? cohort._id : null,
+      status: 'pending',
+      provider: provider.name,
+      subtotal: course.price,
+      couponCode: normalizeCode(couponCode),
+      checkoutUrl: { $ne: '' },
+      createdAt: { $gt: new Date(Date.now() - PENDING_ORDER_REUSE_MS) }
+    });
+
+    if (pendingOrder) {
+      return res.json({
+        success: true,
+        message: 'Ya tienes una orden pendiente para este curso',
+        order: formatOrder(pendingOrder),
+        checkoutUrl: pendingOrder.checkoutUrl
+      });
+    }
+
+    const quote = await quoteCourse(course, req.user, couponCode);
+    const isFree = quote.finalPrice === 0;
+    const order = new Order({
+      user: req.user._id,
+      course: course._id,
+      cohort: cohort ? cohort._id : null,
+      subtotal: quote.price,
+      discount: quote.discount,
+      coupon: quote.coupon ? quote.coupon._id : null,
+      couponCode: quote.coupon ? quote.coupon.code : '',
+      amount: quote.finalPrice,
+      currency: PAYMENT_CURRENCY,
+      provider: isFree ? 'coupon' : provider.name
+    });
+
+    // El uso del cupón se reserva antes de guardar la orden para respetar los límites
+    if (quote.coupon) {
+      await reserveCoupon(quote.coupon, { user: req.user, course, order, discount: quote.discount });
+    }
+
+    if (isFree) {
+      order.status = 'paid';
+      order.paidAt = new Date();
+      await order.save();
+      await fulfillOrder(order);
+
+      return res.status(201).json({
+        success: true,
+        message: 'El descuento cubre el precio completo. Te has inscrito exitosamente al curso',
+        order: formatOrder(order),
+        enrolled: true
+      });
+    }
+
+    await order.save();
+
+    try {
+      const checkout = await provider.createCheckout({
+        order,
+        course,
+        user: req.user,
+        successUrl: buildAppUrl(`/courses/${course._id}`, { checkout: 'success', order: order._id.toString() }),
+        cancelUrl: buildAppUrl(`/courses/${course._id}`, { checkout: 'cancelled', order: order._id.toString() })
+      });
+
+      order.providerReference = checkout.reference;
+      order.checkoutUrl = checkout.checkoutUrl;
+      await order.save();
+    } catch (error) {
+      console.error('Error iniciando pago:', error.response ? error.response.data : error);
+      order.status = 'failed';
+      await order.save();
+      await releaseRedemption(order._id);
+
+      return res.status(502).json({
+        success: false,
+        message: 'No se pudo iniciar el pago. Intenta de nuevo más tarde'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Orden creada. Completa el pago para inscribirte',
+      order: formatOrder(order),
+      checkoutUrl: order.checkoutUrl
+    });
+
+  } catch (error) {
+    if (error instanceof CouponError || error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error creando orden:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/orders
+// @desc    Historial de órdenes del usuario (filtro opcional por status)
+// @access  Private
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { page, limit } = parsePagination(req.query);
+
+    const filters = { user: req.user._id };
+    if (status) filters.status = String(status);
+
+    const skip = (page - 1) * limit;
+
+    const [orders, total] = await Promise.all([
+      Order.find(filters)
+        .populate('course', 'title thumbnail')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      Order.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      orders: orders.map(formatOrder),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo órdenes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/orders/all
+// @desc    Listar todas las órdenes (filtros: status, userId, courseId)
+// @access  Private (Admin)
+router.get('/all', authMiddleware, requirePermission('order', 'read'), async (req, res) => {
+  try {
+    const { status, userId, courseId } = req.query;
+    const { page, limit } = parsePagination(req.query, 20);
+
+    const filters = {};
+    if (status) filters.status = String(status);
+    // ObjectId explícitos: el mismo filtro se usa en aggregate, que no convierte tipos
+    if (userId && mongoose.isValidObjectId(userId)) filters.user = new mongoose.Types.ObjectId(userId);
+    if (courseId && mongoose.isValidObjectId(courseId)) filters.course = new mongoose.Types.ObjectId(courseId);
+
+    const skip = (page - 1) * limit;
+
+    const [orders, total, totals] = await Promise.all([
+      Order.find(filters)
+        .populate('course', 'title thumbnail')
+        .populate('user', 'firstName lastName fullName email')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip),
+      Order.countDocuments(filters),
+      // Montos por estado y moneda para el resumen
+      Order.aggregate([
+        { $match: filters },
+        { $group: { _id: { status: '$status', currency: '$currency' }, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      orders: orders.map(formatOrder),
+      totals: totals.map(item => ({
+        status: item._id.status,
+        currency: item._id.currency,
+        count: item.count,
+        amount: item.amount
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo órdenes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/orders/webhooks/:provider
+// @desc    Notificaciones del proveedor de pagos (pago confirmado, fallido o reembolsado)
+// @access  Public (verificado con la firma del proveedor)
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+
+    if (req.params.provider !== provider.name) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proveedor de pagos no configurado'
+      });
+    }
+
+    const event = provider.parseWebhook(req);
+    const order = await applyPaymentEvent(provider.name, event);
+
+    res.json({
+      success: true,
+      received: true,
+      event: event.type,
+      orderId: order ? order._id : null
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error procesando webhook de pago:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/orders/:id
+// @desc    Obtener una orden
+// @access  Private (dueño de la orden, Admin)
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    res.json({
+      success: true,
+      order: formatOrder(order)
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo orden:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/orders/:id/cancel
+// @desc    Cancelar una orden pendiente
+// @access  Private (dueño de la orden, Admin)
+router.post('/:id/cancel', authMiddleware, async (req, res) => {
+  try {
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    const cancelled = await cancelOrder(order._id);
+
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Solo se pueden cancelar órdenes pendientes'
+      });
+    }
+
+    order.status = cancelled.status;
+
+    res.json({
+      success: true,
+      message: 'Orden cancelada',
+      order: formatOrder(order)
+    });
+
+  } catch (error) {
+    console.error('Error cancelando orden:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/orders/:id/refund
+// @desc    Reembolsar una orden pagada (revoca la inscripción)
+// @access  Private (Admin)
+router.post('/:id/refund', authMiddleware, requirePermission('order', 'refund'), async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+
+    const order = await findOrder(req, res);
+    if (!order) return;
+
+    if (order.status !== 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Solo se pueden reembolsar órdenes pagadas'
+      });
+    }
+
+    // Las órdenes cubiertas por completo con un cupón no pasaron por el proveedor
+    let refund = { refundId: null };
+    if (order.amount > 0) {
+      const provider = getPaymentProvider();
+      if (order.provider !== provider.name) {
+        return res.status(400).json({
+          success: false,
+          message: `La orden se pagó con ${order.provider}, que no es el proveedor configurado`
+        });
+      }
+
+      try {
+        refund = await provider.refund(order);
+      } catch (error) {
+        console.error('Error solicitando reembolso:', error.response ? error.response.data : error);
+        return res.status(502).json({
+          success: false,
+          message: 'El proveedor de pagos rechazó el reembolso'
+        });
+      }
+    }
+
+    // Si el webhook de reembolso llegó antes, la orden ya está reembolsada
+    const refunded = await markOrderRefunded({ _id: order._id }, {
+      refundReason: reason,
+      refundedBy: req.user._id,
+      providerRefundId: refund.refundId
+    });
+
+    res.json({
+      success: true,
+      message: 'Orden reembolsada. Se revocó el acceso al curso',
+      order: formatOrder(Object.assign(order, {
+        status: 'refunded',
+        refundedAt: refunded ? refunded.refundedAt : new Date(),
+        refundReason: reason
+      }))
+    });
+
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error reembolsando orden:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,366 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Review = require('../models/Review');
+const { authMiddleware, optionalAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { hasPermission, canManageCourse } = require('../utils/permissions');
+const { hasActiveEnrollment } = require('../utils/enrollment');
+const { parsePagination } = require('../utils/courseSearch');
+
+// Montado en /api/courses/:courseId/reviews: necesita los parámetros de la ruta padre
+const router = express.Router({ mergeParams: true });
+
+// Órdenes disponibles para el listado de reseñas
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Largo máximo del comentario (igual que en el modelo)
+const MAX_COMMENT_LENGTH = Review.schema.path('comment').options.maxlength;
+
+// Función para validar una calificación (entero de 1 a 5)
+const isValidRating = (rating) => Number.isInteger(rating) && rating >= 1 && rating <= 5;
+
+// Función para validar rating y comment del body
+// Devuelve el mensaje de error o null si son válidos
+const validateReviewBody = ({ rating, comment }, { partial = false } = {}) => {
+  if ((!partial || rating !== undefined) && !isValidRating(rating)) {
+    return 'La calificación debe ser un número entero entre 1 y 5';
+  }
+  if (comment !== undefined && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+    return `El comentario debe ser un texto de hasta ${MAX_COMMENT_LENGTH} caracteres`;
+  }
+  return null;
+};
+
+// Función para buscar el curso de la ruta (404 si no existe o está eliminado)
+const findCourse = async (req, res) => {
+  const course = mongoose.isValidObjectId(req.params.courseId)
+    ? await Course.findById(req.params.courseId)
+    : null;
+
+  if (!course || !course.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Curso no encontrado'
+    });
+    return null;
+  }
+
+  return course;
+};
+
+// Función para buscar una reseña del curso de la ruta
+const findReview = async (req, res) => {
+  const review = mongoose.isValidObjectId(req.params.reviewId)
+    ? await Review.findOne({ _id: req.params.reviewId, course: req.params.courseId })
+    : null;
+
+  if (!review) {
+    res.status(404).json({
+      success: false,
+      message: 'Reseña no encontrada'
+    });
+    return null;
+  }
+
+  return review;
+};
+
+// Función para dar formato a una reseña (los datos de moderación solo para moderadores)
+const formatReview = (review, { canModerate = false } = {}) => ({
+  id: review._id,
+  rating: review.rating,
+  comment: review.comment,
+  user: review.user && review.user._id ? {
+    id: review.user._id,
+    name: review.user.fullName,
+    avatar: review.user.avatar
+  } : review.user,
+  isEdited: review.updatedAt > review.createdAt,
+  isHidden: canModerate ? review.isHidden : undefined,
+  hiddenReason: canModerate ? review.hiddenReason : undefined,
+  createdAt: review.createdAt,
+  updatedAt: review.updatedAt
+});
+
+// Función para dar formato al resumen de calificaciones del curso
+const formatRatingSummary = (course) => ({
+  average: course.rating.average,
+  count: course.rating.count,
+  distribution: course.rating.distribution.toObject()
+});
+
+// @route   GET /api/courses/:courseId/reviews
+// @desc    Listar las reseñas de un curso con el resumen de calificaciones
+//          (filtro rating=1..5, sort: newest, highest, lowest; los moderadores pueden pedir includeHidden=true)
+// @access  Public (con auth opcional para devolver la reseña propia)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { rating, sort = 'newest', includeHidden } = req.query;
+    const { page, limit } = parsePagination(req.query);
+
+    const course = await findCourse(req, res);
+    if (!course) return;
+
+    const isEnrolled = await hasActiveEnrollment(req.user, course);
+    if (!course.isLive && !isEnrolled && !(req.user && canManageCourse(req.user, course))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Curso no encontrado'
+      });
+    }
+
+    const canModerate = hasPermission(req.user, 'review', 'moderate');
+
+    const filters = { course: course._id };
+    if (!(canModerate && includeHidden === 'true')) filters.isHidden = false;
+    if (rating && isValidRating(parseInt(rating))) filters.rating = parseInt(rating);
+
+    const skip = (page - 1) * limit;
+
+    const [reviews, total, myReview] = await Promise.all([
+      Review.find(filters)
+        .populate('user', 'firstName lastName fullName avatar')
+        .sort(REVIEW_SORTS[sort] || REVIEW_SORTS.newest)
+        .limit(limit)
+        .skip(skip),
+      Review.countDocuments(filters),
+      req.user ? Review.findOne({ course: course._id, user: req.user._id }) : null
+    ]);
+
+    res.json({
+      success: true,
+      rating: formatRatingSummary(course),
+      reviews: reviews.map(review => formatReview(review, { canModerate })),
+      // La reseña propia se devuelve aunque esté oculta, para poder editarla
+      myReview: myReview ? { ...formatReview(myReview), isHidden: myReview.isHidden } : null,
+      canReview: isEnrolled && !myReview,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo reseñas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/courses/:courseId/reviews
+// @desc    Calificar un curso (una reseña por alumno)
+// @access  Private (alumnos inscritos)
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { rating, comment = '' } = req.body;
+
+    const validationError = validateReviewBody(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const course = await findCourse(req, res);
+    if (!course) return;
+
+    if (!(await hasActiveEnrollment(req.user, course))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Solo los alumnos inscritos pueden calificar el curso'
+      });
+    }
+
+    const review = await Review.create({
+      course: course._id,
+      user: req.user._id,
+      rating,
+      comment
+    });
+
+    await Course.applyRatingChange(course._id, { added: review.rating });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reseña publicada exitosamente',
+      review: formatReview(review)
+    });
+
+  } catch (error) {
+    // Índice único (course, user): ya existe una reseña del usuario
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya calificaste este curso. Puedes editar tu reseña'
+      });
+    }
+
+    console.error('Error creando reseña:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/courses/:courseId/reviews/:reviewId
+// @desc    Editar la reseña propia (rating, comment)
+// @access  Private (autor de la reseña)
+router.put('/:reviewId', authMiddleware, async (req, res) => {
+  try {
+    const { rating, comment } = req.body;
+
+    const review = await findReview(req, res);
+    if (!review) return;
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Solo puedes editar tus propias reseñas'
+      });
+    }
+
+    const validationError = validateReviewBody(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const changes = {};
+    if (rating !== undefined) changes.rating = rating;
+    if (comment !== undefined) changes.comment = comment;
+
+    // Actualización condicional sobre la calificación leída: el documento anterior indica
+    // la calificación y la visibilidad reales en el momento del cambio, aunque una edición
+    // o una moderación simultánea lo hayan modificado después de la lectura
+    const previous = await Review.findOneAndUpdate(
+      { _id: review._id, rating: review.rating },
+      changes,
+      { runValidators: true }
+    );
+
+    if (!previous) {
+      return res.status(409).json({
+        success: false,
+        message: 'La reseña se modificó mientras la editabas. Intenta de nuevo'
+      });
+    }
+
+    // Las reseñas ocultas no cuentan en el promedio
+    if (!previous.isHidden && changes.rating !== undefined && changes.rating !== previous.rating) {
+      await Course.applyRatingChange(previous.course, { added: changes.rating, removed: previous.rating });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reseña actualizada exitosamente',
+      review: formatReview(Object.assign(previous, changes))
+    });
+
+  } catch (error) {
+    console.error('Error actualizando reseña:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/courses/:courseId/reviews/:reviewId
+// @desc    Eliminar una reseña
+// @access  Private (autor de la reseña, Admin)
+router.delete('/:reviewId', authMiddleware, async (req, res) => {
+  try {
+    const review = await findReview(req, res);
+    if (!review) return;
+
+    const isAuthor = review.user.toString() === req.user._id.toString();
+    if (!isAuthor && !hasPermission(req.user, 'review', 'moderate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Solo puedes eliminar tus propias reseñas'
+      });
+    }
+
+    // Borrado condicional: si dos peticiones llegan a la vez, solo una descuenta la calificación
+    const deleted = await Review.findOneAndDelete({ _id: review._id });
+    if (deleted && !deleted.isHidden) {
+      await Course.applyRatingChange(deleted.course, { removed: deleted.rating });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reseña eliminada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error eliminando reseña:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/courses/:courseId/reviews/:reviewId/moderation
+// @desc    Ocultar o volver a mostrar una reseña (isHidden, reason)
+// @access  Private (Admin)
+router.put('/:reviewId/moderation', authMiddleware, requirePermission('review', 'moderate'), async (req, res) => {
+  try {
+    const { isHidden, reason = '' } = req.body;
+
+    if (typeof isHidden !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isHidden debe ser true o false'
+      });
+    }
+
+    const review = await findReview(req, res);
+    if (!review) return;
+
+    // Actualización condicional: solo se ajusta el promedio si el estado realmente cambió
+    const updated = await Review.findOneAndUpdate(
+      { _id: review._id, isHidden: !isHidden },
+      {
+        isHidden,
+        hiddenReason: isHidden ? reason : '',
+        moderatedBy: req.user._id,
+        moderatedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      await Course.applyRatingChange(updated.course, isHidden
+        ? { removed: updated.rating }
+        : { added: updated.rating });
+    }
+
+    res.json({
+      success: true,
+      message: isHidden ? 'Reseña ocultada' : 'Reseña visible nuevamente',
+      review: formatReview(updated || review, { canModerate: true })
+    });
+
+  } catch (error) {
+    console.error('Error moderando reseña:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,413 @@
+const express = require('express');
+const User = require('../models/User');
+const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { ACCESS_TOKEN_EXPIRES_IN, issueSession } = require('../utils/tokens');
+const { getLockRemaining, recordFailedLogin, clearFailedLogins } = require('../utils/loginProtection');
+const {
+  encryptSecret,
+  createEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  verifyChallengeToken,
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired
+} = require('../utils/twoFactor');
+
+const router = express.Router();
+
+// Campos ocultos necesarios para operar con 2FA
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes';
+
+// Función para validar un código TOTP del usuario y reclamar el intervalo usado
+// El intervalo se reclama con una actualización condicional: si dos peticiones llegan a la vez
+// con el mismo código solo una lo consigue y la otra lo trata como inválido
+const checkTotp = async (user, code) => {
+  const { valid, timeStep } = await verifyTotp(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+  if (!valid) return false;
+
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: timeStep } }]
+    },
+    { twoFactorLastUsedStep: timeStep }
+  );
+
+  return modifiedCount > 0;
+};
+
+// @route   GET /api/auth/2fa/status
+// @desc    Obtener el estado de 2FA del usuario actual
+// @access  Private
+router.get('/status', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorRecoveryCodes');
+
+    res.json({
+      success: true,
+      twoFactor: {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt,
+        required: await isTwoFactorRequired(user),
+        recoveryCodesRemaining: user.twoFactorEnabled
+          ? user.twoFactorRecoveryCodes.filter(code => !code.usedAt).length
+          : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo estado de 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Iniciar la activación de 2FA (genera secreto, URI otpauth y QR)
+// @access  Private
+router.post('/setup', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La verificación en dos pasos ya está activa'
+      });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await createEnrollment(req.user);
+
+    await User.findByIdAndUpdate(req.user._id, {
+      twoFactorPendingSecret: encryptSecret(secret)
+    });
+
+    res.json({
+      success: true,
+      message: 'Escanea el código QR y confirma con un código de tu aplicación',
+      secret,
+      otpauthUrl,
+      qrCode
+    });
+
+  } catch (error) {
+    console.error('Error iniciando activación de 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirmar la activación de 2FA con un código válido
+// @access  Private
+router.post('/enable', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La verificación en dos pasos ya está activa'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Primero debes iniciar la activación con /api/auth/2fa/setup'
+      });
+    }
+
+    const { valid, timeStep } = await verifyTotp(user.twoFactorPendingSecret, code);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código de verificación inválido'
+      });
+    }
+
+    const { codes, recoveryCodes } = await generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = timeStep;
+    user.twoFactorRecoveryCodes = recoveryCodes;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Verificación en dos pasos activada. Guarda tus códigos de recuperación en un lugar seguro',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('Error activando 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Desactivar 2FA (requiere contraseña y código)
+// @access  Private
+router.post('/disable', authMiddleware, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contraseña y código son requeridos'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La verificación en dos pasos no está activa'
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tu rol requiere la verificación en dos pasos'
+      });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch || !(await checkTotp(user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contraseña o código incorrectos'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Verificación en dos pasos desactivada'
+    });
+
+  } catch (error) {
+    console.error('Error desactivando 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerar los códigos de recuperación (invalida los anteriores)
+// @access  Private
+router.post('/recovery-codes', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La verificación en dos pasos no está activa'
+      });
+    }
+
+    if (!(await checkTotp(user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código de verificación inválido'
+      });
+    }
+
+    const { codes, recoveryCodes } = await generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = recoveryCodes;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Códigos de recuperación regenerados',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('Error regenerando códigos de recuperación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Completar el login con el challenge token y un código TOTP o de recuperación
+// @access  Public
+router.post('/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token y código son requeridos'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'La verificación expiró. Inicia sesión nuevamente'
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.isActive || !user.twoFactorEnabled || decoded.tv !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'La verificación expiró. Inicia sesión nuevamente'
+      });
+    }
+
+    const lockRemaining = await getLockRemaining(user.email, user);
+    if (lockRemaining > 0) {
+      res.setHeader('Retry-After', lockRemaining);
+      return res.status(429).json({
+        success: false,
+        message: `Demasiados intentos fallidos. Intenta de nuevo en ${Math.ceil(lockRemaining / 60)} minuto(s)`,
+        retryAfter: lockRemaining
+      });
+    }
+
+    const isValid = recoveryCode
+      ? await consumeRecoveryCode(user, recoveryCode)
+      : await checkTotp(user, code);
+
+    if (!isValid) {
+      await recordFailedLogin(user.email, user, req.ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Código de verificación inválido'
+      });
+    }
+
+    // El intervalo TOTP o el código de recuperación ya quedaron reclamados en la BD
+    await User.updateOne({ _id: user._id }, { lastLogin: new Date() });
+    await clearFailedLogins(user.email, user);
+
+    const session = await issueSession(user, req);
+
+    res.json({
+      success: true,
+      message: 'Inicio de sesión exitoso',
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.filter(item => !item.usedAt).length,
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        fullName: user.fullName,
+        role: user.role,
+        avatar: user.avatar,
+        emailVerified: user.isEmailVerified,
+        twoFactorEnabled: user.twoFactorEnabled
+      }
+    });
+
+  } catch (error) {
+    console.error('Error verificando 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa/policy
+// @desc    Obtener los roles que deben usar 2FA
+// @access  Private (Admin)
+router.get('/policy', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      policy: {
+        requiredRoles: await getRequiredRoles()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo política de 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/auth/2fa/policy
+// @desc    Definir los roles que deben usar 2FA
+// @access  Private (Admin)
+router.put('/policy', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+    const validRoles = User.schema.path('role').enumValues;
+
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !validRoles.includes(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `requiredRoles debe ser una lista con valores: ${validRoles.join(', ')}`
+      });
+    }
+
+    // Evitar que el administrador quede bloqueado por su propia política
+    if (requiredRoles.includes(req.user.role) && !req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Activa tu verificación en dos pasos antes de exigirla a tu rol'
+      });
+    }
+
+    const roles = await setRequiredRoles([...new Set(requiredRoles)], req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Política de verificación en dos pasos actualizada',
+      policy: {
+        requiredRoles: roles
+      }
+    });
+
+  } catch (error) {
+    console.error('Error actualizando política de 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+module.exports = router;
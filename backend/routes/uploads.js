@@ -0,0 +1,497 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const UploadSession = require('../models/UploadSession');
+const Video = require('../models/Video');
+const File = require('../models/File');
+const Course = require('../models/Course');
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission, courseFromBody } = require('../middleware/permissions');
+const { hasPermission } = require('../utils/permissions');
+const { enqueueProcessing } = require('../utils/transcoder');
+const {
+  VIDEOS_DIR,
+  FILES_DIR,
+  VIDEO_TYPE_ERROR,
+  DOCUMENT_TYPE_ERROR,
+  buildUniqueFilename,
+  isAllowedVideo,
+  isAllowedDocument
+} = require('../middleware/upload');
+const {
+  UPLOADS_TMP_DIR,
+  RESUMABLE_MAX_SIZE,
+  UploadError,
+  nextExpiration,
+  appendChunk,
+  computeChecksum,
+  discardUpload
+} = require('../utils/resumableUpload');
+
+const router = express.Router();
+
+// Función para formatear una subida en las respuestas
+const formatUpload = (session) => ({
+  id: session._id,
+  type: session.type,
+  course: session.course,
+  originalName: session.originalName,
+  mimeType: session.mimeType,
+  totalSize: session.totalSize,
+  offset: session.receivedBytes,
+  complete: session.isComplete,
+  title: session.title,
+  expiresAt: session.expiresAt,
+  createdAt: session.createdAt
+});
+
+// Función para buscar una subida del usuario actual
+// Responde 404 y devuelve null si no existe o pertenece a otro usuario
+const findOwnUpload = async (req, res) => {
+  const session = mongoose.isValidObjectId(req.params.id)
+    ? await UploadSession.findOne({ _id: req.params.id, user: req.user._id })
+    : null;
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Subida no encontrada o expirada'
+    });
+    return null;
+  }
+
+  return session;
+};
+
+// Middleware para exigir el permiso de subida según el tipo indicado en el body
+const requireUploadPermission = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.body.courseId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'El curso (courseId) es requerido'
+    });
+  }
+
+  const resource = req.body.type === 'file' ? 'file' : 'video';
+  return requirePermission(resource, 'upload', courseFromBody('courseId'))(req, res, next);
+};
+
+// @route   POST /api/uploads
+// @desc    Iniciar una subida reanudable de video o archivo
+// @access  Private (Admin, Instructor del curso)
+router.post('/', authMiddleware, requireUploadPermission, async (req, res) => {
+  try {
+    const { type, filename, mimeType, size, checksum, title, description, order, videoId } = req.body;
+
+    // Un curso eliminado no admite contenido nuevo
+    if (!req.course.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Curso no encontrado'
+      });
+    }
+
+    if (!['video', 'file'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El tipo debe ser video o file'
+      });
+    }
+
+    const totalSize = parseInt(size);
+
+    if (!filename || !mimeType || !totalSize || totalSize < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nombre, tipo MIME y tamaño del archivo son requeridos'
+      });
+    }
+
+    if (type === 'video' && !title) {
+      return res.status(400).json({
+        success: false,
+        message: 'Título y curso son requeridos'
+      });
+    }
+
+    // Mismas reglas de tipo que la subida directa
+    if (type === 'video' ? !isAllowedVideo(filename, mimeType) : !isAllowedDocument(filename)) {
+      return res.status(400).json({
+        success: false,
+        message: type === 'video' ? VIDEO_TYPE_ERROR : DOCUMENT_TYPE_ERROR
+      });
+    }
+
+    if (totalSize > RESUMABLE_MAX_SIZE[type]) {
+      return res.status(400).json({
+        success: false,
+        message: `El archivo es demasiado grande. Límite: ${Math.round(RESUMABLE_MAX_SIZE[type] / (1024 * 1024))}MB`
+      });
+    }
+
+    if (checksum && !/^[a-f0-9]{64}$/i.test(checksum)) {
+      return res.status(400).json({
+        success: false,
+        message: 'El checksum debe ser un SHA-256 en hexadecimal'
+      });
+    }
+
+    // Un archivo puede asociarse a un video del mismo curso
+    if (type === 'file' && videoId) {
+      const video = mongoose.isValidObjectId(videoId)
+        ? await Video.exists({ _id: videoId, course: req.course._id })
+        : null;
+
+      if (!video) {
+        return res.status(400).json({
+          success: false,
+          message: 'El video indicado no pertenece al curso'
+        });
+      }
+    }
+
+    const session = new UploadSession({
+      user: req.user._id,
+      type,
+      course: req.course._id,
+      originalName: filename,
+      mimeType,
+      totalSize,
+      checksum: checksum ? checksum.toLowerCase() : '',
+      title: title || filename,
+      description: description || '',
+      order: parseInt(order) || 0,
+      video: type === 'file' && videoId ? videoId : null,
+      expiresAt: nextExpiration()
+    });
+    session.tempPath = path.join(UPLOADS_TMP_DIR, session._id.toString());
+
+    await fs.promises.writeFile(session.tempPath, '');
+    await session.save();
+
+    res.setHeader('Location', `/api/uploads/${session._id}`);
+    res.status(201).json({
+      success: true,
+      message: 'Subida iniciada',
+      upload: formatUpload(session)
+    });
+
+  } catch (error) {
+    console.error('Error iniciando subida:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/uploads
+// @desc    Listar las subidas incompletas del usuario (para reanudarlas)
+// @access  Private
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await UploadSession.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      uploads: sessions.map(formatUpload)
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo subidas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   HEAD /api/uploads/:id
+// @desc    Consultar el offset actual (headers Upload-Offset y Upload-Length)
+// @access  Private
+router.head('/:id', authMiddleware, async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      ? await UploadSession.findOne({ _id: req.params.id, user: req.user._id })
+      : null;
+
+    if (!session) {
+      return res.status(404).end();
+    }
+
+    res.setHeader('Upload-Offset', session.receivedBytes);
+    res.setHeader('Upload-Length', session.totalSize);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).end();
+
+  } catch (error) {
+    console.error('Error consultando subida:', error);
+    res.status(500).end();
+  }
+});
+
+// @route   GET /api/uploads/:id
+// @desc    Obtener el estado de una subida
+// @access  Private
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const session = await findOwnUpload(req, res);
+    if (!session) return;
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      upload: formatUpload(session)
+    });
+
+  } catch (error) {
+    console.error('Error consultando subida:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   PATCH /api/uploads/:id
+// @desc    Enviar un fragmento. Requiere el header Upload-Offset con el offset actual
+//          y admite Upload-Checksum ("sha256 <base64>") para verificar el fragmento
+// @access  Private
+router.patch('/:id', authMiddleware, async (req, res) => {
+  try {
+    const session = await findOwnUpload(req, res);
+    if (!session) return;
+
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({
+        success: false,
+        message: 'Content-Type debe ser application/offset+octet-stream'
+      });
+    }
+
+    const offset = parseInt(req.headers['upload-offset']);
+
+    if (offset !== session.receivedBytes) {
+      res.setHeader('Upload-Offset', session.receivedBytes);
+      return res.status(409).json({
+        success: false,
+        message: 'El offset no coincide con los bytes recibidos',
+        offset: session.receivedBytes
+      });
+    }
+
+    let newOffset;
+    try {
+      newOffset = await appendChunk(session, req);
+    } catch (error) {
+      if (!(error instanceof UploadError)) throw error;
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        offset: session.receivedBytes
+      });
+    }
+
+    session.receivedBytes = newOffset;
+    session.expiresAt = nextExpiration();
+    await session.save();
+
+    res.setHeader('Upload-Offset', session.receivedBytes);
+    res.json({
+      success: true,
+      offset: session.receivedBytes,
+      totalSize: session.totalSize,
+      complete: session.isComplete,
+      expiresAt: session.expiresAt
+    });
+
+  } catch (error) {
+    console.error('Error recibiendo fragmento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/uploads/:id/complete
+// @desc    Finalizar la subida: verifica el checksum y crea el video o archivo
+// @access  Private (Admin, Instructor del curso)
+router.post('/:id/complete', authMiddleware, async (req, res) => {
+  try {
+    const session = await findOwnUpload(req, res);
+    if (!session) return;
+
+    if (!session.isComplete) {
+      return res.status(400).json({
+        success: false,
+        message: `Faltan bytes por recibir (${session.receivedBytes} de ${session.totalSize})`,
+        offset: session.receivedBytes
+      });
+    }
+
+    // Reclamar la sesión antes de mover el archivo: de dos peticiones simultáneas solo una la completa
+    const claimed = await UploadSession.findOneAndDelete({ _id: session._id, user: req.user._id });
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'La subida ya se está completando'
+      });
+    }
+
+    // Revalidar el curso y el permiso: pudieron cambiar (o eliminarse el curso) durante la subida
+    const course = await Course.findById(session.course);
+    if (!course || !course.isActive) {
+      await discardUpload(session);
+      return res.status(404).json({
+        success: false,
+        message: 'Curso no encontrado'
+      });
+    }
+
+    if (!hasPermission(req.user, session.type, 'upload', course)) {
+      await discardUpload(session);
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado - No eres instructor de este curso'
+      });
+    }
+
+    if (session.checksum && (await computeChecksum(session.tempPath)) !== session.checksum) {
+      await discardUpload(session);
+      return res.status(400).json({
+        success: false,
+        message: 'El checksum del archivo no coincide. Vuelve a subirlo'
+      });
+    }
+
+    // Mover el archivo a su directorio definitivo
+    const filename = buildUniqueFilename(session.originalName);
+    const filePath = path.join(session.type === 'video' ? VIDEOS_DIR : FILES_DIR, filename);
+    try {
+      await fs.promises.rename(session.tempPath, filePath);
+    } catch (error) {
+      // La sesión ya no existe: sin descartar el temporal, la limpieza periódica no lo encontraría
+      await discardUpload(session);
+      throw error;
+    }
+
+    if (session.type === 'video') {
+      const video = new Video({
+        title: session.title,
+        description: session.description,
+        filename,
+        originalName: session.originalName,
+        filePath,
+        fileSize: session.totalSize,
+        mimeType: session.mimeType,
+        course: course._id,
+        order: session.order,
+        uploadedBy: req.user._id,
+        status: 'processing'
+      });
+
+      await video.save();
+      enqueueProcessing(video._id);
+
+      await Course.findByIdAndUpdate(course._id, {
+        $addToSet: { videos: video._id }
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Video subido exitosamente',
+        video: {
+          id: video._id,
+          title: video.title,
+          description: video.description,
+          filename: video.filename,
+          originalName: video.originalName,
+          fileSize: video.fileSize,
+          formattedSize: video.formattedSize,
+          mimeType: video.mimeType,
+          course: video.course,
+          order: video.order,
+          status: video.status,
+          videoUrl: video.videoUrl,
+          createdAt: video.createdAt
+        }
+      });
+    }
+
+    const file = new File({
+      title: session.title,
+      description: session.description,
+      filename,
+      originalName: session.originalName,
+      filePath,
+      fileSize: session.totalSize,
+      mimeType: session.mimeType,
+      fileType: File.getFileType(session.originalName, session.mimeType),
+      course: course._id,
+      video: session.video,
+      order: session.order,
+      uploadedBy: req.user._id
+    });
+
+    await file.save();
+
+    await Course.findByIdAndUpdate(course._id, {
+      $addToSet: { files: file._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Archivo subido exitosamente',
+      file: {
+        id: file._id,
+        title: file.title,
+        description: file.description,
+        originalName: file.originalName,
+        fileSize: file.fileSize,
+        formattedSize: file.formattedSize,
+        fileType: file.fileType,
+        mimeType: file.mimeType,
+        course: file.course,
+        video: file.video,
+        order: file.order,
+        downloadUrl: file.downloadUrl,
+        createdAt: file.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error completando subida:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/uploads/:id
+// @desc    Cancelar una subida y descartar los bytes recibidos
+// @access  Private
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const session = await findOwnUpload(req, res);
+    if (!session) return;
+
+    await discardUpload(session);
+
+    res.json({
+      success: true,
+      message: 'Subida cancelada'
+    });
+
+  } catch (error) {
+    console.error('Error cancelando subida:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,18 @@
 const express = require('express');
 const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { revokeAllSessions } = require('../utils/tokens');
+const { getLockRemaining, clearFailedLogins } = require('../utils/loginProtection');
+const { literalRegex } = require('../utils/regex');
+const { uploadCsv, handleMulterError } = require('../middleware/upload');
+const { ImportError, planImport, applyImport, formatImportRow, summarizeImport } = require('../utils/userImport');
 
 const router = express.Router();
 
+// Roles válidos según el modelo
+const ROLES = User.schema.path('role').enumValues;
+
 // @route   GET /api/users
 // @desc    Obtener todos los usuarios (Admin)
 // @access  Private (Admin)
@@ -15,10 +24,11 @@ router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
     const filters = {};
     
     if (search) {
+      const pattern = literalRegex(search);
       filters.$or = [
-        { firstName: new RegExp(search, 'i') },
-        { lastName: new RegExp(search, 'i') },
-        { email: new RegExp(search, 'i') }
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern }
       ];
     }
     
@@ -30,13 +40,21 @@ router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
 
     const users = await User.find(filters)
       .select('-password')
-      .populate('enrolledCourses', 'title')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip(skip);
 
     const total = await User.countDocuments(filters);
 
+    // Cursos inscritos de los usuarios de la página, en una sola consulta
+    const enrollments = await Enrollment.find(Enrollment.activeFilter({ user: { $in: users.map(user => user._id) } }))
+      .populate('course', 'title');
+    const coursesByUser = new Map();
+    enrollments.filter(enrollment => enrollment.course).forEach(enrollment => {
+      const key = enrollment.user.toString();
+      coursesByUser.set(key, [...(coursesByUser.get(key) || []), enrollment.course]);
+    });
+
     res.json({
       success: true,
       users: users.map(user => ({
@@ -48,7 +66,7 @@ router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
         role: user.role,
         avatar: user.avatar,
         isActive: user.isActive,
-        enrolledCourses: user.enrolledCourses.map(course => ({
+        enrolledCourses: (coursesByUser.get(user._id.toString()) || []).map(course => ({
           id: course._id,
           title: course.title
         })),
@@ -71,6 +89,54 @@ router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
   }
 });
 
+// @route   POST /api/users/import
+// @desc    Importar usuarios desde un CSV (archivo en file o texto en csv) con las columnas
+//          email, firstName, lastName, role y courseIds: crea los usuarios que no existen,
+//          les envía una invitación y los inscribe en los cursos indicados
+//          Con dryRun=true solo valida y devuelve lo que haría cada fila
+// @access  Private (Admin)
+router.post('/import', authMiddleware, adminMiddleware, uploadCsv.single('file'), handleMulterError, async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    const dryRun = [true, 'true'].includes(req.body.dryRun) || req.query.dryRun === 'true';
+
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Envía el CSV como archivo (file) o como texto (csv)'
+      });
+    }
+
+    const plan = await planImport(text);
+
+    if (!dryRun) {
+      await applyImport(plan, req.user);
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Vista previa de la importación (no se realizaron cambios)' : 'Importación completada',
+      dryRun,
+      summary: summarizeImport(plan),
+      rows: plan.map(formatImportRow)
+    });
+
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error importando usuarios:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Obtener un usuario específico
 // @access  Private (Admin o el mismo usuario)
@@ -84,9 +150,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.params.id)
-      .select('-password')
-      .populate('enrolledCourses', 'title description instructor category level thumbnail');
+    const user = await User.findById(req.params.id).select('-password');
 
     if (!user) {
       return res.status(404).json({
@@ -95,6 +159,11 @@ router.get('/:id', authMiddleware, async (req, res) => {
       });
     }
 
+    const enrollments = await Enrollment.find(Enrollment.activeFilter({ user: user._id }))
+      .populate('course', 'title description instructor category level thumbnail')
+      .sort({ enrolledAt: -1 });
+    const enrolledCourses = enrollments.map(enrollment => enrollment.course).filter(Boolean);
+
     res.json({
       success: true,
       user: {
@@ -106,7 +175,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
         role: user.role,
         avatar: user.avatar,
         isActive: user.isActive,
-        enrolledCourses: user.enrolledCourses.map(course => ({
+        enrolledCourses: enrolledCourses.map(course => ({
           id: course._id,
           title: course.title,
           description: course.description,
@@ -161,12 +230,19 @@ router.put('/:id', authMiddleware, async (req, res) => {
 
     // Solo admin puede cambiar role e isActive
     if (req.user.role === 'admin') {
-      if (role && ['student', 'admin'].includes(role)) user.role = role;
+      if (role && ROLES.includes(role)) user.role = role;
       if (isActive !== undefined) user.isActive = isActive;
     }
 
+    const wasDeactivated = user.isModified('isActive') && !user.isActive;
+
     await user.save();
 
+    // Cerrar todas las sesiones del usuario desactivado
+    if (wasDeactivated) {
+      await revokeAllSessions(user._id);
+    }
+
     res.json({
       success: true,
       message: 'Usuario actualizado exitosamente',
@@ -199,10 +275,10 @@ router.put('/:id/role', authMiddleware, adminMiddleware, async (req, res) => {
   try {
     const { role } = req.body;
 
-    if (!role || !['student', 'admin'].includes(role)) {
+    if (!role || !ROLES.includes(role)) {
       return res.status(400).json({
         success: false,
-        message: 'Rol inválido. Debe ser "student" o "admin"'
+        message: `Rol inválido. Debe ser uno de: ${ROLES.join(', ')}`
       });
     }
 
@@ -216,7 +292,7 @@ router.put('/:id/role', authMiddleware, adminMiddleware, async (req, res) => {
     }
 
     // Prevenir que el usuario se quite a sí mismo el rol de admin
-    if (req.user._id.toString() === req.params.id && role === 'student') {
+    if (req.user._id.toString() === req.params.id && role !== 'admin') {
       return res.status(400).json({
         success: false,
         message: 'No puedes quitar tu propio rol de administrador'
@@ -281,6 +357,11 @@ router.put('/:id/status', authMiddleware, adminMiddleware, async (req, res) => {
     user.isActive = isActive;
     await user.save();
 
+    // Cerrar todas las sesiones del usuario desactivado
+    if (!isActive) {
+      await revokeAllSessions(user._id);
+    }
+
     res.json({
       success: true,
       message: `Usuario ${isActive ? 'activado' : 'desactivado'} exitosamente`,
@@ -328,6 +409,7 @@ router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
     user.isActive = false;
     user.email = `deleted_${Date.now()}_${user.email}`; // Para evitar conflictos de email único
     await user.save();
+    await revokeAllSessions(user._id);
 
     res.json({
       success: true,
@@ -343,6 +425,115 @@ router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/security/lockouts
+// @desc    Listar cuentas bloqueadas o con intentos de login fallidos
+// @access  Private (Admin)
+router.get('/security/lockouts', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { lockedOnly } = req.query;
+
+    const filters = lockedOnly === 'true'
+      ? { lockUntil: { $gt: new Date() } }
+      : { $or: [{ failedLoginAttempts: { $gt: 0 } }, { lockUntil: { $gt: new Date() } }] };
+
+    const users = await User.find(filters)
+      .select('email firstName lastName failedLoginAttempts lastFailedLoginAt lastFailedLoginIp lockUntil')
+      .sort({ lastFailedLoginAt: -1 })
+      .limit(100);
+
+    const lockouts = await Promise.all(users.map(async (user) => ({
+      id: user._id,
+      email: user.email,
+      fullName: user.fullName,
+      failedLoginAttempts: user.failedLoginAttempts,
+      lastFailedLoginAt: user.lastFailedLoginAt,
+      lastFailedLoginIp: user.lastFailedLoginIp,
+      lockUntil: user.isLocked ? user.lockUntil : null,
+      lockRemaining: await getLockRemaining(user.email, user)
+    })));
+
+    res.json({
+      success: true,
+      lockouts
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo bloqueos de usuarios:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/lockout
+// @desc    Desbloquear una cuenta y limpiar sus intentos fallidos
+// @access  Private (Admin)
+router.delete('/:id/lockout', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    await clearFailedLogins(user.email, user);
+
+    res.json({
+      success: true,
+      message: 'Cuenta desbloqueada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error desbloqueando usuario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/2fa
+// @desc    Restablecer la verificación en dos pasos de un usuario (pérdida del dispositivo)
+// @access  Private (Admin)
+router.delete('/:id/2fa', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+
+    // Cerrar las sesiones abiertas con el segundo factor anterior
+    await revokeAllSessions(user._id);
+
+    res.json({
+      success: true,
+      message: 'Verificación en dos pasos restablecida exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error restableciendo 2FA de usuario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
 // @route   GET /api/users/stats/overview
 // @desc    Obtener estadísticas de usuarios
 // @access  Private (Admin)
@@ -351,6 +542,7 @@ router.get('/stats/overview', authMiddleware, adminMiddleware, async (req, res)
     const totalUsers = await User.countDocuments();
     const activeUsers = await User.countDocuments({ isActive: true });
     const adminUsers = await User.countDocuments({ role: 'admin', isActive: true });
+    const instructorUsers = await User.countDocuments({ role: 'instructor', isActive: true });
     const studentUsers = await User.countDocuments({ role: 'student', isActive: true });
     const inactiveUsers = await User.countDocuments({ isActive: false });
 
@@ -369,6 +561,7 @@ router.get('/stats/overview', authMiddleware, adminMiddleware, async (req, res)
         activeUsers,
         inactiveUsers,
         adminUsers,
+        instructorUsers,
         studentUsers,
         recentUsers
       }
@@ -3,15 +3,58 @@ const fs = require('fs');
 const path = require('path');
 const Video = require('../models/Video');
 const Course = require('../models/Course');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
-const { uploadVideo, handleMulterError, getFileInfo, deleteFile } = require('../middleware/upload');
+const VideoProgress = require('../models/VideoProgress');
+const { authMiddleware } = require('../middleware/auth');
+const { requirePermission, courseFromVideo } = require('../middleware/permissions');
+const { hasPermission, canManageCourse } = require('../utils/permissions');
+const { CONTENT_ACCESS_FIELDS, canAccessCourse, canAccessContent } = require('../utils/enrollment');
+const { authOrSignedUrl } = require('../middleware/signedUrl');
+const { signResource } = require('../utils/signedUrl');
+const { serveFile } = require('../utils/serveFile');
+const { enqueueProcessing, deleteHlsOutput } = require('../utils/transcoder');
+const { buildStoryboardVtt, deleteGeneratedImages } = require('../utils/videoMetadata');
+const { LANGUAGE_REGEX, CaptionError, convertToVtt } = require('../utils/captions');
+const { parseChapterTime, validateChapter, buildChaptersVtt } = require('../utils/chapters');
+const { uploadVideo, uploadCaption, handleMulterError, getFileInfo, deleteFile, CAPTIONS_DIR } = require('../middleware/upload');
 
 const router = express.Router();
 
+// Nombres por defecto de las pistas de subtítulos más comunes
+const CAPTION_LABELS = {
+  es: 'Español',
+  en: 'English',
+  pt: 'Português',
+  fr: 'Français'
+};
+
+// Función para buscar un video y verificar que el usuario tiene acceso a su curso y a su lección
+// Responde con el error correspondiente y devuelve null si no hay acceso
+const findAccessibleVideo = async (req, res) => {
+  const video = await Video.findById(req.params.id).populate('course', CONTENT_ACCESS_FIELDS);
+
+  if (!video || !video.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Video no encontrado'
+    });
+    return null;
+  }
+
+  if (!(await canAccessContent(req.user, video.course, { video: video._id }))) {
+    res.status(403).json({
+      success: false,
+      message: 'No tienes acceso a este video'
+    });
+    return null;
+  }
+
+  return video;
+};
+
 // @route   POST /api/videos/upload
 // @desc    Subir video
-// @access  Private (Admin)
-router.post('/upload', authMiddleware, adminMiddleware, uploadVideo.single('video'), handleMulterError, async (req, res) => {
+// @access  Private (Admin, Instructor del curso)
+router.post('/upload', authMiddleware, requirePermission('video', 'upload'), uploadVideo.single('video'), handleMulterError, async (req, res) => {
   try {
     const { title, description, courseId, order = 0 } = req.body;
 
@@ -41,6 +84,15 @@ router.post('/upload', authMiddleware, adminMiddleware, uploadVideo.single('vide
       });
     }
 
+    // Verificar que el usuario puede subir videos a este curso
+    if (!hasPermission(req.user, 'video', 'upload', course)) {
+      await deleteFile(req.file.path);
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado - No eres instructor de este curso'
+      });
+    }
+
     const fileInfo = getFileInfo(req.file);
 
     // Crear nuevo video
@@ -54,11 +106,16 @@ router.post('/upload', authMiddleware, adminMiddleware, uploadVideo.single('vide
       mimeType: fileInfo.mimeType,
       course: courseId,
       order: parseInt(order) || 0,
-      uploadedBy: req.user._id
+      uploadedBy: req.user._id,
+      status: 'processing'
     });
 
     await video.save();
 
+    // Extraer metadatos, generar miniaturas y transcodificar en segundo plano.
+    // Mientras tanto el video se puede reproducir desde el archivo original
+    enqueueProcessing(video._id);
+
     // Agregar video al curso
     await Course.findByIdAndUpdate(courseId, {
       $addToSet: { videos: video._id }
@@ -78,6 +135,7 @@ router.post('/upload', authMiddleware, adminMiddleware, uploadVideo.single('vide
         mimeType: video.mimeType,
         course: video.course,
         order: video.order,
+        status: video.status,
         videoUrl: video.videoUrl,
         createdAt: video.createdAt
       }
@@ -98,10 +156,10 @@ router.post('/upload', authMiddleware, adminMiddleware, uploadVideo.single('vide
 
 // @route   GET /api/videos/stream/:id
 // @desc    Streaming de video
-// @access  Private
-router.get('/stream/:id', authMiddleware, async (req, res) => {
+// @access  Private (header Authorization o URL firmada). Admite GET y HEAD
+router.get('/stream/:id', authOrSignedUrl('video'), async (req, res) => {
   try {
-    const video = await Video.findById(req.params.id).populate('course', 'title enrolledStudents');
+    const video = await Video.findById(req.params.id).populate('course', `title ${CONTENT_ACCESS_FIELDS}`);
     
     if (!video) {
       return res.status(404).json({
@@ -110,64 +168,36 @@ router.get('/stream/:id', authMiddleware, async (req, res) => {
       });
     }
 
-    // Verificar que el usuario tiene acceso al curso
-    const isEnrolled = video.course.enrolledStudents.some(studentId => 
-      studentId.toString() === req.user._id.toString()
-    );
-    
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isEnrolled && !isAdmin) {
+    // Verificar que el usuario tiene acceso al curso y que la lección del video ya se liberó
+    if (!(await canAccessContent(req.user, video.course, { video: video._id }))) {
       return res.status(403).json({
         success: false,
         message: 'No tienes acceso a este video'
       });
     }
 
-    const videoPath = video.filePath;
-    
-    // Verificar que el archivo existe
-    if (!fs.existsSync(videoPath)) {
+    // Streaming con soporte de ranges (seek), caché condicional y HEAD
+    const result = await serveFile(req, res, {
+      filePath: video.filePath,
+      contentType: video.mimeType || 'video/mp4'
+    });
+
+    if (!result) {
       return res.status(404).json({
         success: false,
         message: 'Archivo de video no encontrado'
       });
     }
 
-    const stat = fs.statSync(videoPath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
-
-    if (range) {
-      // Streaming con ranges para permitir seek
-      const parts = range.replace(/bytes=/, "").split("-");
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      const chunksize = (end - start) + 1;
-      const file = fs.createReadStream(videoPath, { start, end });
-      const head = {
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunksize,
-        'Content-Type': video.mimeType || 'video/mp4',
-      };
-      res.writeHead(206, head);
-      file.pipe(res);
-    } else {
-      // Sin ranges
-      const head = {
-        'Content-Length': fileSize,
-        'Content-Type': video.mimeType || 'video/mp4',
-      };
-      res.writeHead(200, head);
-      fs.createReadStream(videoPath).pipe(res);
-    }
-
-    // Incrementar contador de vistas (sin await para no bloquear el streaming)
-    Video.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } }).exec();
+    // Incrementar contador de vistas solo en la petición inicial, no en los chunks de seek
+    // (sin await para no bloquear el streaming)
+    if (req.method === 'GET' && (result.status === 200 || (result.status === 206 && result.start === 0))) {
+      Video.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } }).exec();
+    }
 
   } catch (error) {
     console.error('Error en streaming de video:', error);
+    if (res.headersSent) return res.destroy();
     res.status(500).json({
       success: false,
       message: 'Error del servidor'
@@ -190,13 +220,7 @@ router.get('/course/:courseId', authMiddleware, async (req, res) => {
     }
 
     // Verificar acceso
-    const isEnrolled = course.enrolledStudents.some(studentId => 
-      studentId.toString() === req.user._id.toString()
-    );
-    
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isEnrolled && !isAdmin) {
+    if (!(await canAccessCourse(req.user, course))) {
       return res.status(403).json({
         success: false,
         message: 'No tienes acceso a este curso'
@@ -208,20 +232,36 @@ router.get('/course/:courseId', authMiddleware, async (req, res) => {
       isActive: true 
     }).sort({ order: 1, createdAt: 1 });
 
+    // Progreso del usuario en los videos del curso
+    const progressList = await VideoProgress.find({
+      user: req.user._id,
+      course: req.params.courseId
+    });
+    const progressByVideo = new Map(progressList.map(progress => [progress.video.toString(), progress]));
+
     res.json({
       success: true,
-      videos: videos.map(video => ({
-        id: video._id,
-        title: video.title,
-        description: video.description,
-        order: video.order,
-        duration: video.duration,
-        formattedDuration: video.formattedDuration,
-        thumbnail: video.thumbnail,
-        videoUrl: video.videoUrl,
-        views: video.views,
-        createdAt: video.createdAt
-      }))
+      videos: videos.map(video => {
+        const progress = progressByVideo.get(video._id.toString());
+
+        return {
+          id: video._id,
+          title: video.title,
+          description: video.description,
+          order: video.order,
+          duration: video.duration,
+          formattedDuration: video.formattedDuration,
+          thumbnail: video.thumbnailUrl,
+          videoUrl: video.videoUrl,
+          hlsUrl: video.hlsUrl,
+          status: video.status,
+          views: video.views,
+          resumeAt: progress ? progress.lastPosition : 0,
+          watchedPercentage: progress ? progress.watchedPercentage : 0,
+          completed: progress ? progress.completed : false,
+          createdAt: video.createdAt
+        };
+      })
     });
 
   } catch (error) {
@@ -238,7 +278,7 @@ router.get('/course/:courseId', authMiddleware, async (req, res) => {
 // @access  Private
 router.get('/:id', authMiddleware, async (req, res) => {
   try {
-    const video = await Video.findById(req.params.id).populate('course', 'title enrolledStudents');
+    const video = await Video.findById(req.params.id).populate('course', `title ${CONTENT_ACCESS_FIELDS}`);
     
     if (!video) {
       return res.status(404).json({
@@ -248,13 +288,9 @@ router.get('/:id', authMiddleware, async (req, res) => {
     }
 
     // Verificar acceso
-    const isEnrolled = video.course.enrolledStudents.some(studentId => 
-      studentId.toString() === req.user._id.toString()
-    );
-    
-    const isAdmin = req.user.role === 'admin';
+    const canManage = canManageCourse(req.user, video.course);
 
-    if (!isEnrolled && !isAdmin) {
+    if (!(await canAccessContent(req.user, video.course, { video: video._id }))) {
       return res.status(403).json({
         success: false,
         message: 'No tienes acceso a este video'
@@ -272,8 +308,16 @@ router.get('/:id', authMiddleware, async (req, res) => {
         formattedDuration: video.formattedDuration,
         fileSize: video.fileSize,
         formattedSize: video.formattedSize,
-        thumbnail: video.thumbnail,
+        thumbnail: video.thumbnailUrl,
+        storyboardUrl: video.storyboardUrl,
+        metadata: video.metadata,
         videoUrl: video.videoUrl,
+        hlsUrl: video.hlsUrl,
+        status: video.status,
+        processingError: canManage ? video.processingError : undefined,
+        renditions: video.renditions,
+        captions: video.getCaptionTracks(),
+        chapters: video.getChapters(),
         views: video.views,
         course: {
           id: video.course._id,
@@ -293,12 +337,662 @@ router.get('/:id', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   GET /api/videos/:id/stream-url
+// @desc    Obtener una URL firmada y temporal para reproducir el video en <video src>
+// @access  Private
+router.get('/:id/stream-url', authMiddleware, async (req, res) => {
+  try {
+    const video = await findAccessibleVideo(req, res);
+    if (!video) return;
+
+    const { query, expiresAt } = signResource('video', video._id, req.user);
+
+    res.json({
+      success: true,
+      url: `${video.videoUrl}?${query}`,
+      hlsUrl: video.hlsUrl ? `${video.hlsUrl}?${query}` : null,
+      storyboardUrl: video.storyboardUrl ? `${video.storyboardUrl}?${query}` : null,
+      captions: video.getCaptionTracks(query),
+      chaptersUrl: video.chapters.length ? `/api/videos/${video._id}/chapters.vtt?${query}` : null,
+      status: video.status,
+      expiresAt
+    });
+
+  } catch (error) {
+    console.error('Error generando URL de streaming:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/videos/:id/hls/master.m3u8
+// @route   GET /api/videos/:id/hls/:rendition/:file
+// @desc    Servir el master playlist, las variantes y los segmentos HLS
+// @access  Private (header Authorization o URL firmada)
+router.get(['/:id/hls/master.m3u8', '/:id/hls/:rendition/:file'], authOrSignedUrl('video'), async (req, res) => {
+  try {
+    const video = await findAccessibleVideo(req, res);
+    if (!video) return;
+
+    if (video.status !== 'ready' || !video.hlsPath) {
+      return res.status(409).json({
+        success: false,
+        status: video.status,
+        message: video.status === 'processing'
+          ? 'El video todavía se está procesando'
+          : 'El video no tiene versión HLS disponible'
+      });
+    }
+
+    const { rendition, file } = req.params;
+
+    // Evitar path traversal: solo variantes conocidas y nombres de archivo simples
+    if (rendition && (!video.renditions.some(item => item.name === rendition) ||
+        !/^[\w-]+\.(m3u8|ts)$/.test(file))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurso HLS no encontrado'
+      });
+    }
+
+    const filePath = rendition
+      ? path.join(video.hlsPath, rendition, file)
+      : path.join(video.hlsPath, 'master.m3u8');
+
+    // Los segmentos se sirven con rangos y caché condicional
+    if (filePath.endsWith('.ts')) {
+      const result = await serveFile(req, res, { filePath, contentType: 'video/mp2t' });
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recurso HLS no encontrado'
+        });
+      }
+      return;
+    }
+
+    let playlist;
+    try {
+      playlist = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurso HLS no encontrado'
+      });
+    }
+
+    // Con URL firmada, propagar la firma a las URIs relativas del playlist
+    if (req.signedUrl) {
+      const { expires, uid, sig } = req.query;
+      const query = new URLSearchParams({ expires, uid, sig }).toString();
+      playlist = playlist
+        .split('\n')
+        .map(line => (line && !line.startsWith('#') ? `${line}?${query}` : line))
+        .join('\n');
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.send(playlist);
+
+  } catch (error) {
+    console.error('Error sirviendo HLS:', error);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/videos/:id/thumbnail
+// @desc    Servir el póster generado automáticamente
+// @access  Public (igual que el listado de videos del curso)
+router.get('/:id/thumbnail', async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id).populate('course', 'isActive');
+
+    if (!video || !video.isActive || !video.course || !video.course.isActive || !video.thumbnailPath) {
+      return res.status(404).json({
+        success: false,
+        message: 'Miniatura no encontrada'
+      });
+    }
+
+    const result = await serveFile(req, res, { filePath: video.thumbnailPath, contentType: 'image/jpeg' });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Miniatura no encontrada'
+      });
+    }
+
+  } catch (error) {
+    console.error('Error sirviendo miniatura:', error);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/videos/:id/storyboard.vtt
+// @desc    WebVTT con las previsualizaciones para la barra de progreso
+// @access  Private (header Authorization o URL firmada)
+router.get('/:id/storyboard.vtt', authOrSignedUrl('video'), async (req, res) => {
+  try {
+    const video = await findAccessibleVideo(req, res);
+    if (!video) return;
+
+    if (!video.sprite || !video.sprite.path) {
+      return res.status(404).json({
+        success: false,
+        message: 'El video no tiene previsualizaciones'
+      });
+    }
+
+    // Con URL firmada, la imagen del sprite se pide con la misma firma
+    let imageUrl = `/api/videos/${video._id}/storyboard.jpg`;
+    if (req.signedUrl) {
+      const { expires, uid, sig } = req.query;
+      imageUrl += `?${new URLSearchParams({ expires, uid, sig }).toString()}`;
+    }
+
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.send(buildStoryboardVtt(video.sprite, video.duration, imageUrl));
+
+  } catch (error) {
+    console.error('Error generando storyboard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/videos/:id/storyboard.jpg
+// @desc    Imagen sprite con los cuadros de previsualización
+// @access  Private (header Authorization o URL firmada)
+router.get('/:id/storyboard.jpg', authOrSignedUrl('video'), async (req, res) => {
+  try {
+    const video = await findAccessibleVideo(req, res);
+    if (!video) return;
+
+    const result = video.sprite && video.sprite.path
+      ? await serveFile(req, res, { filePath: video.sprite.path, contentType: 'image/jpeg' })
+      : null;
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'El video no tiene previsualizaciones'
+      });
+    }
+
+  } catch (error) {
+    console.error('Error sirviendo storyboard:', error);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/videos/:id/captions
+// @desc    Listar las pistas de subtítulos con URLs firmadas para <track src>
+// @access  Private
+router.get('/:id/captions', authMiddleware, async (req, res) => {
+  try {
+    const video = await findAccessibleVideo(req, res);
+    if (!video) return;
+
+    const { query, expiresAt } = signResource('video', video._id, req.user);
+
+    res.json({
+      success: true,
+      captions: video.getCaptionTracks(query),
+      expiresAt
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo subtítulos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/videos/:id/captions/:language.vtt
+// @desc    Servir una pista de subtítulos en WebVTT
+// @access  Private (header Authorization o URL firmada)
+router.get('/:id/captions/:language.vtt', authOrSignedUrl('video'), async (req, res) => {
+  try {
+    const video = await findAccessibleVideo(req, res);
+    if (!video) return;
+
+    const track = video.captions.find(item => item.language === req.params.language);
+
+    const result = track
+      ? await serveFile(req, res, { filePath: track.filePath, contentType: 'text/vtt; charset=utf-8' })
+      : null;
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtítulos no encontrados'
+      });
+    }
+
+  } catch (error) {
+    console.error('Error sirviendo subtítulos:', error);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/videos/:id/captions/:language
+// @desc    Subir o reemplazar los subtítulos de un idioma (WebVTT o SRT, se guardan como WebVTT)
+// @access  Private (Admin, Instructor del curso)
+router.put('/:id/captions/:language', authMiddleware, requirePermission('video', 'update', courseFromVideo()), uploadCaption.single('caption'), handleMulterError, async (req, res) => {
+  try {
+    const { language } = req.params;
+    const { label, isDefault } = req.body;
+
+    if (!LANGUAGE_REGEX.test(language)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idioma inválido. Usa un código como es, en o pt-BR'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se proporcionó archivo de subtítulos'
+      });
+    }
+
+    const video = await Video.findById(req.params.id);
+
+    let converted;
+    try {
+      converted = convertToVtt(req.file.buffer, req.file.originalname, video.duration);
+    } catch (error) {
+      if (!(error instanceof CaptionError)) throw error;
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    const filePath = path.join(CAPTIONS_DIR, `${video._id}-${language}.vtt`);
+    await fs.promises.writeFile(filePath, converted.vtt);
+
+    const existing = video.captions.find(item => item.language === language);
+    const track = existing || { language };
+
+    track.label = label || (existing && existing.label) || CAPTION_LABELS[language.split('-')[0]] || language;
+    track.filePath = filePath;
+    track.cueCount = converted.cueCount;
+    track.updatedAt = new Date();
+
+    // Solo una pista puede ser la predeterminada
+    const makeDefault = isDefault === true || isDefault === 'true' || video.captions.length === 0;
+    if (makeDefault) {
+      video.captions.forEach(item => { item.isDefault = false; });
+      track.isDefault = true;
+    } else if (isDefault === false || isDefault === 'false') {
+      track.isDefault = false;
+    }
+
+    if (!existing) {
+      video.captions.push(track);
+    }
+
+    await video.save();
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Subtítulos reemplazados exitosamente' : 'Subtítulos agregados exitosamente',
+      sourceFormat: converted.sourceFormat,
+      captions: video.getCaptionTracks()
+    });
+
+  } catch (error) {
+    console.error('Error guardando subtítulos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/videos/:id/captions/:language
+// @desc    Eliminar los subtítulos de un idioma
+// @access  Private (Admin, Instructor del curso)
+router.delete('/:id/captions/:language', authMiddleware, requirePermission('video', 'update', courseFromVideo()), async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+    const track = video.captions.find(item => item.language === req.params.language);
+
+    if (!track) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtítulos no encontrados'
+      });
+    }
+
+    await deleteFile(track.filePath);
+
+    video.captions = video.captions.filter(item => item.language !== track.language);
+    // Si se eliminó la predeterminada, la primera restante pasa a serlo
+    if (track.isDefault && video.captions.length > 0) {
+      video.captions[0].isDefault = true;
+    }
+    await video.save();
+
+    res.json({
+      success: true,
+      message: 'Subtítulos eliminados exitosamente',
+      captions: video.getCaptionTracks()
+    });
+
+  } catch (error) {
+    console.error('Error eliminando subtítulos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/videos/:id/chapters
+// @desc    Listar los capítulos del video
+// @access  Private
+router.get('/:id/chapters', authMiddleware, async (req, res) => {
+  try {
+    const video = await findAccessibleVideo(req, res);
+    if (!video) return;
+
+    res.json({
+      success: true,
+      chapters: video.getChapters()
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo capítulos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   GET /api/videos/:id/chapters.vtt
+// @desc    Pista WebVTT de capítulos para el reproductor (<track kind="chapters">)
+// @access  Private (header Authorization o URL firmada)
+router.get('/:id/chapters.vtt', authOrSignedUrl('video'), async (req, res) => {
+  try {
+    const video = await findAccessibleVideo(req, res);
+    if (!video) return;
+
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.send(buildChaptersVtt(video.getChapters()));
+
+  } catch (error) {
+    console.error('Error generando pista de capítulos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/videos/:id/chapters
+// @desc    Agregar un capítulo (startTime/endTime en segundos o hh:mm:ss)
+// @access  Private (Admin, Instructor del curso)
+router.post('/:id/chapters', authMiddleware, requirePermission('video', 'update', courseFromVideo()), async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+
+    const chapter = {
+      title: req.body.title,
+      startTime: parseChapterTime(req.body.startTime),
+      endTime: parseChapterTime(req.body.endTime)
+    };
+
+    const validationError = validateChapter(chapter, video);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    video.chapters.push(chapter);
+    await video.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Capítulo agregado exitosamente',
+      chapter: {
+        id: video.chapters[video.chapters.length - 1]._id,
+        ...chapter
+      },
+      chapters: video.getChapters()
+    });
+
+  } catch (error) {
+    console.error('Error agregando capítulo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/videos/:id/chapters/:chapterId
+// @desc    Actualizar un capítulo
+// @access  Private (Admin, Instructor del curso)
+router.put('/:id/chapters/:chapterId', authMiddleware, requirePermission('video', 'update', courseFromVideo()), async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+    const chapter = video.chapters.id(req.params.chapterId);
+
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Capítulo no encontrado'
+      });
+    }
+
+    const { title, startTime, endTime } = req.body;
+
+    const updated = {
+      title: title !== undefined ? title : chapter.title,
+      startTime: startTime !== undefined ? parseChapterTime(startTime) : chapter.startTime,
+      endTime: endTime !== undefined ? parseChapterTime(endTime) : chapter.endTime
+    };
+
+    const validationError = validateChapter(updated, video, chapter._id);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    chapter.set(updated);
+    await video.save();
+
+    res.json({
+      success: true,
+      message: 'Capítulo actualizado exitosamente',
+      chapters: video.getChapters()
+    });
+
+  } catch (error) {
+    console.error('Error actualizando capítulo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/videos/:id/chapters/:chapterId
+// @desc    Eliminar un capítulo
+// @access  Private (Admin, Instructor del curso)
+router.delete('/:id/chapters/:chapterId', authMiddleware, requirePermission('video', 'update', courseFromVideo()), async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+    const chapter = video.chapters.id(req.params.chapterId);
+
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Capítulo no encontrado'
+      });
+    }
+
+    chapter.deleteOne();
+    await video.save();
+
+    res.json({
+      success: true,
+      message: 'Capítulo eliminado exitosamente',
+      chapters: video.getChapters()
+    });
+
+  } catch (error) {
+    console.error('Error eliminando capítulo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   POST /api/videos/:id/reprocess
+// @desc    Volver a procesar el video: metadatos, miniaturas y HLS (ej: tras un fallo)
+// @access  Private (Admin, Instructor del curso)
+router.post('/:id/reprocess', authMiddleware, requirePermission('video', 'update', courseFromVideo()), async (req, res) => {
+  try {
+    const video = await Video.findById(req.params.id);
+
+    if (video.status === 'processing') {
+      return res.status(400).json({
+        success: false,
+        message: 'El video ya se está procesando'
+      });
+    }
+
+    video.status = 'processing';
+    video.processingError = '';
+    await video.save();
+
+    enqueueProcessing(video._id);
+
+    res.json({
+      success: true,
+      message: 'Procesamiento encolado',
+      video: {
+        id: video._id,
+        status: video.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Error encolando procesamiento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
+// @route   PUT /api/videos/:id/progress
+// @desc    Guardar el progreso de reproducción del usuario
+// @access  Private
+router.put('/:id/progress', authMiddleware, async (req, res) => {
+  try {
+    const { position, duration, completed } = req.body;
+    const seconds = parseFloat(position);
+
+    if (isNaN(seconds) || seconds < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'La posición debe ser un número de segundos mayor o igual a 0'
+      });
+    }
+
+    const video = await Video.findById(req.params.id).populate('course', CONTENT_ACCESS_FIELDS);
+
+    if (!video || !video.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video no encontrado'
+      });
+    }
+
+    // Verificar acceso
+    if (!(await canAccessContent(req.user, video.course, { video: video._id }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes acceso a este video'
+      });
+    }
+
+    // Se prefiere la duración conocida del video; la del reproductor es el respaldo.
+    // El reproductor puede marcar el video como terminado (evento "ended")
+    const totalDuration = video.duration || parseFloat(duration) || 0;
+    const progress = await VideoProgress.recordPosition(
+      { user: req.user._id, video: video._id, course: video.course._id },
+      totalDuration ? Math.min(seconds, totalDuration) : seconds,
+      totalDuration,
+      completed === true
+    );
+
+    res.json({
+      success: true,
+      progress: {
+        video: video._id,
+        resumeAt: progress.lastPosition,
+        watchedPercentage: progress.watchedPercentage,
+        completed: progress.completed,
+        completedAt: progress.completedAt,
+        completionThreshold: VideoProgress.COMPLETION_THRESHOLD,
+        lastWatchedAt: progress.lastWatchedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error guardando progreso de video:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error del servidor'
+    });
+  }
+});
+
 // @route   PUT /api/videos/:id
 // @desc    Actualizar información de video
-// @access  Private (Admin)
-router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+// @access  Private (Admin, Instructor del curso)
+router.put('/:id', authMiddleware, requirePermission('video', 'update', courseFromVideo()), async (req, res) => {
   try {
-    const { title, description, order, thumbnail } = req.body;
+    const { title, description, order, thumbnail, isActive } = req.body;
 
     const video = await Video.findById(req.params.id);
     
@@ -315,8 +1009,16 @@ router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
     if (order !== undefined) video.order = parseInt(order);
     if (thumbnail !== undefined) video.thumbnail = thumbnail;
 
+    const activeChanged = isActive !== undefined && video.isActive !== Boolean(isActive);
+    if (activeChanged) video.isActive = Boolean(isActive);
+
     await video.save();
 
+    // Un video desactivado deja de contar en la duración del curso
+    if (activeChanged) {
+      await Course.recalculateDuration(video.course);
+    }
+
     res.json({
       success: true,
       message: 'Video actualizado exitosamente',
@@ -325,7 +1027,8 @@ router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
         title: video.title,
         description: video.description,
         order: video.order,
-        thumbnail: video.thumbnail,
+        thumbnail: video.thumbnailUrl,
+        isActive: video.isActive,
         updatedAt: video.updatedAt
       }
     });
@@ -341,8 +1044,8 @@ router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
 
 // @route   DELETE /api/videos/:id
 // @desc    Eliminar video
-// @access  Private (Admin)
-router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+// @access  Private (Admin, Instructor del curso)
+router.delete('/:id', authMiddleware, requirePermission('video', 'delete', courseFromVideo()), async (req, res) => {
   try {
     const video = await Video.findById(req.params.id);
     
@@ -353,20 +1056,28 @@ router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
       });
     }
 
-    // Eliminar archivo del sistema
+    // Eliminar archivo del sistema, la salida HLS y las miniaturas generadas
     try {
       await deleteFile(video.filePath);
+      await deleteHlsOutput(video);
+      await deleteGeneratedImages(video);
+      for (const track of video.captions) {
+        await deleteFile(track.filePath);
+      }
     } catch (error) {
       console.warn('No se pudo eliminar el archivo físico:', error.message);
     }
 
     // Eliminar video de la base de datos
     await Video.findByIdAndDelete(req.params.id);
+    await VideoProgress.deleteMany({ video: video._id });
 
     // Eliminar referencia del curso
     await Course.findByIdAndUpdate(video.course, {
       $pull: { videos: video._id }
     });
+    await Course.removeLessonsFor(video.course, 'video', video._id);
+    await Course.recalculateDuration(video.course);
 
     res.json({
       success: true,
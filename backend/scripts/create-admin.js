@@ -0,0 +1,31 @@
+// Uso: npm run create-admin -- --email admin@ejemplo.com --password secreto [--first-name Ana] [--last-name Pérez]
+// También acepta ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_FIRST_NAME y ADMIN_LAST_NAME desde .env
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { createAdmin } = require('../utils/bootstrapAdmin');
+
+// Función para leer argumentos --nombre valor
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const { user, created } = await createAdmin({
+    email: getArg('email') || process.env.ADMIN_EMAIL,
+    password: getArg('password') || process.env.ADMIN_PASSWORD,
+    firstName: getArg('first-name') || process.env.ADMIN_FIRST_NAME,
+    lastName: getArg('last-name') || process.env.ADMIN_LAST_NAME
+  });
+
+  console.log(`✅ Administrador ${created ? 'creado' : 'actualizado (contraseña reemplazada)'}: ${user.email}`);
+};
+
+run()
+  .catch((err) => {
+    console.error('❌ Error creando administrador:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
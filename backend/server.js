@@ -1,33 +1,79 @@
 const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
-const path = require("path");
 require("dotenv").config();
+const { bootstrapAdminFromEnv } = require("./utils/bootstrapAdmin");
+const { runMigrations } = require("./utils/migrations");
+const { resumePendingProcessing } = require("./utils/transcoder");
+const { scheduleUploadCleanup } = require("./utils/resumableUpload");
+const { getPaymentConfigError } = require("./utils/payments");
+const { getTransport } = require("./utils/mailer");
+
+// Sin PAYMENT_PROVIDER válido la API arranca igual: las órdenes y los webhooks responden 503
+const paymentConfigError = getPaymentConfigError();
+if (paymentConfigError) {
+  console.warn("⚠️  Pagos deshabilitados:", paymentConfigError);
+}
+
+// En producción el transporte de correo debe estar configurado explícitamente (MAIL_TRANSPORT)
+try {
+  getTransport();
+} catch (err) {
+  console.error("❌ Configuración de correo inválida:", err.message);
+  process.exit(1);
+}
 
 const app = express();
 
+// Detrás de un proxy inverso, usar la IP real del cliente (rate limiting)
+// TRUST_PROXY acepta un número de saltos (ej: 1), "true" o una lista de IPs/subredes
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === "true" || trustProxy
+  );
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Se conserva el body original: los webhooks de pago verifican la firma sobre los bytes recibidos
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
-// Servir archivos estáticos (videos y PDFs)
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+// Los archivos subidos (videos y PDFs) no se sirven de forma estática:
+// solo se accede a ellos por /api/videos/stream y /api/files/download, que verifican acceso
 
 // Conectar a MongoDB
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() =>
-    console.log(`✅ Conectado a MongoDB en ${process.env.MONGODB_URI}`)
-  )
+  .then(() => {
+    console.log(`✅ Conectado a MongoDB en ${process.env.MONGODB_URI}`);
+    return runMigrations();
+  })
+  .then(() => bootstrapAdminFromEnv())
+  .then(() => resumePendingProcessing())
+  .then(() => scheduleUploadCleanup())
   .catch((err) => console.error("❌ Error conectando a MongoDB:", err));
 
 // Rutas
+app.use("/api/auth/2fa", require("./routes/twoFactor"));
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/users", require("./routes/users"));
+app.use("/api/invitations", require("./routes/invitations"));
 app.use("/api/courses", require("./routes/courses"));
+app.use("/api/courses/:courseId", require("./routes/curriculum"));
+app.use("/api/courses/:courseId/reviews", require("./routes/reviews"));
+app.use("/api/courses/:courseId/cohorts", require("./routes/cohorts"));
 app.use("/api/videos", require("./routes/videos"));
 app.use("/api/files", require("./routes/files"));
+app.use("/api/uploads", require("./routes/uploads"));
+app.use("/api/orders", require("./routes/orders"));
+app.use("/api/coupons", require("./routes/coupons"));
 
 // Ruta de prueba
 app.get("/", (req, res) => {
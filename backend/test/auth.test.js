@@ -0,0 +1,161 @@
+// Sin retraso progresivo ni límite por IP: las pruebas hacen muchos intentos seguidos desde la misma IP
+process.env.LOGIN_DELAY_MS = '1';
+process.env.LOGIN_MAX_DELAY_MS = '1';
+process.env.LOGIN_IP_MAX = '1000';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { generate, generateSecret } = require('otplib');
+const User = require('../models/User');
+const { LOGIN_MAX_ATTEMPTS } = require('../utils/loginProtection');
+const { encryptSecret } = require('../utils/twoFactor');
+const {
+  dbSkip,
+  connectTestDb,
+  clearTestDb,
+  disconnectTestDb,
+  captureMail,
+  createUser,
+  startApp
+} = require('./helpers');
+
+describe('bloqueo de cuentas y verificación en dos pasos', { skip: dbSkip }, () => {
+  let app;
+
+  // Función para crear un usuario con 2FA activo; devuelve el usuario y su secreto en claro
+  const createTwoFactorUser = async () => {
+    const secret = generateSecret();
+    const user = await createUser({
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: new Date(),
+      twoFactorSecret: encryptSecret(secret)
+    });
+    return { user, secret };
+  };
+
+  // Función para obtener un código TOTP que no es el vigente
+  const wrongCode = async (secret) => {
+    const code = await generate({ secret });
+    return String((Number(code) + 500000) % 1000000).padStart(6, '0');
+  };
+
+  const login = (email, password) => app.post('/api/auth/login', { email, password });
+
+  const failedAttempts = async (user) => (await User.findById(user._id)).failedLoginAttempts;
+
+  before(async () => {
+    await connectTestDb();
+    captureMail();
+    app = await startApp({
+      '/api/auth/2fa': require('../routes/twoFactor'),
+      '/api/auth': require('../routes/auth')
+    });
+  });
+
+  after(async () => {
+    await app.close();
+    await disconnectTestDb();
+  });
+
+  beforeEach(clearTestDb);
+
+  it('bloquea la cuenta tras los fallos permitidos aunque la contraseña sea correcta', async () => {
+    const user = await createUser();
+
+    for (let attempt = 0; attempt < LOGIN_MAX_ATTEMPTS; attempt++) {
+      assert.equal((await login(user.email, 'incorrecta')).status, 401);
+    }
+
+    const locked = await login(user.email, 'secreto123');
+    assert.equal(locked.status, 429);
+    assert.ok(locked.body.retryAfter > 0);
+  });
+
+  it('un login sin 2FA limpia los fallos anteriores', async () => {
+    const user = await createUser();
+
+    await login(user.email, 'incorrecta');
+    assert.equal((await login(user.email, 'secreto123')).status, 200);
+    assert.equal(await failedAttempts(user), 0);
+  });
+
+  it('la contraseña correcta no limpia los fallos hasta verificar el código', async () => {
+    const { user } = await createTwoFactorUser();
+
+    await login(user.email, 'incorrecta');
+    await login(user.email, 'incorrecta');
+
+    const { status, body } = await login(user.email, 'secreto123');
+    assert.equal(status, 200);
+    assert.equal(body.twoFactorRequired, true);
+    assert.ok(body.challengeToken);
+    assert.equal(body.token, undefined);
+    assert.equal(await failedAttempts(user), 2);
+  });
+
+  it('los códigos incorrectos suman al mismo contador y bloquean la cuenta', async () => {
+    const { user, secret } = await createTwoFactorUser();
+
+    await login(user.email, 'incorrecta');
+    const { body } = await login(user.email, 'secreto123');
+
+    // Volver a iniciar sesión entre intentos no reinicia el contador
+    for (let attempt = 1; attempt < LOGIN_MAX_ATTEMPTS; attempt++) {
+      const retry = await login(user.email, 'secreto123');
+      const result = await app.post('/api/auth/2fa/verify', {
+        challengeToken: retry.body.challengeToken,
+        code: await wrongCode(secret)
+      });
+      assert.equal(result.status, 401);
+    }
+
+    assert.equal(await failedAttempts(user), LOGIN_MAX_ATTEMPTS);
+
+    const valid = await app.post('/api/auth/2fa/verify', {
+      challengeToken: body.challengeToken,
+      code: await generate({ secret })
+    });
+    assert.equal(valid.status, 429);
+    assert.equal((await login(user.email, 'secreto123')).status, 429);
+  });
+
+  it('un código válido completa el login y limpia los fallos', async () => {
+    const { user, secret } = await createTwoFactorUser();
+
+    await login(user.email, 'incorrecta');
+    const { body } = await login(user.email, 'secreto123');
+
+    const result = await app.post('/api/auth/2fa/verify', {
+      challengeToken: body.challengeToken,
+      code: await generate({ secret })
+    });
+
+    assert.equal(result.status, 200);
+    assert.ok(result.body.token);
+    assert.ok(result.body.refreshToken);
+    assert.equal(await failedAttempts(user), 0);
+  });
+
+  it('el mismo código enviado a la vez solo abre una sesión', async () => {
+    const { user, secret } = await createTwoFactorUser();
+    const { body } = await login(user.email, 'secreto123');
+    const code = await generate({ secret });
+
+    const results = await Promise.all(Array.from({ length: 3 }, () =>
+      app.post('/api/auth/2fa/verify', { challengeToken: body.challengeToken, code })
+    ));
+
+    assert.deepEqual(results.map(result => result.status).sort(), [200, 401, 401]);
+  });
+
+  it('un código ya usado no se acepta de nuevo', async () => {
+    const { user, secret } = await createTwoFactorUser();
+    const { body } = await login(user.email, 'secreto123');
+    const code = await generate({ secret });
+
+    assert.equal((await app.post('/api/auth/2fa/verify', { challengeToken: body.challengeToken, code })).status, 200);
+
+    const again = await login(user.email, 'secreto123');
+    assert.equal((await app.post('/api/auth/2fa/verify', { challengeToken: again.body.challengeToken, code })).status, 401);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const CouponUsage = require('../models/CouponUsage');
+const { CouponError, quoteCourse, reserveCoupon, confirmRedemption } = require('../utils/coupons');
+const { cancelOrder, markOrderRefunded } = require('../utils/orders');
+const {
+  dbSkip,
+  connectTestDb,
+  clearTestDb,
+  disconnectTestDb,
+  captureMail,
+  createUser,
+  createCourse
+} = require('./helpers');
+
+describe('límites de los cupones', { skip: dbSkip }, () => {
+  let course;
+
+  // Función para crear una orden pendiente con el descuento del cupón
+  const createOrder = (user, coupon) => Order.create({
+    user: user._id,
+    course: course._id,
+    subtotal: 100,
+    discount: 20,
+    coupon: coupon._id,
+    couponCode: coupon.code,
+    amount: 80,
+    currency: 'usd',
+    provider: 'test'
+  });
+
+  // Función para reservar el cupón en una orden nueva; devuelve la orden o el CouponError
+  const tryReserve = async (user, coupon) => {
+    const order = await createOrder(user, coupon);
+    try {
+      await reserveCoupon(coupon, { user, course, order, discount: 20 });
+      return order;
+    } catch (error) {
+      if (error instanceof CouponError) return error;
+      throw error;
+    }
+  };
+
+  before(async () => {
+    await connectTestDb();
+    captureMail();
+  });
+
+  after(disconnectTestDb);
+
+  beforeEach(async () => {
+    await clearTestDb();
+    course = await createCourse({ price: 100 });
+  });
+
+  it('reservas simultáneas no superan el límite total', async () => {
+    const coupon = await Coupon.create({ code: 'TOTAL3', discountType: 'fixed', discountValue: 20, maxRedemptions: 3 });
+    const users = await Promise.all(Array.from({ length: 10 }, () => createUser()));
+
+    const results = await Promise.all(users.map(user => tryReserve(user, coupon)));
+
+    assert.equal(results.filter(result => result instanceof CouponError).length, 7);
+    assert.equal((await Coupon.findById(coupon._id)).redemptionCount, 3);
+    assert.equal(await CouponRedemption.countDocuments({ coupon: coupon._id }), 3);
+    // Los usuarios rechazados no quedan con un uso contado
+    assert.equal(await CouponUsage.countDocuments({ coupon: coupon._id, count: { $gt: 0 } }), 3);
+  });
+
+  it('reservas simultáneas del mismo usuario no superan su límite', async () => {
+    const coupon = await Coupon.create({ code: 'UNOPORUSUARIO', discountType: 'fixed', discountValue: 20, maxRedemptionsPerUser: 1 });
+    const user = await createUser();
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => tryReserve(user, coupon)));
+
+    assert.equal(results.filter(result => !(result instanceof CouponError)).length, 1);
+    assert.equal((await Coupon.findById(coupon._id)).redemptionCount, 1);
+    assert.equal((await CouponUsage.findOne({ coupon: coupon._id, user: user._id })).count, 1);
+  });
+
+  it('cancelar la orden libera el uso y permite volver a usar el cupón', async () => {
+    const coupon = await Coupon.create({ code: 'CANCELAR', discountType: 'fixed', discountValue: 20, maxRedemptions: 1 });
+    const user = await createUser();
+
+    const order = await tryReserve(user, coupon);
+    await assert.rejects(quoteCourse(course, user, 'CANCELAR'), CouponError);
+
+    assert.ok(await cancelOrder(order._id));
+    assert.equal(await cancelOrder(order._id), null);
+
+    assert.equal((await Coupon.findById(coupon._id)).redemptionCount, 0);
+    assert.equal((await CouponUsage.findOne({ coupon: coupon._id, user: user._id })).count, 0);
+    assert.equal((await CouponRedemption.findOne({ order: order._id })).status, 'released');
+
+    const quote = await quoteCourse(course, user, 'cancelar');
+    assert.equal(quote.finalPrice, 80);
+    assert.ok(!((await tryReserve(user, coupon)) instanceof CouponError));
+  });
+
+  it('reembolsar la orden libera el uso confirmado', async () => {
+    const coupon = await Coupon.create({ code: 'REEMBOLSO', discountType: 'fixed', discountValue: 20, maxRedemptions: 1 });
+    const user = await createUser();
+
+    const order = await tryReserve(user, coupon);
+    await Order.updateOne({ _id: order._id }, { status: 'paid', paidAt: new Date() });
+    await confirmRedemption(order._id);
+    assert.equal((await CouponRedemption.findOne({ order: order._id })).status, 'redeemed');
+
+    assert.ok(await markOrderRefunded({ _id: order._id }, { refundReason: 'Prueba' }));
+    assert.equal(await markOrderRefunded({ _id: order._id }), null);
+
+    assert.equal((await Coupon.findById(coupon._id)).redemptionCount, 0);
+    assert.equal((await CouponUsage.findOne({ coupon: coupon._id, user: user._id })).count, 0);
+    assert.equal((await CouponRedemption.findOne({ order: order._id })).status, 'released');
+  });
+});
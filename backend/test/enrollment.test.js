@@ -0,0 +1,109 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Enrollment = require('../models/Enrollment');
+const { requestEnrollment, promoteFromWaitlist, unenrollUser } = require('../utils/enrollment');
+const {
+  dbSkip,
+  connectTestDb,
+  clearTestDb,
+  disconnectTestDb,
+  captureMail,
+  createUser,
+  createCourse
+} = require('./helpers');
+
+describe('lista de espera', { skip: dbSkip }, () => {
+  let sent;
+
+  // Función para crear un curso lleno con su lista de espera (en orden de llegada)
+  const createFullCourse = async (capacity, waiting) => {
+    const course = await createCourse({ capacity });
+    const users = await Promise.all(Array.from({ length: capacity + waiting }, () => createUser()));
+
+    for (const user of users) {
+      await requestEnrollment(course, user._id);
+    }
+    return { course, enrolled: users.slice(0, capacity), waitlisted: users.slice(capacity) };
+  };
+
+  // Función para obtener el estado de la inscripción de un usuario
+  const statusOf = async (course, user) => (await Enrollment.findOne({ course: course._id, user: user._id })).status;
+
+  const countStatus = (course, status) => Enrollment.countDocuments({ course: course._id, status });
+
+  before(async () => {
+    await connectTestDb();
+    sent = captureMail();
+  });
+
+  after(disconnectTestDb);
+
+  beforeEach(async () => {
+    await clearTestDb();
+    sent.length = 0;
+  });
+
+  it('sin cupo los nuevos pasan a la lista de espera con su posición', async () => {
+    const course = await createCourse({ capacity: 1 });
+    const [first, second, third] = await Promise.all([createUser(), createUser(), createUser()]);
+
+    assert.deepEqual(await requestEnrollment(course, first._id), { status: 'enrolled' });
+    assert.deepEqual(await requestEnrollment(course, second._id), { status: 'waitlisted', position: 1 });
+    assert.deepEqual(await requestEnrollment(course, third._id), { status: 'waitlisted', position: 2 });
+  });
+
+  it('ampliar el cupo promueve a los primeros de la lista y les avisa', async () => {
+    const { course, waitlisted } = await createFullCourse(1, 2);
+
+    course.capacity = 2;
+    await course.save();
+    const promoted = await promoteFromWaitlist(course);
+
+    assert.equal(promoted.length, 1);
+    assert.equal(await statusOf(course, waitlisted[0]), 'active');
+    assert.equal(await statusOf(course, waitlisted[1]), 'waitlisted');
+    assert.deepEqual(sent.map(message => message.to), [waitlisted[0].email]);
+  });
+
+  it('quitar el cupo promueve a toda la lista', async () => {
+    const { course } = await createFullCourse(1, 3);
+
+    course.capacity = null;
+    await course.save();
+    await promoteFromWaitlist(course);
+
+    assert.equal(await countStatus(course, 'active'), 4);
+    assert.equal(await countStatus(course, 'waitlisted'), 0);
+  });
+
+  it('reducir el cupo no desinscribe ni promueve', async () => {
+    const { course } = await createFullCourse(2, 1);
+
+    course.capacity = 1;
+    await course.save();
+
+    assert.deepEqual(await promoteFromWaitlist(course), []);
+    assert.equal(await countStatus(course, 'active'), 2);
+    assert.equal(await countStatus(course, 'waitlisted'), 1);
+  });
+
+  it('una baja libera el cupo para el primero de la lista', async () => {
+    const { course, enrolled, waitlisted } = await createFullCourse(1, 2);
+
+    assert.equal(await unenrollUser(course, enrolled[0]._id), 'active');
+
+    assert.equal(await statusOf(course, waitlisted[0]), 'active');
+    assert.equal(await statusOf(course, waitlisted[1]), 'waitlisted');
+  });
+
+  it('promociones simultáneas no superan el cupo', async () => {
+    const { course } = await createFullCourse(1, 4);
+
+    course.capacity = 3;
+    await course.save();
+    await Promise.all(Array.from({ length: 3 }, () => promoteFromWaitlist(course)));
+
+    assert.equal(await countStatus(course, 'active'), 3);
+    assert.equal(await countStatus(course, 'waitlisted'), 2);
+  });
+});
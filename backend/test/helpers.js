@@ -0,0 +1,123 @@
+const { once } = require('events');
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const { setTransport } = require('../utils/mailer');
+
+// Las pruebas no leen .env: solo necesitan un secreto para firmar tokens
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+// Las pruebas con base de datos usan MONGODB_TEST_URI (por ejemplo mongodb://localhost:27017/cursillos-test)
+// Sin ella se omiten; las que no necesitan MongoDB se ejecutan siempre
+const dbSkip = process.env.MONGODB_TEST_URI
+  ? false
+  : 'Define MONGODB_TEST_URI para ejecutar las pruebas con MongoDB';
+
+// Función para conectar a la base de pruebas, vaciarla y crear los índices (los únicos importan en las pruebas de concurrencia)
+// Se niega a usar una base cuyo nombre no contenga "test": la base se elimina completa
+const connectTestDb = async () => {
+  await mongoose.connect(process.env.MONGODB_TEST_URI);
+
+  if (!/test/i.test(mongoose.connection.name)) {
+    await mongoose.disconnect();
+    throw new Error(`La base ${mongoose.connection.name} no parece de pruebas (su nombre debe contener "test")`);
+  }
+
+  await mongoose.connection.dropDatabase();
+  await mongoose.connection.syncIndexes();
+};
+
+// Función para vaciar todas las colecciones entre pruebas
+const clearTestDb = async () => {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+};
+
+const disconnectTestDb = () => mongoose.disconnect();
+
+// Función para reemplazar el transporte de correo por uno que guarda los mensajes enviados
+const captureMail = () => {
+  const sent = [];
+  setTransport({
+    name: 'test',
+    send: async (message) => {
+      sent.push(message);
+      return {};
+    }
+  });
+  return sent;
+};
+
+let sequence = 0;
+
+// Función para crear un usuario de prueba (contraseña: secreto123)
+const createUser = (values = {}) => {
+  sequence += 1;
+  return User.create({
+    email: `usuario${sequence}@pruebas.local`,
+    password: 'secreto123',
+    firstName: 'Usuario',
+    lastName: `Prueba ${sequence}`,
+    emailVerified: true,
+    ...values
+  });
+};
+
+// Función para crear un curso de prueba publicado
+const createCourse = async (values = {}) => {
+  const instructor = values.instructor || (await createUser({ role: 'instructor' }))._id;
+  return Course.create({
+    title: 'Curso de prueba',
+    description: 'Descripción del curso de prueba',
+    category: 'Pruebas',
+    status: 'published',
+    ...values,
+    instructor
+  });
+};
+
+// Función para levantar una app con los routers indicados ({ '/api/auth': router }) en un puerto libre
+const startApp = async (routes) => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  Object.entries(routes).forEach(([mountPath, router]) => app.use(mountPath, router));
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    // Función para enviar un POST con body JSON; devuelve { status, body }
+    post: async (pathname, body = {}, token = null) => {
+      const response = await fetch(`${baseUrl}${pathname}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+};
+
+module.exports = {
+  dbSkip,
+  connectTestDb,
+  clearTestDb,
+  disconnectTestDb,
+  captureMail,
+  createUser,
+  createCourse,
+  startApp
+};
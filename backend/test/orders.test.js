@@ -0,0 +1,188 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const CouponUsage = require('../models/CouponUsage');
+const Enrollment = require('../models/Enrollment');
+const { PaymentError, getPaymentProvider, setPaymentProvider } = require('../utils/payments');
+const { applyPaymentEvent } = require('../utils/orders');
+const { reserveCoupon } = require('../utils/coupons');
+const {
+  dbSkip,
+  connectTestDb,
+  clearTestDb,
+  disconnectTestDb,
+  captureMail,
+  createUser,
+  createCourse,
+  startApp
+} = require('./helpers');
+
+// Proveedor de pagos de prueba: el webhook trae el evento ya interpretado en el body
+const testProvider = {
+  name: 'test',
+  createCheckout: async ({ order }) => ({ reference: `ref_${order._id}`, checkoutUrl: 'http://pagos.local/checkout' }),
+  parseWebhook: (req) => req.body,
+  refund: async (order) => ({ refundId: `refund_${order._id}` })
+};
+
+describe('configuración del proveedor de pagos', () => {
+  const saved = { PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER, NODE_ENV: process.env.NODE_ENV };
+  let app;
+
+  before(async () => {
+    app = await startApp({ '/api/orders': require('../routes/orders') });
+  });
+
+  after(() => app.close());
+
+  afterEach(() => {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+    setPaymentProvider(null);
+  });
+
+  it('sin PAYMENT_PROVIDER lanza PaymentError 503', () => {
+    delete process.env.PAYMENT_PROVIDER;
+    setPaymentProvider(null);
+
+    assert.throws(() => getPaymentProvider(), error => error instanceof PaymentError && error.status === 503);
+  });
+
+  it('los webhooks responden 503 sin proveedor configurado', async () => {
+    delete process.env.PAYMENT_PROVIDER;
+    setPaymentProvider(null);
+
+    const { status, body } = await app.post('/api/orders/webhooks/fake', { type: 'paid', reference: 'fake_1' });
+
+    assert.equal(status, 503);
+    assert.equal(body.message, 'Pagos no configurados');
+  });
+
+  it('el webhook falso no se acepta en producción', async () => {
+    process.env.PAYMENT_PROVIDER = 'fake';
+    process.env.NODE_ENV = 'production';
+    setPaymentProvider(null);
+
+    const { status } = await app.post('/api/orders/webhooks/fake', { type: 'paid', reference: 'fake_1' });
+
+    assert.equal(status, 404);
+  });
+});
+
+describe('webhooks de pago', { skip: dbSkip }, () => {
+  let app;
+  let user;
+  let course;
+
+  // Función para crear una orden pendiente con un cupón reservado
+  const createPendingOrder = async () => {
+    const coupon = await Coupon.create({ code: `PAGO${Date.now()}`, discountType: 'percentage', discountValue: 10 });
+    const order = await Order.create({
+      user: user._id,
+      course: course._id,
+      subtotal: 100,
+      discount: 10,
+      coupon: coupon._id,
+      couponCode: coupon.code,
+      amount: 90,
+      currency: 'usd',
+      provider: testProvider.name
+    });
+    order.providerReference = `ref_${order._id}`;
+    await order.save();
+    await reserveCoupon(coupon, { user, course, order, discount: 10 });
+    return { order, coupon };
+  };
+
+  before(async () => {
+    await connectTestDb();
+    captureMail();
+    app = await startApp({ '/api/orders': require('../routes/orders') });
+  });
+
+  after(async () => {
+    await app.close();
+    await disconnectTestDb();
+  });
+
+  beforeEach(async () => {
+    await clearTestDb();
+    setPaymentProvider(testProvider);
+    user = await createUser();
+    course = await createCourse({ price: 100 });
+  });
+
+  it('un pago repetido inscribe una sola vez', async () => {
+    const { order } = await createPendingOrder();
+    const event = { type: 'paid', reference: order.providerReference, paymentId: 'pay_1' };
+
+    const first = await app.post('/api/orders/webhooks/test', event);
+    const second = await app.post('/api/orders/webhooks/test', event);
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.orderId, order._id.toString());
+    assert.equal(second.status, 200);
+    assert.equal(second.body.orderId, null);
+
+    const saved = await Order.findById(order._id);
+    assert.equal(saved.status, 'paid');
+    assert.ok(saved.fulfilledAt);
+    assert.equal(await Enrollment.countDocuments({ user: user._id, course: course._id, status: 'active' }), 1);
+    assert.equal((await CouponRedemption.findOne({ order: order._id })).status, 'redeemed');
+  });
+
+  it('el reintento completa una orden pagada cuya inscripción falló', async () => {
+    const { order } = await createPendingOrder();
+    // Estado que deja un error después de marcar el pago
+    await Order.updateOne({ _id: order._id }, { status: 'paid', paidAt: new Date() });
+
+    const result = await applyPaymentEvent(testProvider.name, { type: 'paid', reference: order.providerReference });
+
+    assert.equal(result._id.toString(), order._id.toString());
+    assert.ok((await Order.findById(order._id)).fulfilledAt);
+    assert.equal(await Enrollment.countDocuments({ user: user._id, course: course._id, status: 'active' }), 1);
+    assert.equal((await CouponRedemption.findOne({ order: order._id })).status, 'redeemed');
+  });
+
+  it('un fallo repetido libera el cupón una sola vez', async () => {
+    const { order, coupon } = await createPendingOrder();
+    const event = { type: 'failed', reference: order.providerReference };
+
+    assert.ok(await applyPaymentEvent(testProvider.name, event));
+    assert.equal(await applyPaymentEvent(testProvider.name, event), null);
+
+    assert.equal((await Order.findById(order._id)).status, 'failed');
+    assert.equal((await Coupon.findById(coupon._id)).redemptionCount, 0);
+    assert.equal((await CouponUsage.findOne({ coupon: coupon._id, user: user._id })).count, 0);
+    assert.equal(await Enrollment.countDocuments({ user: user._id }), 0);
+  });
+
+  it('un reembolso repetido desinscribe y libera el cupón una sola vez', async () => {
+    const { order, coupon } = await createPendingOrder();
+    await applyPaymentEvent(testProvider.name, { type: 'paid', reference: order.providerReference, paymentId: 'pay_2' });
+
+    const event = { type: 'refunded', reference: order.providerReference, paymentId: 'pay_2' };
+    assert.ok(await applyPaymentEvent(testProvider.name, event));
+    assert.equal(await applyPaymentEvent(testProvider.name, event), null);
+
+    assert.equal((await Order.findById(order._id)).status, 'refunded');
+    assert.equal((await Enrollment.findOne({ user: user._id, course: course._id })).status, 'cancelled');
+    assert.equal((await Coupon.findById(coupon._id)).redemptionCount, 0);
+    assert.equal((await CouponUsage.findOne({ coupon: coupon._id, user: user._id })).count, 0);
+    assert.equal((await CouponRedemption.findOne({ order: order._id })).status, 'released');
+  });
+
+  it('un pago después de un reembolso no vuelve a inscribir', async () => {
+    const { order } = await createPendingOrder();
+    const paid = { type: 'paid', reference: order.providerReference, paymentId: 'pay_3' };
+    await applyPaymentEvent(testProvider.name, paid);
+    await applyPaymentEvent(testProvider.name, { type: 'refunded', reference: order.providerReference, paymentId: 'pay_3' });
+
+    assert.equal(await applyPaymentEvent(testProvider.name, paid), null);
+    assert.equal((await Enrollment.findOne({ user: user._id, course: course._id })).status, 'cancelled');
+  });
+});
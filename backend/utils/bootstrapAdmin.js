@@ -0,0 +1,64 @@
+const User = require('../models/User');
+const { revokeAllSessions } = require('./tokens');
+
+// Función para crear un administrador, o promover al usuario si ya existe
+// Al promoverlo se reemplaza su contraseña por la indicada y se cierran sus sesiones
+const createAdmin = async ({ email, password, firstName = 'Admin', lastName = 'Principal' }) => {
+  if (!email || !password) {
+    throw new Error('Email y contraseña son requeridos para crear el administrador');
+  }
+
+  if (password.length < 6) {
+    throw new Error('La contraseña debe tener al menos 6 caracteres');
+  }
+
+  const existingUser = await User.findOne({ email: email.toLowerCase() });
+
+  if (existingUser) {
+    existingUser.role = 'admin';
+    existingUser.isActive = true;
+    existingUser.password = password;
+    existingUser.emailVerified = true;
+    await existingUser.save();
+    await revokeAllSessions(existingUser._id);
+    return { user: existingUser, created: false };
+  }
+
+  const user = new User({
+    email: email.toLowerCase(),
+    password,
+    firstName,
+    lastName,
+    role: 'admin',
+    emailVerified: true
+  });
+
+  await user.save();
+  return { user, created: true };
+};
+
+// Función para crear el primer administrador a partir de ADMIN_EMAIL / ADMIN_PASSWORD
+// Solo actúa si todavía no existe ningún administrador
+const bootstrapAdminFromEnv = async () => {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_FIRST_NAME, ADMIN_LAST_NAME } = process.env;
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return null;
+
+  const adminCount = await User.countDocuments({ role: 'admin' });
+  if (adminCount > 0) return null;
+
+  const result = await createAdmin({
+    email: ADMIN_EMAIL,
+    password: ADMIN_PASSWORD,
+    firstName: ADMIN_FIRST_NAME,
+    lastName: ADMIN_LAST_NAME
+  });
+
+  console.log(`👑 Administrador inicial ${result.created ? 'creado' : 'asignado (contraseña reemplazada)'}: ${result.user.email}`);
+  return result;
+};
+
+module.exports = {
+  createAdmin,
+  bootstrapAdminFromEnv
+};
@@ -0,0 +1,192 @@
+// Conversión y validación de subtítulos (SRT y WebVTT)
+
+// Idiomas en formato BCP 47 (ej: es, en, es-AR, pt-BR)
+const LANGUAGE_REGEX = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// Máximo de errores que se informan al validar un archivo
+const MAX_REPORTED_ERRORS = 10;
+
+class CaptionError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'CaptionError';
+    this.errors = errors;
+  }
+}
+
+// Función para decodificar el archivo: UTF-8 con respaldo a Latin-1 (SRT antiguos)
+const decodeCaptionBuffer = (buffer) => {
+  let text = buffer.toString('utf8');
+  if (text.includes('\uFFFD')) {
+    text = buffer.toString('latin1');
+  }
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+};
+
+// Función para convertir una marca de tiempo (SRT o VTT) a segundos
+// Acepta hh:mm:ss,mmm, hh:mm:ss.mmm y mm:ss.mmm
+const parseTimestamp = (value) => {
+  const match = /^(?:(\d+):)?([0-5]\d):([0-5]\d)[.,](\d{3})$/.exec(value.trim());
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, millis] = match;
+  return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) + parseInt(millis) / 1000;
+};
+
+// Función para formatear segundos como marca de tiempo WebVTT (hh:mm:ss.mmm)
+const formatTimestamp = (totalSeconds) => {
+  const millis = Math.round(totalSeconds * 1000);
+  const hours = Math.floor(millis / 3600000);
+  const minutes = Math.floor((millis % 3600000) / 60000);
+  const seconds = Math.floor((millis % 60000) / 1000);
+  const rest = millis % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(rest).padStart(3, '0')}`;
+};
+
+// Función para interpretar una línea de tiempos "inicio --> fin [ajustes]"
+const parseTimingLine = (line) => {
+  const [startPart, rest] = line.split('-->');
+  if (rest === undefined) return null;
+
+  const [endPart, ...settings] = rest.trim().split(/\s+/);
+  return {
+    start: parseTimestamp(startPart),
+    end: parseTimestamp(endPart || ''),
+    settings: settings.join(' ')
+  };
+};
+
+// Función para separar el texto en bloques (separados por líneas vacías)
+const splitBlocks = (text) => text
+  .split(/\n{2,}/)
+  .map(block => block.split('\n').filter(line => line.trim() !== ''))
+  .filter(lines => lines.length > 0);
+
+// Función para extraer las cues de un archivo SRT
+const parseSrt = (text) => {
+  const cues = [];
+  const errors = [];
+
+  splitBlocks(text).forEach((lines, index) => {
+    // El número de secuencia es opcional en la práctica
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || timingIndex > 1) {
+      errors.push(`Bloque ${index + 1}: falta la línea de tiempos`);
+      return;
+    }
+
+    const timing = parseTimingLine(lines[timingIndex]);
+    cues.push({
+      number: index + 1,
+      start: timing.start,
+      end: timing.end,
+      settings: '',
+      // Las etiquetas <font> de SRT no existen en WebVTT
+      text: lines.slice(timingIndex + 1).join('\n').replace(/<\/?font[^>]*>/gi, '')
+    });
+  });
+
+  return { cues, errors };
+};
+
+// Función para extraer las cues de un archivo WebVTT
+const parseVtt = (text) => {
+  const cues = [];
+  const errors = [];
+  const blocks = splitBlocks(text);
+
+  if (!blocks.length || !/^WEBVTT(\s|$)/.test(blocks[0][0])) {
+    throw new CaptionError('El archivo WebVTT debe comenzar con "WEBVTT"');
+  }
+
+  blocks.slice(1).forEach((lines, index) => {
+    // Bloques que no son cues
+    if (/^(NOTE|STYLE|REGION)(\s|$)/.test(lines[0])) return;
+
+    const timingIndex = lines[0].includes('-->') ? 0 : 1;
+    if (!lines[timingIndex] || !lines[timingIndex].includes('-->')) {
+      errors.push(`Bloque ${index + 2}: falta la línea de tiempos`);
+      return;
+    }
+
+    const timing = parseTimingLine(lines[timingIndex]);
+    cues.push({
+      number: cues.length + 1,
+      identifier: timingIndex === 1 ? lines[0] : '',
+      start: timing.start,
+      end: timing.end,
+      settings: timing.settings,
+      text: lines.slice(timingIndex + 1).join('\n')
+    });
+  });
+
+  return { cues, errors };
+};
+
+// Función para validar los tiempos de las cues
+const validateCues = (cues, errors, duration) => {
+  let previousStart = 0;
+
+  cues.forEach(cue => {
+    const label = `Subtítulo ${cue.number}`;
+
+    if (cue.start === null || cue.end === null) {
+      errors.push(`${label}: marca de tiempo inválida`);
+      return;
+    }
+    if (cue.end <= cue.start) {
+      errors.push(`${label}: el final (${formatTimestamp(cue.end)}) debe ser posterior al inicio (${formatTimestamp(cue.start)})`);
+    }
+    if (cue.start < previousStart) {
+      errors.push(`${label}: empieza antes que el subtítulo anterior (${formatTimestamp(cue.start)})`);
+    }
+    if (duration && cue.start > duration) {
+      errors.push(`${label}: empieza después del final del video (${formatTimestamp(cue.start)})`);
+    }
+    if (!cue.text.trim()) {
+      errors.push(`${label}: no tiene texto`);
+    }
+
+    previousStart = Math.max(previousStart, cue.start);
+  });
+};
+
+// Función para construir el WebVTT a partir de las cues
+const buildVtt = (cues) => {
+  const blocks = cues.map(cue => {
+    const timing = `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`;
+    return [cue.identifier, timing, cue.text].filter(Boolean).join('\n');
+  });
+  return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+};
+
+// Función para validar un archivo de subtítulos y convertirlo a WebVTT
+// duration (segundos) es opcional: si se conoce, las cues no pueden empezar después del final
+// Lanza CaptionError con la lista de errores si el archivo no es válido
+const convertToVtt = (buffer, originalName, duration = 0) => {
+  const text = decodeCaptionBuffer(buffer);
+  const isVtt = /\.vtt$/i.test(originalName) || /^WEBVTT/.test(text);
+  const { cues, errors } = isVtt ? parseVtt(text) : parseSrt(text);
+
+  if (!cues.length && !errors.length) {
+    throw new CaptionError('El archivo no contiene subtítulos');
+  }
+
+  validateCues(cues, errors, duration);
+
+  if (errors.length) {
+    throw new CaptionError('El archivo de subtítulos tiene errores', errors.slice(0, MAX_REPORTED_ERRORS));
+  }
+
+  return {
+    vtt: buildVtt(cues),
+    cueCount: cues.length,
+    sourceFormat: isVtt ? 'vtt' : 'srt'
+  };
+};
+
+module.exports = {
+  LANGUAGE_REGEX,
+  CaptionError,
+  formatTimestamp,
+  convertToVtt
+};
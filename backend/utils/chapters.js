@@ -0,0 +1,69 @@
+const { formatTimestamp } = require('./captions');
+
+// Función para convertir un tiempo a segundos: acepta números o "hh:mm:ss" / "mm:ss"
+const parseChapterTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value;
+
+  const parts = String(value).trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return NaN;
+
+  return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
+
+// Función para validar un capítulo contra la duración del video y los demás capítulos
+// Devuelve el mensaje de error o null si es válido
+const validateChapter = ({ title, startTime, endTime }, video, chapterId = null) => {
+  if (!title || !String(title).trim()) {
+    return 'El título del capítulo es requerido';
+  }
+  if (startTime === null || isNaN(startTime) || startTime < 0) {
+    return 'El inicio debe ser un tiempo válido (segundos o hh:mm:ss)';
+  }
+  if (endTime !== null && (isNaN(endTime) || endTime <= startTime)) {
+    return 'El final debe ser posterior al inicio';
+  }
+
+  // Sin duración (video en procesamiento) no se puede validar el límite superior
+  if (video.duration) {
+    if (startTime >= video.duration) {
+      return `El inicio supera la duración del video (${formatTimestamp(video.duration)})`;
+    }
+    if (endTime !== null && endTime > video.duration) {
+      return `El final supera la duración del video (${formatTimestamp(video.duration)})`;
+    }
+  }
+
+  const others = video.chapters.filter(chapter => !chapterId || chapter._id.toString() !== chapterId.toString());
+
+  if (others.some(chapter => chapter.startTime === startTime)) {
+    return 'Ya existe un capítulo que empieza en ese momento';
+  }
+
+  // Los capítulos no se pueden superponer: ni empezar dentro de otro con final indicado,
+  // ni terminar después del inicio del siguiente
+  const overlapping = others.find(chapter =>
+    (chapter.startTime < startTime && chapter.endTime && chapter.endTime > startTime) ||
+    (chapter.startTime > startTime && endTime !== null && endTime > chapter.startTime)
+  );
+  if (overlapping) {
+    return `El capítulo se superpone con "${overlapping.title}" (${formatTimestamp(overlapping.startTime)})`;
+  }
+
+  return null;
+};
+
+// Función para construir la pista WebVTT de capítulos (kind="chapters")
+const buildChaptersVtt = (chapters) => {
+  const cues = chapters.map((chapter, index) =>
+    // El título no puede contener saltos de línea ni "-->"
+    `${index + 1}\n${formatTimestamp(chapter.startTime)} --> ${formatTimestamp(chapter.endTime)}\n${chapter.title.replace(/\s*\n\s*/g, ' ').replace(/-->/g, '→')}`
+  );
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+};
+
+module.exports = {
+  parseChapterTime,
+  validateChapter,
+  buildChaptersVtt
+};
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Cohort = require('../models/Cohort');
+const Enrollment = require('../models/Enrollment');
+
+// Función para buscar el grupo del curso en el que se inscribirá un usuario
+// requireOpen exige que el grupo admita nuevos miembros (no terminó)
+// Devuelve { cohort } (null si no se indicó ninguno) o { error }
+const resolveCohort = async (course, cohortId, { requireOpen = true } = {}) => {
+  if (cohortId === undefined || cohortId === null || cohortId === '') return { cohort: null };
+
+  const cohort = mongoose.isValidObjectId(cohortId)
+    ? await Cohort.findOne({ _id: cohortId, course: course._id, isActive: true })
+    : null;
+
+  if (!cohort) {
+    return { error: 'El grupo no existe en este curso' };
+  }
+  if (requireOpen && !cohort.isOpen) {
+    return { error: 'El grupo ya no admite nuevos miembros' };
+  }
+  return { cohort };
+};
+
+// Función para interpretar el filtro por grupo de los listados: id del grupo o none (sin grupo)
+// Devuelve { value } (undefined si no se filtra, null para none) o { error }
+const parseCohortFilter = (cohort) => {
+  if (cohort === undefined || cohort === '') return { value: undefined };
+  if (cohort === 'none') return { value: null };
+  if (!mongoose.isValidObjectId(cohort)) {
+    return { error: 'El grupo debe ser un id válido o none' };
+  }
+  return { value: new mongoose.Types.ObjectId(cohort) };
+};
+
+// Función para contar los miembros con acceso vigente de varios grupos
+// Devuelve un Map cohortId -> cantidad
+const countMembers = async (cohortIds) => {
+  const counts = await Enrollment.aggregate([
+    { $match: Enrollment.activeFilter({ cohort: { $in: cohortIds.map(id => new mongoose.Types.ObjectId(id)) } }) },
+    { $group: { _id: '$cohort', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(item => [item._id.toString(), item.count]));
+};
+
+module.exports = {
+  resolveCohort,
+  parseCohortFilter,
+  countMembers
+};
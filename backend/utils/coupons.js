@@ -0,0 +1,176 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const CouponUsage = require('../models/CouponUsage');
+
+// Estados de un uso que cuentan para los límites
+const ACTIVE_REDEMPTION_STATUSES = ['pending', 'redeemed'];
+
+class CouponError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'CouponError';
+    this.status = status;
+  }
+}
+
+// Función para redondear montos a dos decimales
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Función para normalizar un código ingresado por el usuario
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Función para verificar que un cupón se puede usar en un curso y por un usuario
+// Lanza CouponError con el motivo si no aplica
+const assertCouponApplies = async (coupon, course, user) => {
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    throw new CouponError(404, 'El código de descuento no existe');
+  }
+  if (coupon.validFrom && coupon.validFrom > now) {
+    throw new CouponError(400, 'El código de descuento todavía no está vigente');
+  }
+  if (coupon.validUntil && coupon.validUntil <= now) {
+    throw new CouponError(400, 'El código de descuento está vencido');
+  }
+  if (!coupon.isSiteWide && !coupon.courses.some(courseId => courseId.toString() === course._id.toString())) {
+    throw new CouponError(400, 'El código de descuento no aplica a este curso');
+  }
+  if (coupon.maxRedemptions !== null && coupon.redemptionCount >= coupon.maxRedemptions) {
+    throw new CouponError(400, 'El código de descuento alcanzó su límite de usos');
+  }
+
+  const usage = await CouponUsage.findOne({ coupon: coupon._id, user: user._id });
+
+  if (usage && usage.count >= coupon.maxRedemptionsPerUser) {
+    throw new CouponError(400, 'Ya usaste este código de descuento');
+  }
+};
+
+// Función para calcular el precio final de un curso para un usuario, con un código opcional
+// Devuelve { price, discount, finalPrice, coupon }
+const quoteCourse = async (course, user, code = '') => {
+  const price = roundAmount(course.price || 0);
+  const normalized = normalizeCode(code);
+
+  if (!normalized) {
+    return { price, discount: 0, finalPrice: price, coupon: null };
+  }
+
+  if (!(price > 0)) {
+    throw new CouponError(400, 'Este curso es gratuito');
+  }
+
+  const coupon = await Coupon.findOne({ code: normalized });
+  await assertCouponApplies(coupon, course, user);
+
+  const discount = coupon.calculateDiscount(price);
+
+  return {
+    price,
+    discount,
+    finalPrice: roundAmount(price - discount),
+    coupon
+  };
+};
+
+// Función para sumar un uso del cupón al contador del usuario si no alcanzó su límite
+// Devuelve false si ya lo alcanzó. Si el contador existe y está lleno, el upsert intenta crear
+// otro y falla por el índice único; también falla si dos órdenes crean el contador a la vez,
+// por eso se reintenta una vez antes de darlo por lleno
+const claimUserUsage = async (coupon, user) => {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await CouponUsage.findOneAndUpdate(
+        { coupon: coupon._id, user: user._id, count: { $lt: coupon.maxRedemptionsPerUser } },
+        { $inc: { count: 1 } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return false;
+};
+
+// Función para restar un uso del cupón al contador del usuario
+const releaseUserUsage = (couponId, userId) => CouponUsage.updateOne(
+  { coupon: couponId, user: userId, count: { $gt: 0 } },
+  { $inc: { count: -1 } }
+);
+
+// Función para reservar un uso del cupón para una orden
+// Los contadores (por usuario y total) se incrementan solo si queda cupo,
+// para no superar los límites con órdenes simultáneas
+const reserveCoupon = async (coupon, { user, course, order, discount }) => {
+  if (!(await claimUserUsage(coupon, user))) {
+    throw new CouponError(400, 'Ya usaste este código de descuento');
+  }
+
+  const capFilter = coupon.maxRedemptions !== null
+    ? { redemptionCount: { $lt: coupon.maxRedemptions } }
+    : {};
+
+  const updated = await Coupon.findOneAndUpdate(
+    { _id: coupon._id, isActive: true, ...capFilter },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    await releaseUserUsage(coupon._id, user._id);
+    throw new CouponError(400, 'El código de descuento alcanzó su límite de usos');
+  }
+
+  return CouponRedemption.create({
+    coupon: coupon._id,
+    user: user._id,
+    course: course._id,
+    order: order._id,
+    discount
+  });
+};
+
+// Función para confirmar el uso del cupón de una orden pagada
+const confirmRedemption = async (orderId) => {
+  // Si la orden se había liberado (cancelada o fallida) y luego se pagó, el uso vuelve a contar
+  const restored = await CouponRedemption.findOneAndUpdate(
+    { order: orderId, status: 'released' },
+    { status: 'redeemed', redeemedAt: new Date() }
+  );
+
+  if (restored) {
+    // El pago ya se cobró: el uso cuenta aunque supere los límites
+    await Coupon.updateOne({ _id: restored.coupon }, { $inc: { redemptionCount: 1 } });
+    await CouponUsage.updateOne({ coupon: restored.coupon, user: restored.user }, { $inc: { count: 1 } }, { upsert: true });
+    return;
+  }
+
+  await CouponRedemption.updateOne(
+    { order: orderId, status: 'pending' },
+    { status: 'redeemed', redeemedAt: new Date() }
+  );
+};
+
+// Función para liberar el uso del cupón de una orden fallida, cancelada o reembolsada
+const releaseRedemption = async (orderId) => {
+  const released = await CouponRedemption.findOneAndUpdate(
+    { order: orderId, status: { $in: ACTIVE_REDEMPTION_STATUSES } },
+    { status: 'released' }
+  );
+
+  if (released) {
+    await Coupon.updateOne({ _id: released.coupon }, { $inc: { redemptionCount: -1 } });
+    await releaseUserUsage(released.coupon, released.user);
+  }
+};
+
+module.exports = {
+  CouponError,
+  normalizeCode,
+  quoteCourse,
+  reserveCoupon,
+  confirmRedemption,
+  releaseRedemption
+};
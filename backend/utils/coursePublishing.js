@@ -0,0 +1,51 @@
+const Video = require('../models/Video');
+
+// Transiciones de estado permitidas y el permiso de curso que exige cada una
+const STATUS_TRANSITIONS = {
+  draft: { in_review: 'update', published: 'publish' },
+  in_review: { draft: 'update', published: 'publish' },
+  published: { published: 'publish', draft: 'publish', archived: 'archive' }, // published -> published: reprogramar
+  archived: { draft: 'update' }
+};
+
+// Función para obtener el permiso necesario para una transición (null si no está permitida)
+const getTransitionAction = (from, to) => {
+  return (STATUS_TRANSITIONS[from] && STATUS_TRANSITIONS[from][to]) || null;
+};
+
+// Función para listar lo que le falta a un curso para enviarse a revisión o publicarse
+const getPublishingIssues = async (course) => {
+  const issues = [];
+
+  if (!course.title || !course.title.trim()) {
+    issues.push('El curso necesita un título');
+  }
+  if (!course.description || !course.description.trim()) {
+    issues.push('El curso necesita una descripción');
+  }
+  if (!course.category || !course.category.trim()) {
+    issues.push('El curso necesita una categoría');
+  }
+
+  const readyVideos = await Video.countDocuments({ course: course._id, isActive: true, status: 'ready' });
+  if (readyVideos === 0) {
+    issues.push('El curso necesita al menos un video listo para reproducir');
+  }
+
+  return issues;
+};
+
+// Función para interpretar una fecha opcional del body
+// Devuelve undefined si no se envió, null para borrarla o NaN si es inválida
+const parseScheduleDate = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? NaN : date;
+};
+
+module.exports = {
+  getTransitionAction,
+  getPublishingIssues,
+  parseScheduleDate
+};
@@ -0,0 +1,162 @@
+const { literalRegex } = require('./regex');
+
+// Largo máximo del texto de búsqueda
+const MAX_SEARCH_LENGTH = 100;
+
+// Ordenamientos del catálogo (relevance solo aplica cuando hay texto de búsqueda)
+const SORT_OPTIONS = {
+  relevance: { score: { $meta: 'textScore' }, createdAt: -1 },
+  newest: { createdAt: -1 },
+  popular: { enrolledTotal: -1, createdAt: -1 },
+  rating: { 'rating.average': -1, 'rating.count': -1 },
+  price_asc: { price: 1, createdAt: -1 },
+  price_desc: { price: -1, createdAt: -1 }
+};
+
+// Rangos de precio para filtrar y contar (min incluido, max excluido)
+const PRICE_RANGES = [
+  { key: 'free', min: 0, max: 0.01 },
+  { key: 'under_50', min: 0.01, max: 50 },
+  { key: '50_100', min: 50, max: 100 },
+  { key: 'over_100', min: 100, max: null }
+];
+
+// Cursos por página del catálogo (por defecto y máximo)
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// Cantidad de etiquetas que se devuelven en las facetas
+const TAG_FACET_LIMIT = 20;
+
+// Función para obtener el filtro de un rango de precio por su clave
+const priceRangeFilter = (key) => {
+  const range = PRICE_RANGES.find(item => item.key === key);
+  if (!range) return null;
+  return range.max === null ? { $gte: range.min } : { $gte: range.min, $lt: range.max };
+};
+
+// Función para interpretar la paginación (catálogo y listados): enteros positivos, con un máximo por página
+// Los valores inválidos (0, negativos o no numéricos) toman el valor por defecto
+const parsePagination = (query, defaultLimit = DEFAULT_PAGE_SIZE) => {
+  const page = parseInt(query.page);
+  const limit = parseInt(query.limit);
+
+  return {
+    page: page > 0 ? page : 1,
+    limit: limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : defaultLimit
+  };
+};
+
+// Función para interpretar los parámetros de búsqueda del catálogo
+// Devuelve el texto buscado, el orden y los filtros refinables (cada uno por separado para las facetas)
+const parseCourseQuery = (query) => {
+  const search = query.search ? String(query.search).trim().slice(0, MAX_SEARCH_LENGTH) : '';
+
+  const refinements = {};
+  if (query.category) refinements.category = { category: literalRegex(query.category, { exact: true }) };
+  if (query.level) refinements.level = { level: String(query.level) };
+  if (query.tag) refinements.tag = { tags: literalRegex(query.tag, { exact: true }) };
+  if (query.price) {
+    const price = priceRangeFilter(String(query.price));
+    if (price) refinements.price = { price };
+  }
+
+  let sort = query.sort && SORT_OPTIONS[query.sort] ? query.sort : null;
+  if (!sort || (sort === 'relevance' && !search)) {
+    sort = search ? 'relevance' : 'newest';
+  }
+
+  return { search, refinements, sort };
+};
+
+// Función para construir las etapas que calculan los inscritos activos de cada curso (orden popular)
+// Usa el índice { course, status } de la colección de inscripciones
+const buildPopularityStages = (enrollmentsCollection) => [
+  {
+    $lookup: {
+      from: enrollmentsCollection,
+      localField: '_id',
+      foreignField: 'course',
+      pipeline: [{ $match: { status: 'active' } }, { $count: 'count' }],
+      as: 'enrollmentStats'
+    }
+  },
+  { $addFields: { enrolledTotal: { $ifNull: [{ $first: '$enrollmentStats.count' }, 0] } } }
+];
+
+// Función para combinar los filtros refinables, omitiendo uno (para las facetas)
+const combineRefinements = (refinements, except = null) => {
+  const filters = Object.entries(refinements)
+    .filter(([key]) => key !== except)
+    .map(([, filter]) => filter);
+  return filters.length ? { $and: filters } : {};
+};
+
+// Función para construir el pipeline que cuenta los resultados por categoría, nivel, precio y etiqueta
+// Cada faceta aplica todos los filtros menos el suyo, para mostrar cuántos cursos hay en cada opción
+const buildFacetStage = (refinements) => ({
+  $facet: {
+    categories: [
+      { $match: combineRefinements(refinements, 'category') },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ],
+    levels: [
+      { $match: combineRefinements(refinements, 'level') },
+      { $group: { _id: '$level', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ],
+    priceRanges: [
+      { $match: combineRefinements(refinements, 'price') },
+      {
+        $bucket: {
+          groupBy: '$price',
+          // El último límite cierra el penúltimo rango; lo que queda por encima cae en default
+          boundaries: PRICE_RANGES.map(range => range.min),
+          default: PRICE_RANGES[PRICE_RANGES.length - 1].key,
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ],
+    tags: [
+      { $match: combineRefinements(refinements, 'tag') },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: TAG_FACET_LIMIT }
+    ]
+  }
+});
+
+// Función para dar formato a los resultados de las facetas
+const formatFacets = (result) => {
+  const toList = (items) => items.map(item => ({ value: item._id, count: item.count }));
+
+  // $bucket identifica cada rango por su límite inferior (o por la clave de default)
+  const priceCounts = new Map(result.priceRanges.map(item => {
+    const range = PRICE_RANGES.find(candidate => candidate.min === item._id || candidate.key === item._id);
+    return [range ? range.key : item._id, item.count];
+  }));
+
+  return {
+    categories: toList(result.categories),
+    levels: toList(result.levels),
+    priceRanges: PRICE_RANGES.map(range => ({
+      value: range.key,
+      min: range.min,
+      max: range.max,
+      count: priceCounts.get(range.key) || 0
+    })),
+    tags: toList(result.tags)
+  };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  PRICE_RANGES,
+  parsePagination,
+  parseCourseQuery,
+  buildFacetStage,
+  buildPopularityStages,
+  formatFacets
+};
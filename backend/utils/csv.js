@@ -0,0 +1,60 @@
+// Función para interpretar un texto CSV (separado por comas, con comillas dobles opcionales)
+// Admite saltos de línea y comillas escapadas ("") dentro de los campos entre comillas
+// Devuelve las filas como arrays de celdas, con el número de línea donde empieza cada una,
+// omitiendo las filas vacías
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const pushRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) {
+      rows.push({ line: rowLine, cells: row.map(value => value.trim()) });
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      pushRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  pushRow();
+  return rows;
+};
+
+module.exports = {
+  parseCsv
+};
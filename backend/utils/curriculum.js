@@ -0,0 +1,235 @@
+const Video = require('../models/Video');
+const File = require('../models/File');
+
+// Tipos de lección admitidos en el temario
+const LESSON_TYPES = ['video', 'file', 'quiz', 'text'];
+
+// Función para validar las preguntas de un quiz
+// Devuelve el mensaje de error o null si son válidas
+const validateQuiz = (quiz) => {
+  if (!quiz || !Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+    return 'El quiz debe tener al menos una pregunta';
+  }
+
+  for (const [index, item] of quiz.questions.entries()) {
+    if (!item.question || !Array.isArray(item.options) || item.options.length < 2) {
+      return `Pregunta ${index + 1}: requiere enunciado y al menos dos opciones`;
+    }
+    if (!Number.isInteger(item.correctOption) || item.correctOption < 0 || item.correctOption >= item.options.length) {
+      return `Pregunta ${index + 1}: correctOption debe ser el índice de una opción`;
+    }
+  }
+
+  if (quiz.passingScore !== undefined && (quiz.passingScore < 0 || quiz.passingScore > 100)) {
+    return 'passingScore debe estar entre 0 y 100';
+  }
+
+  return null;
+};
+
+// Función para validar los días de liberación de una lección (null o vacío = sin espera)
+// Devuelve { value } o { error }
+const parseReleaseAfterDays = (value) => {
+  if (value === null || value === '') return { value: null };
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    return { error: 'releaseAfterDays debe ser un entero mayor o igual a 0 (o null para no esperar)' };
+  }
+  return { value: days };
+};
+
+// Función para calcular cuándo se libera una lección para un alumno
+// releaseStart es el inicio de su grupo o su fecha de inscripción; null si la lección no tiene espera
+const getLessonAvailableAt = (lesson, releaseStart) => {
+  if (lesson.releaseAfterDays === null || lesson.releaseAfterDays === undefined || !releaseStart) return null;
+  return new Date(new Date(releaseStart).getTime() + lesson.releaseAfterDays * 24 * 60 * 60 * 1000);
+};
+
+// Función para buscar la lección que referencia un video o archivo
+const findLessonBy = (course, type, resourceId) => {
+  for (const section of course.sections) {
+    const lesson = section.lessons.find(item => item[type] && item[type].toString() === resourceId.toString());
+    if (lesson) return lesson;
+  }
+  return null;
+};
+
+// Función para construir una lección a partir del body, validando que el recurso sea del curso
+// Devuelve { lesson } o { error }
+const buildLesson = async (course, body) => {
+  const { type, title, videoId, fileId, content, quiz, isPreview, releaseAfterDays } = body;
+
+  if (!LESSON_TYPES.includes(type)) {
+    return { error: `Tipo de lección inválido. Debe ser uno de: ${LESSON_TYPES.join(', ')}` };
+  }
+
+  const lesson = { type, isPreview: Boolean(isPreview) };
+
+  if (releaseAfterDays !== undefined) {
+    const release = parseReleaseAfterDays(releaseAfterDays);
+    if (release.error) return { error: release.error };
+    lesson.releaseAfterDays = release.value;
+  }
+
+  if (type === 'video') {
+    const video = videoId ? await Video.findOne({ _id: videoId, course: course._id }).select('title') : null;
+    if (!video) return { error: 'El video no existe o no pertenece a este curso' };
+    if (findLessonBy(course, 'video', video._id)) return { error: 'El video ya está en el temario' };
+    lesson.video = video._id;
+    lesson.title = title || video.title;
+  }
+
+  if (type === 'file') {
+    const file = fileId ? await File.findOne({ _id: fileId, course: course._id }).select('title') : null;
+    if (!file) return { error: 'El archivo no existe o no pertenece a este curso' };
+    if (findLessonBy(course, 'file', file._id)) return { error: 'El archivo ya está en el temario' };
+    lesson.file = file._id;
+    lesson.title = title || file.title;
+  }
+
+  if (type === 'text') {
+    if (!content) return { error: 'Las lecciones de texto requieren contenido' };
+    lesson.content = content;
+  }
+
+  if (type === 'quiz') {
+    const quizError = validateQuiz(quiz);
+    if (quizError) return { error: quizError };
+    lesson.quiz = quiz;
+  }
+
+  lesson.title = lesson.title || title;
+  if (!lesson.title) {
+    return { error: 'El título de la lección es requerido' };
+  }
+
+  return { lesson };
+};
+
+// Función para ubicar una lección y su sección dentro del temario
+const findLesson = (course, lessonId) => {
+  for (const section of course.sections) {
+    const lesson = section.lessons.id(lessonId);
+    if (lesson) return { section, lesson };
+  }
+  return null;
+};
+
+// Función para insertar un elemento en una posición (al final si no se indica o es inválida)
+const insertAt = (array, item, position) => {
+  const index = Number.isInteger(position) && position >= 0 && position <= array.length
+    ? position
+    : array.length;
+  array.splice(index, 0, item);
+};
+
+// Función para construir el temario anidado para las respuestas
+// videos y files son los documentos del curso (poblados); fullAccess indica inscripción o gestión
+// releaseStart es el inicio de la liberación gradual del alumno (las lecciones aún no liberadas se bloquean)
+const buildCurriculum = (course, videos, files, { fullAccess = false, canManage = false, releaseStart = null } = {}) => {
+  const videosById = new Map(videos.map(video => [video._id.toString(), video]));
+  const filesById = new Map(files.map(file => [file._id.toString(), file]));
+  const assigned = new Set();
+
+  const sections = course.sections.map(section => {
+    let duration = 0;
+
+    const lessons = section.lessons.map(lesson => {
+      const availableAt = canManage ? null : getLessonAvailableAt(lesson, releaseStart);
+      const isLocked = !!availableAt && availableAt > new Date();
+      const canView = lesson.isPreview || (fullAccess && !isLocked);
+      const item = {
+        id: lesson._id,
+        type: lesson.type,
+        title: lesson.title,
+        isPreview: lesson.isPreview,
+        releaseAfterDays: canManage ? lesson.releaseAfterDays : undefined,
+        availableAt: availableAt || undefined,
+        isLocked
+      };
+
+      if (lesson.type === 'video') {
+        const video = videosById.get(lesson.video.toString());
+        assigned.add(lesson.video.toString());
+        // Videos eliminados o desactivados no se muestran
+        if (!video || (!video.isActive && !canManage)) return null;
+
+        duration += video.duration || 0;
+        item.duration = video.duration;
+        item.formattedDuration = video.formattedDuration;
+        item.video = {
+          id: video._id,
+          thumbnail: video.thumbnailUrl,
+          status: video.status,
+          videoUrl: canView ? video.videoUrl : undefined
+        };
+      }
+
+      if (lesson.type === 'file') {
+        const file = filesById.get(lesson.file.toString());
+        assigned.add(lesson.file.toString());
+        if (!file || (!file.isActive && !canManage)) return null;
+
+        item.file = {
+          id: file._id,
+          fileType: file.fileType,
+          formattedSize: file.formattedSize,
+          downloadUrl: canView ? file.downloadUrl : undefined
+        };
+      }
+
+      if (lesson.type === 'text' && canView) {
+        item.content = lesson.content;
+      }
+
+      if (lesson.type === 'quiz') {
+        item.questionCount = lesson.quiz.questions.length;
+        if (canView) {
+          item.quiz = {
+            passingScore: lesson.quiz.passingScore,
+            // Las respuestas correctas solo las ven quienes gestionan el curso
+            questions: lesson.quiz.questions.map(question => ({
+              question: question.question,
+              options: question.options,
+              correctOption: canManage ? question.correctOption : undefined
+            }))
+          };
+        }
+      }
+
+      return item;
+    }).filter(Boolean);
+
+    return {
+      id: section._id,
+      title: section.title,
+      description: section.description,
+      lessonCount: lessons.length,
+      duration, // Segundos de video de la sección
+      lessons
+    };
+  });
+
+  const curriculum = { sections };
+
+  // Contenido subido que todavía no se ubicó en ninguna sección
+  if (canManage) {
+    curriculum.unassigned = {
+      videos: videos.filter(video => !assigned.has(video._id.toString())).map(video => ({ id: video._id, title: video.title })),
+      files: files.filter(file => !assigned.has(file._id.toString())).map(file => ({ id: file._id, title: file.title }))
+    };
+  }
+
+  return curriculum;
+};
+
+module.exports = {
+  validateQuiz,
+  parseReleaseAfterDays,
+  getLessonAvailableAt,
+  findLessonBy,
+  buildLesson,
+  findLesson,
+  insertAt,
+  buildCurriculum
+};
@@ -0,0 +1,86 @@
+// Plantillas de correo. Cada una recibe datos y devuelve { subject, text, html }
+
+// Función para escapar valores interpolados en HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Función para envolver el contenido en el layout común
+const layout = (title, body) => `<!DOCTYPE html>
+<html lang="es">
+  <body style="font-family: Arial, sans-serif; color: #222;">
+    <h2>${escapeHtml(title)}</h2>
+    ${body}
+    <p style="color: #888; font-size: 12px;">Si no solicitaste este correo, puedes ignorarlo.</p>
+  </body>
+</html>`;
+
+const emailVerification = ({ firstName, url }) => ({
+  subject: 'Confirma tu correo electrónico',
+  text: `Hola ${firstName},\n\nConfirma tu correo electrónico abriendo el siguiente enlace:\n${url}\n\nEl enlace vence en 24 horas.`,
+  html: layout('Confirma tu correo electrónico', `
+    <p>Hola ${escapeHtml(firstName)},</p>
+    <p>Confirma tu correo electrónico haciendo clic en el siguiente enlace:</p>
+    <p><a href="${escapeHtml(url)}">Confirmar correo</a></p>
+    <p>El enlace vence en 24 horas.</p>`)
+});
+
+const passwordReset = ({ firstName, url }) => ({
+  subject: 'Restablece tu contraseña',
+  text: `Hola ${firstName},\n\nRecibimos una solicitud para restablecer tu contraseña. Abre el siguiente enlace para elegir una nueva:\n${url}\n\nEl enlace vence en 1 hora y solo puede usarse una vez.`,
+  html: layout('Restablece tu contraseña', `
+    <p>Hola ${escapeHtml(firstName)},</p>
+    <p>Recibimos una solicitud para restablecer tu contraseña.</p>
+    <p><a href="${escapeHtml(url)}">Elegir una nueva contraseña</a></p>
+    <p>El enlace vence en 1 hora y solo puede usarse una vez.</p>`)
+});
+
+const passwordChanged = ({ firstName }) => ({
+  subject: 'Tu contraseña fue cambiada',
+  text: `Hola ${firstName},\n\nTe confirmamos que la contraseña de tu cuenta fue cambiada y se cerraron todas tus sesiones. Si no fuiste tú, contacta al administrador.`,
+  html: layout('Tu contraseña fue cambiada', `
+    <p>Hola ${escapeHtml(firstName)},</p>
+    <p>Te confirmamos que la contraseña de tu cuenta fue cambiada y se cerraron todas tus sesiones.</p>
+    <p>Si no fuiste tú, contacta al administrador.</p>`)
+});
+
+const invitation = ({ invitedBy, role, url, expiresAt }) => {
+  const roleNames = { admin: 'administrador', instructor: 'instructor', student: 'estudiante' };
+  const roleName = roleNames[role] || 'estudiante';
+  const expires = new Date(expiresAt).toLocaleDateString('es');
+
+  return {
+    subject: 'Te invitaron a la plataforma de cursos',
+    text: `Hola,\n\n${invitedBy} te invitó a unirte a la plataforma de cursos como ${roleName}. Crea tu cuenta abriendo el siguiente enlace:\n${url}\n\nLa invitación vence el ${expires}.`,
+    html: layout('Te invitaron a la plataforma de cursos', `
+    <p>Hola,</p>
+    <p>${escapeHtml(invitedBy)} te invitó a unirte a la plataforma de cursos como <strong>${roleName}</strong>.</p>
+    <p><a href="${escapeHtml(url)}">Crear mi cuenta</a></p>
+    <p>La invitación vence el ${escapeHtml(expires)}.</p>`)
+  };
+};
+
+const waitlistPromotion = ({ firstName, courseTitle, url, expiresAt }) => {
+  const expires = expiresAt ? new Date(expiresAt).toLocaleDateString('es') : null;
+  const expiresText = expires ? ` Tu acceso vence el ${expires}.` : '';
+
+  return {
+    subject: `Tienes un lugar en ${courseTitle}`,
+    text: `Hola ${firstName},\n\nSe liberó un cupo en el curso ${courseTitle} y ya estás inscrito.${expiresText} Puedes empezar en:\n${url}`,
+    html: layout('Tienes un lugar en el curso', `
+    <p>Hola ${escapeHtml(firstName)},</p>
+    <p>Se liberó un cupo en el curso <strong>${escapeHtml(courseTitle)}</strong> y ya estás inscrito.${escapeHtml(expiresText)}</p>
+    <p><a href="${escapeHtml(url)}">Ir al curso</a></p>`)
+  };
+};
+
+module.exports = {
+  emailVerification,
+  passwordReset,
+  passwordChanged,
+  invitation,
+  waitlistPromotion
+};
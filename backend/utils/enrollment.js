@@ -0,0 +1,302 @@
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { canManageCourse } = require('./permissions');
+const { findLessonBy, getLessonAvailableAt } = require('./curriculum');
+const { sendMail, buildAppUrl } = require('./mailer');
+
+// Función para obtener el id de una referencia, esté poblada o no
+const refId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Función para construir el filtro de inscripciones que se pueden reemplazar por una nueva:
+// las de statuses y las activas que ya vencieron
+const replaceableFilter = (statuses) => ({
+  $or: [
+    { status: { $in: statuses } },
+    { status: 'active', expiresAt: { $lte: new Date() } }
+  ]
+});
+
+// Función para inscribir a un usuario en un curso (idempotente, sin verificar el cupo)
+// Reactiva la inscripción si estaba cancelada, vencida o en la lista de espera; options: source, order, cohort
+// El vencimiento del acceso se calcula con la configuración del curso
+// Devuelve true si el usuario no estaba inscrito
+const enrollUser = async (course, userId, { source = 'self', order = null, cohort = null } = {}) => {
+  const now = new Date();
+
+  try {
+    // El filtro excluye la inscripción vigente: si ya existe, el upsert choca con el índice único
+    await Enrollment.findOneAndUpdate(
+      { user: userId, course: course._id, ...replaceableFilter(['waitlisted', 'cancelled']) },
+      {
+        $set: {
+          status: 'active',
+          source,
+          order,
+          cohort,
+          enrolledAt: now,
+          expiresAt: course.getAccessExpiry(now),
+          completedAt: null,
+          cancelledAt: null
+        }
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Función para anotar a un usuario en la lista de espera de un curso (idempotente)
+// Devuelve true si el usuario no estaba inscrito ni en la lista
+const joinWaitlist = async (course, userId, cohort = null) => {
+  try {
+    await Enrollment.findOneAndUpdate(
+      { user: userId, course: course._id, ...replaceableFilter(['cancelled']) },
+      {
+        $set: {
+          status: 'waitlisted',
+          source: 'self',
+          order: null,
+          cohort,
+          enrolledAt: null,
+          waitlistedAt: new Date(),
+          expiresAt: null,
+          completedAt: null,
+          cancelledAt: null
+        }
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Función para contar los inscritos vigentes de un curso
+const countEnrolled = (courseId) => Enrollment.countDocuments(Enrollment.activeFilter({ course: refId(courseId) }));
+
+// Función para calcular los cupos libres de un curso (Infinity si no tiene cupo máximo)
+const getAvailableSeats = async (course) => {
+  if (!course.capacity) return Infinity;
+  return Math.max(course.capacity - await countEnrolled(course._id), 0);
+};
+
+// Función para obtener la posición (desde 1) de una inscripción en la lista de espera
+const getWaitlistPosition = async (enrollment) => {
+  const ahead = await Enrollment.countDocuments({
+    course: enrollment.course,
+    status: 'waitlisted',
+    $or: [
+      { waitlistedAt: { $lt: enrollment.waitlistedAt } },
+      { waitlistedAt: enrollment.waitlistedAt, _id: { $lt: enrollment._id } }
+    ]
+  });
+  return ahead + 1;
+};
+
+// Función para avisar por correo a los usuarios que obtuvieron un cupo
+// Un error de envío no deshace la inscripción
+const notifyPromoted = async (course, enrollments) => {
+  await Enrollment.populate(enrollments, { path: 'user', select: 'firstName email' });
+
+  await Promise.all(enrollments.map(async (enrollment) => {
+    if (!enrollment.user) return;
+    try {
+      await sendMail(enrollment.user.email, 'waitlistPromotion', {
+        firstName: enrollment.user.firstName,
+        courseTitle: course.title,
+        url: buildAppUrl(`/courses/${course._id}`),
+        expiresAt: enrollment.expiresAt
+      });
+    } catch (error) {
+      console.error('Error enviando aviso de cupo:', error);
+    }
+  }));
+};
+
+// Función para verificar el cupo después de inscribir a un usuario
+// Con inscripciones simultáneas el cupo puede excederse: si la del usuario quedó fuera, pasa a la lista de espera
+// waitlistedAt es su lugar en la lista (por defecto, el momento en que se inscribió)
+// Devuelve true si el usuario pasó a la lista de espera
+const moveOverflowToWaitlist = async (course, userId, { waitlistedAt = null } = {}) => {
+  if (!course.capacity) return false;
+
+  const overflow = await Enrollment.find(Enrollment.activeFilter({ course: course._id }))
+    .sort({ enrolledAt: 1, _id: 1 })
+    .skip(course.capacity)
+    .select('user enrolledAt');
+  const own = overflow.find(enrollment => enrollment.user.toString() === userId.toString());
+
+  if (!own) return false;
+
+  // Conserva su orden de llegada en la lista de espera
+  const result = await Enrollment.updateOne(
+    { _id: own._id, status: 'active' },
+    { status: 'waitlisted', waitlistedAt: waitlistedAt || own.enrolledAt, enrolledAt: null, expiresAt: null }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Función para pasar usuarios de la lista de espera a inscritos mientras queden cupos (por orden de llegada)
+// Los cupos se vuelven a contar en cada promoción y cada promovido se verifica contra el cupo:
+// si dos promociones simultáneas ocupan el mismo lugar, la que quedó fuera vuelve a su puesto en la lista
+// Devuelve las inscripciones promovidas
+const promoteFromWaitlist = async (course) => {
+  const promoted = [];
+
+  while (await getAvailableSeats(course) > 0) {
+    const now = new Date();
+    const enrollment = await Enrollment.findOneAndUpdate(
+      { course: course._id, status: 'waitlisted' },
+      { status: 'active', enrolledAt: now, expiresAt: course.getAccessExpiry(now) },
+      { sort: { waitlistedAt: 1, _id: 1 }, new: true }
+    );
+
+    if (!enrollment) break;
+    if (await moveOverflowToWaitlist(course, enrollment.user, { waitlistedAt: enrollment.waitlistedAt })) break;
+    promoted.push(enrollment);
+  }
+
+  if (promoted.length) {
+    await notifyPromoted(course, promoted);
+  }
+  return promoted;
+};
+
+// Función para inscribir a un usuario respetando el cupo del curso
+// Primero asigna los cupos libres a la lista de espera; si no queda ninguno, anota al usuario en ella
+// cohort es el grupo elegido (opcional); al pasar de la lista de espera lo conserva
+// Devuelve { status: 'enrolled' } o { status: 'waitlisted', position }
+const requestEnrollment = async (course, userId, cohort = null) => {
+  await promoteFromWaitlist(course);
+
+  const current = await Enrollment.findOne({ user: userId, course: course._id });
+  if (current && current.state === 'active') {
+    return { status: 'enrolled' };
+  }
+  if (current && current.state === 'waitlisted') {
+    return { status: 'waitlisted', position: await getWaitlistPosition(current) };
+  }
+
+  if (await getAvailableSeats(course) > 0) {
+    await enrollUser(course, userId, { cohort });
+    if (!await moveOverflowToWaitlist(course, userId)) {
+      return { status: 'enrolled' };
+    }
+  } else {
+    await joinWaitlist(course, userId, cohort);
+  }
+
+  const waitlisted = await Enrollment.findOne({ user: userId, course: course._id, status: 'waitlisted' });
+  return { status: 'waitlisted', position: waitlisted ? await getWaitlistPosition(waitlisted) : null };
+};
+
+// Función para cancelar la inscripción de un usuario en un curso, o sacarlo de la lista de espera (idempotente)
+// Si libera un cupo, lo asigna al primero de la lista de espera
+// Devuelve el estado que tenía ('active' o 'waitlisted') o null si no estaba inscrito
+const unenrollUser = async (course, userId) => {
+  const enrollment = await Enrollment.findOneAndUpdate(
+    { user: userId, course: course._id, status: { $in: ['active', 'waitlisted'] } },
+    { status: 'cancelled', cancelledAt: new Date() }
+  );
+
+  if (!enrollment) return null;
+
+  if (enrollment.status === 'active') {
+    await promoteFromWaitlist(course);
+  }
+  return enrollment.status;
+};
+
+// Función para saber si el usuario tiene una inscripción vigente en el curso
+const hasActiveEnrollment = async (user, course) => {
+  if (!user || !course) return false;
+  const enrollment = await Enrollment.exists(Enrollment.activeFilter({ user: user._id, course: refId(course) }));
+  return !!enrollment;
+};
+
+// Función para obtener la inscripción del usuario en el curso, en cualquier estado (null si nunca se inscribió)
+const getEnrollment = (user, course) => {
+  if (!user || !course) return null;
+  return Enrollment.findOne({ user: user._id, course: refId(course) });
+};
+
+// Función para saber si el usuario puede ver el contenido de un curso:
+// quienes lo gestionan siempre; el resto, con una inscripción vigente
+const canAccessCourse = async (user, course) => {
+  if (!user || !course) return false;
+  if (canManageCourse(user, course)) return true;
+  return hasActiveEnrollment(user, course);
+};
+
+// Función para obtener desde cuándo se cuentan los días de liberación de las lecciones:
+// el inicio del grupo del alumno o, si no tiene grupo, su fecha de inscripción
+// enrollment debe tener el grupo poblado (startDate)
+const getReleaseStart = (enrollment) => {
+  if (!enrollment) return null;
+  if (enrollment.cohort && enrollment.cohort.startDate) return enrollment.cohort.startDate;
+  return enrollment.enrolledAt;
+};
+
+// Campos del curso que usa canAccessContent: poblarlos evita leer el curso en cada petición
+const CONTENT_ACCESS_FIELDS = 'instructor coInstructors sections status isActive publishAt unpublishAt';
+
+// Función para saber si el usuario puede ver un video o archivo del curso (resource: { video } o { file })
+// Las lecciones de vista previa de un curso publicado son visibles sin inscripción; el resto
+// requiere acceso al curso y que la lección que lo contiene esté liberada
+const canAccessContent = async (user, course, resource) => {
+  if (!user || !course) return false;
+  if (canManageCourse(user, course)) return true;
+
+  const courseDoc = course.sections
+    ? course
+    : await Course.findById(refId(course)).select(CONTENT_ACCESS_FIELDS);
+  if (!courseDoc) return false;
+
+  const [type, resourceId] = Object.entries(resource)[0];
+  const lesson = findLessonBy(courseDoc, type, resourceId);
+  if (lesson && lesson.isPreview && courseDoc.isLive) return true;
+
+  // Sin liberación gradual basta con la inscripción vigente
+  if (!lesson || lesson.isPreview || lesson.releaseAfterDays === null || lesson.releaseAfterDays === undefined) {
+    return hasActiveEnrollment(user, courseDoc);
+  }
+
+  const enrollment = await Enrollment.findOne(Enrollment.activeFilter({ user: user._id, course: courseDoc._id }))
+    .populate('cohort', 'startDate');
+  if (!enrollment) return false;
+
+  const availableAt = getLessonAvailableAt(lesson, getReleaseStart(enrollment));
+  return !availableAt || availableAt <= new Date();
+};
+
+// Función para obtener los ids de los cursos (de una lista) en los que el usuario está inscrito
+// Devuelve un Set de ids como string
+const getEnrolledCourseIds = async (user, courseIds = null) => {
+  if (!user) return new Set();
+  const filters = { user: user._id };
+  if (courseIds) filters.course = { $in: courseIds };
+  const enrollments = await Enrollment.find(Enrollment.activeFilter(filters)).select('course');
+  return new Set(enrollments.map(enrollment => enrollment.course.toString()));
+};
+
+module.exports = {
+  enrollUser,
+  requestEnrollment,
+  unenrollUser,
+  promoteFromWaitlist,
+  getAvailableSeats,
+  getWaitlistPosition,
+  hasActiveEnrollment,
+  getEnrollment,
+  getReleaseStart,
+  canAccessCourse,
+  CONTENT_ACCESS_FIELDS,
+  canAccessContent,
+  getEnrolledCourseIds,
+  countEnrolled
+};
@@ -0,0 +1,53 @@
+const { spawn } = require('child_process');
+
+// Binarios de ffmpeg/ffprobe (por defecto se buscan en el PATH)
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Función para ejecutar un binario y recoger su salida
+const run = (binary, args) => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(binary, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => { stdout += data; });
+    child.stderr.on('data', (data) => {
+      // Conservar solo el final del log, que es donde ffmpeg informa el error
+      stderr = (stderr + data).slice(-4000);
+    });
+
+    child.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        return reject(new Error(`No se encontró ${binary}. Instálalo o configura su ruta en .env`));
+      }
+      reject(error);
+    });
+
+    child.on('close', (code) => {
+      if (code === 0) return resolve(stdout);
+      const lastLine = stderr.trim().split('\n').pop();
+      reject(new Error(`${binary} terminó con código ${code}: ${lastLine}`));
+    });
+  });
+};
+
+// Función para ejecutar ffmpeg
+const runFfmpeg = (args) => run(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', ...args]);
+
+// Función para obtener la información de un archivo multimedia con ffprobe
+const probe = async (filePath) => {
+  const output = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    filePath
+  ]);
+  return JSON.parse(output);
+};
+
+module.exports = {
+  runFfmpeg,
+  probe
+};
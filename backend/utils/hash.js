@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Función para hashear tokens antes de guardarlos (nunca se guardan en claro)
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Función para generar un token aleatorio junto con su hash
+const generateRandomToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hash: hashToken(token) };
+};
+
+module.exports = {
+  hashToken,
+  generateRandomToken
+};
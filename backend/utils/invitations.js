@@ -0,0 +1,73 @@
+const Invitation = require('../models/Invitation');
+const { generateRandomToken } = require('./hash');
+const { sendMail, buildAppUrl } = require('./mailer');
+
+// Vigencia de las invitaciones en días
+const INVITATION_DAYS = parseInt(process.env.INVITATION_DAYS) || 7;
+
+// Función para generar un token nuevo, renovar la vigencia y enviar (o reenviar) la invitación
+// Si el correo no sale, la invitación vuelve a su estado anterior (o se elimina si era nueva)
+// para que el enlace enviado antes siga siendo válido. Una invitación nueva de una cuenta ya creada
+// (importación) se conserva pendiente y sin enviar: es el único acceso a la cuenta y debe poder reenviarse
+const sendInvitation = async (invitation, inviter) => {
+  const previous = invitation.isNew ? null : {
+    tokenHash: invitation.tokenHash,
+    expiresAt: invitation.expiresAt,
+    lastSentAt: invitation.lastSentAt,
+    sentCount: invitation.sentCount
+  };
+
+  const { token, hash } = generateRandomToken();
+  invitation.tokenHash = hash;
+  invitation.expiresAt = new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000);
+  invitation.lastSentAt = new Date();
+  if (previous) invitation.sentCount += 1;
+  await invitation.save();
+
+  try {
+    await sendMail(invitation.email, 'invitation', {
+      invitedBy: inviter.fullName,
+      role: invitation.role,
+      url: buildAppUrl('/accept-invitation', { token }),
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    if (previous) {
+      Object.assign(invitation, previous);
+      await invitation.save();
+    } else if (invitation.user) {
+      invitation.sentCount = 0;
+      invitation.lastSentAt = null;
+      await invitation.save();
+    } else {
+      await invitation.deleteOne();
+    }
+    throw error;
+  }
+};
+
+// Función para crear y enviar una invitación
+// Las pendientes para el mismo email se revocan solo después de enviar la nueva
+// user es la cuenta ya creada (importaciones) que se activa al aceptar; null para crearla al aceptar
+const createInvitation = async ({ email, role, user = null }, inviter) => {
+  const invitation = new Invitation({
+    email: email.toLowerCase(),
+    role,
+    user,
+    invitedBy: inviter._id
+  });
+
+  await sendInvitation(invitation, inviter);
+
+  await Invitation.updateMany(
+    { email: invitation.email, status: 'pending', _id: { $ne: invitation._id } },
+    { status: 'revoked', revokedAt: new Date() }
+  );
+  return invitation;
+};
+
+module.exports = {
+  INVITATION_DAYS,
+  sendInvitation,
+  createInvitation
+};
@@ -0,0 +1,68 @@
+const { getStore } = require('./rateLimitStore');
+
+// Intentos fallidos permitidos por cuenta antes del bloqueo temporal
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+
+// Duración del bloqueo temporal en minutos
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+
+// Minutos sin fallos tras los cuales el contador de la cuenta vuelve a empezar
+const LOGIN_FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+
+// Retraso progresivo de la respuesta tras cada fallo (base y máximo en ms)
+const LOGIN_DELAY_MS = parseInt(process.env.LOGIN_DELAY_MS) || 250;
+const LOGIN_MAX_DELAY_MS = parseInt(process.env.LOGIN_MAX_DELAY_MS) || 5000;
+
+const LOCK_WINDOW_MS = LOGIN_LOCK_MINUTES * 60 * 1000;
+
+// Función para obtener la clave de rate limiting de una cuenta
+// Se usa el email y no el id para cubrir también emails inexistentes
+const accountKey = (email) => `login:account:${email.toLowerCase()}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Función para obtener los segundos restantes de bloqueo (0 si no está bloqueada)
+const getLockRemaining = async (email, user) => {
+  const now = Date.now();
+  let lockedUntil = 0;
+
+  const entry = await getStore().get(accountKey(email));
+  if (entry && entry.count >= LOGIN_MAX_ATTEMPTS) {
+    lockedUntil = entry.resetAt.getTime();
+  }
+
+  if (user && user.isLocked) {
+    lockedUntil = Math.max(lockedUntil, user.lockUntil.getTime());
+  }
+
+  return lockedUntil > now ? Math.ceil((lockedUntil - now) / 1000) : 0;
+};
+
+// Función para registrar un fallo y aplicar el retraso progresivo
+const recordFailedLogin = async (email, user, ip) => {
+  const { count } = await getStore().increment(accountKey(email), LOCK_WINDOW_MS);
+
+  if (user) {
+    await user.registerFailedLogin(ip);
+  }
+
+  await sleep(Math.min(LOGIN_DELAY_MS * 2 ** (count - 1), LOGIN_MAX_DELAY_MS));
+};
+
+// Función para limpiar los fallos de una cuenta (login correcto o desbloqueo manual)
+const clearFailedLogins = async (email, user) => {
+  await getStore().reset(accountKey(email));
+
+  if (user) {
+    await user.resetLoginAttempts();
+  }
+};
+
+module.exports = {
+  LOGIN_MAX_ATTEMPTS,
+  LOGIN_LOCK_MINUTES,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  getLockRemaining,
+  recordFailedLogin,
+  clearFailedLogins
+};
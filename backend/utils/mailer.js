@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const templates = require('./emailTemplates');
+
+// Transporte SMTP (producción)
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Transporte de archivos (desarrollo y tests): guarda cada correo como JSON
+const createFileTransport = () => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../mails');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+      await fs.promises.writeFile(path.join(dir, filename), JSON.stringify(message, null, 2));
+      return { filename };
+    }
+  };
+};
+
+// Transporte de consola (desarrollo): imprime el correo en el log
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Correo para ${message.to}: ${message.subject}\n${message.text}`);
+    return {};
+  }
+});
+
+const MAIL_TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+// Función para crear el transporte según MAIL_TRANSPORT (smtp | file | console)
+// Sin MAIL_TRANSPORT se usa la consola, salvo en producción: imprimiría en el log
+// los enlaces de verificación, recuperación e invitación
+const createTransport = () => {
+  const name = process.env.MAIL_TRANSPORT;
+
+  if (!name) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('MAIL_TRANSPORT es requerido en producción (smtp | file)');
+    }
+    return createConsoleTransport();
+  }
+
+  if (!MAIL_TRANSPORTS[name]) {
+    throw new Error(`MAIL_TRANSPORT inválido: ${name} (valores: ${Object.keys(MAIL_TRANSPORTS).join(', ')})`);
+  }
+
+  return MAIL_TRANSPORTS[name]();
+};
+
+let transport = null;
+
+// Función para obtener el transporte actual (se crea bajo demanda)
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Función para reemplazar el transporte (útil en tests)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Función para construir URLs del frontend incluidas en los correos
+const buildAppUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+// Función para enviar un correo a partir de una plantilla
+const sendMail = async (to, templateName, data = {}) => {
+  const template = templates[templateName];
+
+  if (!template) {
+    throw new Error(`Plantilla de correo desconocida: ${templateName}`);
+  }
+
+  const { subject, text, html } = template(data);
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Cursillos <no-reply@cursillos.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  buildAppUrl,
+  getTransport,
+  setTransport
+};
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Setting = require('../models/Setting');
+const CouponRedemption = require('../models/CouponRedemption');
+const CouponUsage = require('../models/CouponUsage');
+const Order = require('../models/Order');
+
+// Migraciones de datos que se aplican una sola vez al iniciar el servidor
+// Los nombres aplicados se guardan en la configuración 'migrations'
+const MIGRATIONS = [
+  {
+    // Los cursos creados antes del flujo de publicación ya eran visibles
+    name: 'course-status',
+    up: async () => {
+      const result = await Course.updateMany(
+        { status: { $exists: false } },
+        [{ $set: { status: 'published', publishedAt: '$createdAt' } }]
+      );
+      return `${result.modifiedCount} curso(s) marcados como publicados`;
+    }
+  },
+  {
+    // Las inscripciones estaban duplicadas en Course.enrolledStudents y User.enrolledCourses:
+    // se unen ambas listas en la colección Enrollment y se eliminan los arrays
+    // (se usa la colección directamente porque los campos ya no están en los esquemas)
+    name: 'enrollments-collection',
+    up: async () => {
+      const courses = mongoose.connection.collection('courses');
+      const users = mongoose.connection.collection('users');
+      const pairs = new Map();
+
+      const addPair = (userId, courseId, enrolledAt) => {
+        const key = `${userId}:${courseId}`;
+        if (!pairs.has(key)) pairs.set(key, { user: userId, course: courseId, enrolledAt });
+      };
+
+      await courses.find({ 'enrolledStudents.0': { $exists: true } }, { projection: { enrolledStudents: 1, createdAt: 1 } })
+        .forEach(course => {
+          course.enrolledStudents.forEach(userId => addPair(userId, course._id, course.createdAt));
+        });
+
+      await users.find({ 'enrolledCourses.0': { $exists: true } }, { projection: { enrolledCourses: 1, createdAt: 1 } })
+        .forEach(user => {
+          user.enrolledCourses.forEach(courseId => addPair(user._id, courseId, user.createdAt));
+        });
+
+      // La fecha real de inscripción no se guardaba: se usa la del curso o la del usuario
+      const operations = [...pairs.values()].map(pair => ({
+        updateOne: {
+          filter: { user: pair.user, course: pair.course },
+          update: {
+            $setOnInsert: {
+              status: 'active',
+              source: 'migration',
+              enrolledAt: pair.enrolledAt || new Date()
+            }
+          },
+          upsert: true
+        }
+      }));
+
+      if (operations.length) {
+        await Enrollment.bulkWrite(operations, { ordered: false });
+      }
+
+      await courses.updateMany({ enrolledStudents: { $exists: true } }, { $unset: { enrolledStudents: '' } });
+      await users.updateMany({ enrolledCourses: { $exists: true } }, { $unset: { enrolledCourses: '' } });
+
+      return `${operations.length} inscripción(es) migradas`;
+    }
+  },
+  {
+    // El límite de usos por usuario pasó a un contador: se calcula con los usos vigentes
+    name: 'coupon-usage-counters',
+    up: async () => {
+      const counts = await CouponRedemption.aggregate([
+        { $match: { status: { $in: ['pending', 'redeemed'] } } },
+        { $group: { _id: { coupon: '$coupon', user: '$user' }, count: { $sum: 1 } } }
+      ]);
+
+      if (counts.length) {
+        await CouponUsage.bulkWrite(counts.map(item => ({
+          updateOne: {
+            filter: { coupon: item._id.coupon, user: item._id.user },
+            update: { $set: { count: item.count } },
+            upsert: true
+          }
+        })), { ordered: false });
+      }
+
+      return `${counts.length} contador(es) de uso de cupones`;
+    }
+  },
+  {
+    // Las órdenes pagadas antes de fulfilledAt ya se habían completado al pagarse
+    name: 'order-fulfilled-at',
+    up: async () => {
+      const result = await Order.updateMany(
+        { status: { $in: ['paid', 'refunded'] }, fulfilledAt: { $exists: false } },
+        [{ $set: { fulfilledAt: { $ifNull: ['$paidAt', '$updatedAt'] } } }]
+      );
+      return `${result.modifiedCount} orden(es) marcadas como completadas`;
+    }
+  }
+];
+
+// Función para aplicar las migraciones pendientes en orden
+const runMigrations = async () => {
+  const applied = await Setting.getValue('migrations', []);
+
+  for (const migration of MIGRATIONS) {
+    if (applied.includes(migration.name)) continue;
+
+    const summary = await migration.up();
+    applied.push(migration.name);
+    await Setting.setValue('migrations', applied);
+
+    console.log(`🗃️  Migración ${migration.name} aplicada${summary ? `: ${summary}` : ''}`);
+  }
+};
+
+module.exports = {
+  runMigrations
+};
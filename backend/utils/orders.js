@@ -0,0 +1,102 @@
+const Order = require('../models/Order');
+const Course = require('../models/Course');
+const { enrollUser, unenrollUser } = require('./enrollment');
+const { confirmRedemption, releaseRedemption } = require('./coupons');
+
+// Función para completar una orden pagada: inscribe al usuario y confirma el uso del cupón
+// Ambos pasos son idempotentes; fulfilledAt se marca al final para que un reintento repita lo que faltó
+const fulfillOrder = async (order) => {
+  // El pago se confirma aunque el curso se haya llenado mientras tanto
+  const course = await Course.findById(order.course);
+  await enrollUser(course, order.user, { source: 'purchase', order: order._id, cohort: order.cohort });
+  await confirmRedemption(order._id);
+
+  order.fulfilledAt = new Date();
+  await Order.updateOne({ _id: order._id, fulfilledAt: null }, { fulfilledAt: order.fulfilledAt });
+};
+
+// Función para aplicar un evento de pago (ya verificado) a su orden
+// Las transiciones son condicionales: un webhook repetido no vuelve a inscribir ni a desinscribir
+// Devuelve la orden actualizada o null si el evento no cambió nada
+const applyPaymentEvent = async (providerName, event) => {
+  if (event.type === 'paid') {
+    // Un pago confirmado inscribe aunque la orden se haya cancelado o marcado como fallida: el dinero ya se cobró
+    let order = await Order.findOneAndUpdate(
+      { provider: providerName, providerReference: event.reference, status: { $in: ['pending', 'failed', 'cancelled'] } },
+      { status: 'paid', providerPaymentId: event.paymentId || null, paidAt: new Date() },
+      { new: true }
+    );
+
+    // Si la inscripción falló después de marcar el pago, el reintento del proveedor la completa
+    if (!order) {
+      order = await Order.findOne({ provider: providerName, providerReference: event.reference, status: 'paid', fulfilledAt: null });
+    }
+
+    if (order) {
+      await fulfillOrder(order);
+    }
+    return order;
+  }
+
+  if (event.type === 'failed') {
+    const order = await Order.findOneAndUpdate(
+      { provider: providerName, providerReference: event.reference, status: 'pending' },
+      { status: 'failed' },
+      { new: true }
+    );
+
+    if (order) {
+      await releaseRedemption(order._id);
+    }
+    return order;
+  }
+
+  if (event.type === 'refunded') {
+    const reference = event.paymentId
+      ? { providerPaymentId: event.paymentId }
+      : { providerReference: event.reference };
+
+    return markOrderRefunded({ provider: providerName, ...reference });
+  }
+
+  return null;
+};
+
+// Función para marcar como reembolsada una orden pagada y revocar la inscripción
+// details: refundReason, refundedBy, providerRefundId (opcionales)
+const markOrderRefunded = async (filters, details = {}) => {
+  const order = await Order.findOneAndUpdate(
+    { ...filters, status: 'paid' },
+    { status: 'refunded', refundedAt: new Date(), ...details },
+    { new: true }
+  );
+
+  if (order) {
+    const course = await Course.findById(order.course);
+    await unenrollUser(course, order.user);
+    await releaseRedemption(order._id);
+  }
+  return order;
+};
+
+// Función para cancelar una orden pendiente y liberar su cupón
+// Devuelve la orden cancelada o null si ya no estaba pendiente
+const cancelOrder = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: 'pending' },
+    { status: 'cancelled' },
+    { new: true }
+  );
+
+  if (order) {
+    await releaseRedemption(order._id);
+  }
+  return order;
+};
+
+module.exports = {
+  fulfillOrder,
+  applyPaymentEvent,
+  markOrderRefunded,
+  cancelOrder
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Moneda de los precios de los cursos (código ISO 4217)
+const PAYMENT_CURRENCY = (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+
+// Tolerancia de la firma de los webhooks de Stripe (segundos)
+const STRIPE_WEBHOOK_TOLERANCE = 300;
+
+class PaymentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'PaymentError';
+    this.status = status;
+  }
+}
+
+// Eventos normalizados que devuelven los proveedores al interpretar un webhook:
+//   { type: 'paid' | 'failed' | 'refunded' | 'ignored', reference, paymentId }
+// reference identifica el checkout (guardado en la orden) y paymentId el pago confirmado
+
+// Proveedor Stripe (Checkout Sessions), vía su API REST
+const createStripeProvider = () => {
+  const api = axios.create({
+    baseURL: 'https://api.stripe.com/v1',
+    headers: { Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}` }
+  });
+
+  // Stripe recibe los montos en la unidad mínima de la moneda (centavos)
+  const toMinorUnits = (amount) => Math.round(amount * 100);
+
+  // Función para verificar la cabecera Stripe-Signature (t=timestamp,v1=firma[,v1=firma...])
+  const verifySignature = (rawBody, header) => {
+    const parts = String(header || '').split(',').map(item => item.split('='));
+    const timestamp = parseInt((parts.find(([key]) => key === 't') || [])[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value || '');
+
+    if (!timestamp || !signatures.length || !rawBody) {
+      throw new PaymentError(400, 'Firma del webhook inválida');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > STRIPE_WEBHOOK_TOLERANCE) {
+      throw new PaymentError(400, 'Webhook fuera de la ventana de tiempo permitida');
+    }
+
+    const expected = crypto
+      .createHmac('sha256', process.env.STRIPE_WEBHOOK_SECRET || '')
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+
+    // Durante la rotación del secreto Stripe envía más de una firma
+    const valid = signatures.some(signature =>
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+    );
+
+    if (!valid) {
+      throw new PaymentError(400, 'Firma del webhook inválida');
+    }
+  };
+
+  return {
+    name: 'stripe',
+
+    createCheckout: async ({ order, course, user, successUrl, cancelUrl }) => {
+      const params = new URLSearchParams({
+        mode: 'payment',
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        client_reference_id: order._id.toString(),
+        customer_email: user.email,
+        'metadata[orderId]': order._id.toString(),
+        'line_items[0][quantity]': '1',
+        'line_items[0][price_data][currency]': order.currency,
+        'line_items[0][price_data][unit_amount]': String(toMinorUnits(order.amount)),
+        'line_items[0][price_data][product_data][name]': course.title
+      });
+
+      const { data } = await api.post('/checkout/sessions', params, {
+        headers: { 'Idempotency-Key': `checkout-${order._id}` }
+      });
+
+      return { reference: data.id, checkoutUrl: data.url };
+    },
+
+    parseWebhook: (req) => {
+      verifySignature(req.rawBody, req.headers['stripe-signature']);
+
+      const { type, data } = req.body;
+      const object = data && data.object ? data.object : {};
+
+      switch (type) {
+        case 'checkout.session.completed':
+          // Con medios de pago diferidos el pago se confirma en async_payment_succeeded
+          return object.payment_status === 'paid'
+            ? { type: 'paid', reference: object.id, paymentId: object.payment_intent }
+            : { type: 'ignored' };
+        case 'checkout.session.async_payment_succeeded':
+          return { type: 'paid', reference: object.id, paymentId: object.payment_intent };
+        case 'checkout.session.async_payment_failed':
+        case 'checkout.session.expired':
+          return { type: 'failed', reference: object.id };
+        case 'charge.refunded':
+          return object.refunded
+            ? { type: 'refunded', paymentId: object.payment_intent }
+            : { type: 'ignored' };
+        default:
+          return { type: 'ignored' };
+      }
+    },
+
+    refund: async (order) => {
+      const params = new URLSearchParams({ payment_intent: order.providerPaymentId });
+      const { data } = await api.post('/refunds', params, {
+        headers: { 'Idempotency-Key': `refund-${order._id}` }
+      });
+      return { refundId: data.id };
+    }
+  };
+};
+
+// Proveedor falso (desarrollo y tests): no cobra nada
+// El pago se confirma enviando { type: 'paid', reference } a /api/orders/webhooks/fake,
+// sin firma: solo se acepta con PAYMENT_PROVIDER=fake explícito y fuera de producción
+const createFakeProvider = () => ({
+  name: 'fake',
+
+  createCheckout: async ({ order, successUrl }) => {
+    const reference = `fake_${crypto.randomBytes(12).toString('hex')}`;
+    const url = new URL(successUrl);
+    url.searchParams.set('reference', reference);
+    return { reference, checkoutUrl: url.toString() };
+  },
+
+  parseWebhook: (req) => {
+    if (process.env.PAYMENT_PROVIDER !== 'fake' || process.env.NODE_ENV === 'production') {
+      throw new PaymentError(404, 'Proveedor de pagos no configurado');
+    }
+
+    const { type, reference, paymentId } = req.body;
+    if (!['paid', 'failed', 'refunded'].includes(type)) {
+      return { type: 'ignored' };
+    }
+    return { type, reference, paymentId: paymentId || reference };
+  },
+
+  refund: async (order) => ({ refundId: `fake_refund_${order._id}` })
+});
+
+// Proveedores admitidos en PAYMENT_PROVIDER
+const PAYMENT_PROVIDERS = {
+  stripe: createStripeProvider,
+  fake: createFakeProvider
+};
+
+// Función para obtener el problema de configuración de pagos (null si PAYMENT_PROVIDER es válido)
+// No hay proveedor por defecto: un despliegue sin configurar no debe quedar con el falso,
+// cuyo webhook sin firma permitiría inscribirse sin pagar
+const getPaymentConfigError = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+
+  if (!PAYMENT_PROVIDERS[name]) {
+    return `PAYMENT_PROVIDER debe ser uno de: ${Object.keys(PAYMENT_PROVIDERS).join(', ')}`;
+  }
+  if (name === 'stripe' && (!process.env.STRIPE_SECRET_KEY || !process.env.STRIPE_WEBHOOK_SECRET)) {
+    return 'PAYMENT_PROVIDER=stripe requiere STRIPE_SECRET_KEY y STRIPE_WEBHOOK_SECRET';
+  }
+
+  return null;
+};
+
+// Función para crear el proveedor según PAYMENT_PROVIDER (stripe | fake)
+// Sin configuración válida lanza PaymentError 503: solo las rutas de pago quedan deshabilitadas
+const createProvider = () => {
+  if (getPaymentConfigError()) {
+    throw new PaymentError(503, 'Pagos no configurados');
+  }
+
+  return PAYMENT_PROVIDERS[process.env.PAYMENT_PROVIDER]();
+};
+
+let provider = null;
+
+// Función para obtener el proveedor actual (se crea bajo demanda)
+const getPaymentProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+};
+
+// Función para reemplazar el proveedor (útil en tests)
+const setPaymentProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+module.exports = {
+  PAYMENT_CURRENCY,
+  PaymentError,
+  getPaymentConfigError,
+  getPaymentProvider,
+  setPaymentProvider
+};
@@ -0,0 +1,80 @@
+// Conjuntos de permisos por rol
+// Cada acción tiene un alcance:
+//   'any'   -> sobre cualquier recurso
+//   'own'   -> solo en cursos donde el usuario es instructor o co-instructor
+//   'owner' -> solo en cursos donde el usuario es el instructor principal
+const ROLE_PERMISSIONS = {
+  admin: {
+    course: { create: 'any', update: 'any', delete: 'any', manageInstructors: 'any', viewContent: 'any', publish: 'any', archive: 'any' },
+    video: { upload: 'any', update: 'any', delete: 'any' },
+    file: { upload: 'any', update: 'any', delete: 'any' },
+    user: { read: 'any', manage: 'any' },
+    review: { moderate: 'any' },
+    order: { read: 'any', refund: 'any' },
+    coupon: { manage: 'any' },
+    enrollment: { read: 'any', manage: 'any' }
+  },
+  instructor: {
+    course: { create: 'any', update: 'own', delete: 'owner', manageInstructors: 'owner', viewContent: 'own', archive: 'owner' },
+    video: { upload: 'own', update: 'own', delete: 'own' },
+    file: { upload: 'own', update: 'own', delete: 'own' }
+  },
+  student: {}
+};
+
+// Función para obtener el alcance de una acción para un rol (null si no está permitida)
+const getPermissionScope = (role, resource, action) => {
+  const resources = ROLE_PERMISSIONS[role] || {};
+  return (resources[resource] && resources[resource][action]) || null;
+};
+
+// Función para listar los permisos de un rol como 'recurso:acción:alcance'
+const getRolePermissions = (role) => {
+  const resources = ROLE_PERMISSIONS[role] || {};
+  return Object.entries(resources).flatMap(([resource, actions]) =>
+    Object.entries(actions).map(([action, scope]) => `${resource}:${action}:${scope}`)
+  );
+};
+
+// Función para obtener el id de una referencia, esté poblada o no
+const refId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Función para saber si el usuario es el instructor principal del curso
+const isCourseOwner = (user, course) => {
+  return !!course && refId(course.instructor)?.toString() === user._id.toString();
+};
+
+// Función para saber si el usuario es instructor o co-instructor del curso
+const isCourseInstructor = (user, course) => {
+  if (!course) return false;
+  if (isCourseOwner(user, course)) return true;
+  return (course.coInstructors || []).some(instructor =>
+    refId(instructor).toString() === user._id.toString()
+  );
+};
+
+// Función para verificar un permiso, opcionalmente sobre un curso concreto
+const hasPermission = (user, resource, action, course = null) => {
+  if (!user) return false;
+
+  const scope = getPermissionScope(user.role, resource, action);
+
+  if (!scope) return false;
+  if (scope === 'any') return true;
+  if (!course) return false;
+  if (scope === 'owner') return isCourseOwner(user, course);
+  return isCourseInstructor(user, course);
+};
+
+// Función para saber si el usuario puede ver el contenido de un curso sin estar inscrito
+const canManageCourse = (user, course) => hasPermission(user, 'course', 'viewContent', course);
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  getPermissionScope,
+  getRolePermissions,
+  isCourseOwner,
+  isCourseInstructor,
+  hasPermission,
+  canManageCourse
+};
@@ -0,0 +1,101 @@
+const RateLimit = require('../models/RateLimit');
+
+// Cada store expone la misma interfaz:
+//   increment(key, windowMs) -> { count, resetAt }
+//   get(key)                 -> { count, resetAt } | null
+//   reset(key)
+
+// Store en memoria: válido para un único nodo
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  // Limpiar periódicamente las ventanas vencidas
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt.getTime() <= now) entries.delete(key);
+    }
+  }, 60 * 1000);
+  cleanup.unref();
+
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if (!entry || entry.resetAt.getTime() <= Date.now()) return null;
+    return { ...entry };
+  };
+
+  return {
+    name: 'memory',
+    get,
+    increment: async (key, windowMs) => {
+      const current = await get(key);
+      const entry = current
+        ? { count: current.count + 1, resetAt: current.resetAt }
+        : { count: 1, resetAt: new Date(Date.now() + windowMs) };
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    reset: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+// Store en MongoDB: compartido entre varios nodos
+const createMongoStore = () => {
+  const get = async (key) => {
+    const doc = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } });
+    return doc ? { count: doc.count, resetAt: doc.resetAt } : null;
+  };
+
+  const increment = async (key, windowMs) => {
+    const now = new Date();
+
+    // Incrementar si la ventana sigue abierta
+    const current = await RateLimit.findOneAndUpdate(
+      { key, resetAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+    if (current) return { count: current.count, resetAt: current.resetAt };
+
+    // Abrir una ventana nueva (reemplaza la vencida si existe)
+    try {
+      const created = await RateLimit.findOneAndUpdate(
+        { key, resetAt: { $lte: now } },
+        { count: 1, resetAt: new Date(now.getTime() + windowMs) },
+        { new: true, upsert: true }
+      );
+      return { count: created.count, resetAt: created.resetAt };
+    } catch (error) {
+      // Otro nodo abrió la ventana al mismo tiempo: volver a intentar el incremento
+      if (error.code === 11000) return increment(key, windowMs);
+      throw error;
+    }
+  };
+
+  return {
+    name: 'mongo',
+    get,
+    increment,
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+};
+
+let store = null;
+
+// Función para obtener el store configurado en RATE_LIMIT_STORE (memory | mongo)
+const getStore = () => {
+  if (!store) {
+    store = process.env.RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+  }
+  return store;
+};
+
+module.exports = {
+  getStore,
+  createMemoryStore,
+  createMongoStore
+};
@@ -0,0 +1,15 @@
+// Función para escapar los caracteres especiales de una cadena antes de usarla en un RegExp
+// Evita que la entrada del usuario se interprete como expresión regular (inyección, ReDoS)
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Función para construir un RegExp que busca el texto literal (sin distinguir mayúsculas)
+// exact: true exige coincidencia completa en lugar de contener el texto
+const literalRegex = (value, { exact = false } = {}) => {
+  const pattern = escapeRegex(value);
+  return new RegExp(exact ? `^${pattern}$` : pattern, 'i');
+};
+
+module.exports = {
+  escapeRegex,
+  literalRegex
+};
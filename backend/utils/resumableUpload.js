@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const UploadSession = require('../models/UploadSession');
+const { VIDEO_MAX_SIZE, FILE_MAX_SIZE } = require('../middleware/upload');
+
+// Directorio de las subidas en curso
+const UPLOADS_TMP_DIR = path.join(__dirname, '../uploads/tmp');
+
+// Horas sin actividad tras las que se descarta una subida incompleta
+const UPLOAD_SESSION_HOURS = parseInt(process.env.UPLOAD_SESSION_HOURS) || 24;
+
+// Tamaño máximo por tipo (las subidas reanudables permiten archivos más grandes)
+const RESUMABLE_MAX_SIZE = {
+  video: (parseInt(process.env.RESUMABLE_VIDEO_MAX_MB) * 1024 * 1024) || VIDEO_MAX_SIZE,
+  file: (parseInt(process.env.RESUMABLE_FILE_MAX_MB) * 1024 * 1024) || FILE_MAX_SIZE
+};
+
+// Algoritmos aceptados en el header Upload-Checksum (formato tus: "<algoritmo> <base64>")
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+
+// Errores que indican que el cliente cortó la conexión a mitad del fragmento
+const CONNECTION_ERRORS = ['ECONNRESET', 'ECONNABORTED', 'ERR_STREAM_PREMATURE_CLOSE'];
+
+// Subidas que están recibiendo un fragmento en este momento (evita escrituras concurrentes)
+const activeUploads = new Set();
+
+class UploadError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+  }
+}
+
+// Función para calcular el vencimiento de una subida a partir de ahora
+const nextExpiration = () => new Date(Date.now() + UPLOAD_SESSION_HOURS * 60 * 60 * 1000);
+
+// Función para interpretar el header Upload-Checksum
+const parseChecksumHeader = (header) => {
+  if (!header) return null;
+
+  const [algorithm, digest] = header.trim().split(/\s+/);
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+    throw new UploadError(400, `Upload-Checksum inválido. Algoritmos: ${CHECKSUM_ALGORITHMS.join(', ')}`);
+  }
+
+  return { algorithm, digest };
+};
+
+// Función para escribir un fragmento al final del archivo temporal
+// Devuelve el nuevo offset. Si la conexión se corta, se conservan los bytes recibidos
+// (salvo que el fragmento traiga checksum, en cuyo caso se descarta completo)
+const appendChunk = async (session, req) => {
+  const sessionId = session._id.toString();
+
+  if (activeUploads.has(sessionId)) {
+    throw new UploadError(409, 'Ya se está recibiendo un fragmento para esta subida');
+  }
+
+  const checksum = parseChecksumHeader(req.headers['upload-checksum']);
+  const startOffset = session.receivedBytes;
+  const remaining = session.totalSize - startOffset;
+  const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+  let received = 0;
+
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > remaining) {
+        return callback(new UploadError(413, 'El fragmento excede el tamaño declarado'));
+      }
+      if (hash) hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  activeUploads.add(sessionId);
+
+  try {
+    await pipeline(req, limiter, fs.createWriteStream(session.tempPath, { flags: 'a' }));
+
+    if (checksum && hash.digest('base64') !== checksum.digest) {
+      throw new UploadError(460, 'El checksum del fragmento no coincide');
+    }
+  } catch (error) {
+    const connectionLost = CONNECTION_ERRORS.includes(error.code);
+
+    // Descartar el fragmento si no se puede verificar o es inválido
+    if (checksum || !connectionLost) {
+      await fs.promises.truncate(session.tempPath, startOffset);
+    }
+    if (!connectionLost) throw error;
+  } finally {
+    activeUploads.delete(sessionId);
+  }
+
+  const { size } = await fs.promises.stat(session.tempPath);
+  return size;
+};
+
+// Función para calcular el SHA-256 (hex) de un archivo
+const computeChecksum = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+// Función para descartar una subida y su archivo temporal
+const discardUpload = async (session) => {
+  await fs.promises.rm(session.tempPath, { force: true });
+  await UploadSession.findByIdAndDelete(session._id);
+};
+
+// Función para eliminar las subidas abandonadas
+const cleanupExpiredUploads = async () => {
+  const expired = await UploadSession.find({ expiresAt: { $lte: new Date() } });
+
+  for (const session of expired) {
+    if (activeUploads.has(session._id.toString())) continue;
+    await discardUpload(session);
+  }
+
+  if (expired.length > 0) {
+    console.log(`🧹 ${expired.length} subida(s) incompleta(s) eliminada(s)`);
+  }
+};
+
+// Función para programar la limpieza periódica de subidas abandonadas
+const scheduleUploadCleanup = () => {
+  const run = () => cleanupExpiredUploads().catch(error =>
+    console.error('Error limpiando subidas incompletas:', error)
+  );
+
+  run();
+  setInterval(run, 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+  UPLOADS_TMP_DIR,
+  RESUMABLE_MAX_SIZE,
+  UploadError,
+  nextExpiration,
+  appendChunk,
+  computeChecksum,
+  discardUpload,
+  scheduleUploadCleanup
+};
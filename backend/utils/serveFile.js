@@ -0,0 +1,148 @@
+const fs = require('fs');
+const { pipeline } = require('stream');
+
+// Función para generar el ETag de un archivo a partir de tamaño y fecha de modificación
+const buildETag = (stat) => `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+
+// Función para comparar una fecha HTTP con la fecha de modificación (precisión de segundos)
+const isNotModifiedSince = (header, mtime) => {
+  const since = Date.parse(header);
+  return !isNaN(since) && Math.floor(mtime.getTime() / 1000) <= Math.floor(since / 1000);
+};
+
+// Función para saber si la copia del cliente sigue vigente (If-None-Match / If-Modified-Since)
+const isFresh = (req, etag, mtime) => {
+  const ifNoneMatch = req.headers['if-none-match'];
+
+  if (ifNoneMatch) {
+    return ifNoneMatch.trim() === '*' ||
+      ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+  }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  return !!ifModifiedSince && isNotModifiedSince(ifModifiedSince, mtime);
+};
+
+// Función para saber si se debe respetar el header Range según If-Range
+const isRangeFresh = (req, etag, mtime) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  // If-Range con ETag: comparación fuerte
+  if (ifRange.includes('"')) {
+    return ifRange.trim() === etag;
+  }
+
+  // If-Range con fecha: debe coincidir exactamente con Last-Modified
+  const date = Date.parse(ifRange);
+  return !isNaN(date) && Math.floor(mtime.getTime() / 1000) === Math.floor(date / 1000);
+};
+
+// Función para interpretar el header Range (solo se admite un rango)
+// Devuelve null si no hay rango utilizable, 'unsatisfiable' o { start, end }
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Rango sufijo: los últimos N bytes (bytes=-500)
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return 'unsatisfiable';
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    // Rango abierto (bytes=100-) o cerrado (bytes=100-200)
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    if (match[2] !== '' && parseInt(match[2], 10) < start) return null;
+  }
+
+  if (start >= size || size === 0) return 'unsatisfiable';
+
+  return { start, end };
+};
+
+// Función para construir Content-Disposition con soporte de nombres no ASCII (RFC 6266)
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+// Función para servir un archivo del disco con soporte de rangos, caché condicional y HEAD
+// Devuelve { status, start, end } para que la ruta pueda registrar estadísticas, o null
+// si el archivo no existe (la ruta decide cómo responder)
+const serveFile = async (req, res, { filePath, contentType, filename, disposition }) => {
+  let stat;
+  try {
+    stat = await fs.promises.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const size = stat.size;
+  const etag = buildETag(stat);
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', stat.mtime.toUTCString());
+  res.setHeader('Cache-Control', 'private, max-age=0, must-revalidate');
+  res.setHeader('Content-Type', contentType || 'application/octet-stream');
+  if (disposition) {
+    res.setHeader('Content-Disposition', contentDisposition(disposition, filename));
+  }
+
+  if (isFresh(req, etag, stat.mtime)) {
+    res.removeHeader('Content-Type');
+    res.status(304).end();
+    return { status: 304 };
+  }
+
+  let status = 200;
+  let start = 0;
+  let end = size - 1;
+
+  if (req.headers.range && isRangeFresh(req, etag, stat.mtime)) {
+    const range = parseRange(req.headers.range, size);
+
+    if (range === 'unsatisfiable') {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      res.removeHeader('Content-Type');
+      res.status(416).end();
+      return { status: 416 };
+    }
+
+    if (range) {
+      status = 206;
+      start = range.start;
+      end = range.end;
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+  }
+
+  res.setHeader('Content-Length', size === 0 ? 0 : end - start + 1);
+  res.status(status);
+
+  if (req.method === 'HEAD' || size === 0) {
+    res.end();
+    return { status, start, end };
+  }
+
+  // pipeline cierra el archivo si el cliente aborta o si falla la lectura
+  const stream = fs.createReadStream(filePath, { start, end });
+  pipeline(stream, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Error enviando archivo:', error.message);
+    }
+  });
+
+  return { status, start, end };
+};
+
+module.exports = {
+  serveFile,
+  parseRange
+};
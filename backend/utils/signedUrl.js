@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// Vigencia por defecto de las URLs firmadas (segundos)
+const SIGNED_URL_TTL = {
+  video: parseInt(process.env.STREAM_URL_TTL) || 4 * 60 * 60, // Cubre una sesión de reproducción con seeks
+  file: parseInt(process.env.DOWNLOAD_URL_TTL) || 5 * 60
+};
+
+// Función para obtener la clave HMAC de las URLs firmadas
+const getSigningKey = () => process.env.SIGNED_URL_SECRET || process.env.JWT_SECRET;
+
+// Función para calcular la firma de un recurso ligado a un usuario
+// Incluye tokenVersion para que "cerrar todas las sesiones" invalide también las URLs
+const computeSignature = (type, resourceId, userId, tokenVersion, expires) => {
+  return crypto
+    .createHmac('sha256', getSigningKey())
+    .update(`${type}:${resourceId}:${userId}:${tokenVersion}:${expires}`)
+    .digest('hex');
+};
+
+// Función para generar la query firmada de un recurso
+const signResource = (type, resourceId, user, ttl = SIGNED_URL_TTL[type]) => {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const sig = computeSignature(type, resourceId, user._id, user.tokenVersion || 0, expires);
+
+  return {
+    query: new URLSearchParams({ expires, uid: user._id.toString(), sig }).toString(),
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+// Función para validar la firma de una petición (no verifica el usuario, solo la firma)
+const verifySignature = (type, resourceId, { expires, uid, sig }, tokenVersion) => {
+  if (!expires || !uid || !sig || !/^[a-f0-9]{64}$/.test(sig)) return false;
+  if (parseInt(expires) < Math.floor(Date.now() / 1000)) return false;
+
+  const expected = computeSignature(type, resourceId, uid, tokenVersion, expires);
+  return crypto.timingSafeEqual(Buffer.from(sig, 'hex'), Buffer.from(expected, 'hex'));
+};
+
+module.exports = {
+  signResource,
+  verifySignature
+};
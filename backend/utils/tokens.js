@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { hashToken, generateRandomToken } = require('./hash');
+
+// Duración del access token (formato de jsonwebtoken, ej: '15m', '1h')
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// Duración del refresh token en días
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Error de negocio para refresh tokens inválidos, revocados o expirados
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+// Función para generar un access token JWT de corta duración
+const generateAccessToken = (user) => {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+// Función para crear y guardar un refresh token
+const createRefreshToken = async (user, req, family) => {
+  const { token, hash } = generateRandomToken(48);
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+  const refreshToken = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hash,
+    family: family || crypto.randomUUID(),
+    expiresAt,
+    userAgent: req ? req.get('User-Agent') || '' : '',
+    ip: req ? req.ip || '' : ''
+  });
+
+  return { token, document: refreshToken };
+};
+
+// Función para iniciar una sesión nueva (login, registro)
+const issueSession = async (user, req) => {
+  const { token: refreshToken, document } = await createRefreshToken(user, req);
+
+  return {
+    token: generateAccessToken(user),
+    refreshToken,
+    refreshTokenExpiresAt: document.expiresAt
+  };
+};
+
+// Función para rotar un refresh token: revoca el actual y emite uno nuevo de la misma familia
+// El token se reclama con una actualización condicional: de dos rotaciones en paralelo
+// con el mismo token, solo una lo consigue y la otra se trata como reutilización
+const rotateRefreshToken = async (token, req) => {
+  const tokenHash = hashToken(token);
+  const existing = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date() }
+  );
+
+  if (!existing) {
+    const current = await RefreshToken.findOne({ tokenHash });
+
+    if (!current) {
+      throw new TokenError('Refresh token inválido');
+    }
+
+    // Reutilización de un token ya rotado: posible robo, se revoca toda la familia
+    if (current.revokedAt) {
+      await RefreshToken.updateMany(
+        { family: current.family, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      throw new TokenError('Refresh token revocado');
+    }
+
+    throw new TokenError('Refresh token expirado');
+  }
+
+  const user = await User.findById(existing.user).select('-password');
+
+  if (!user || !user.isActive) {
+    await revokeAllSessions(existing.user);
+    throw new TokenError('Usuario inactivo');
+  }
+
+  const { token: newToken, document } = await createRefreshToken(user, req, existing.family);
+
+  await RefreshToken.updateOne({ _id: existing._id }, { replacedBy: document.tokenHash });
+
+  return {
+    user,
+    token: generateAccessToken(user),
+    refreshToken: newToken,
+    refreshTokenExpiresAt: document.expiresAt
+  };
+};
+
+// Función para revocar un refresh token concreto (logout de un dispositivo)
+const revokeRefreshToken = async (token) => {
+  const result = await RefreshToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return !!result;
+};
+
+// Función para revocar todas las sesiones de un usuario
+// Incrementa tokenVersion para invalidar también los access tokens ya emitidos
+// y devuelve la nueva versión
+const revokeAllSessions = async (userId) => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  ).select('tokenVersion');
+  return user ? user.tokenVersion : 0;
+};
+
+module.exports = {
+  TokenError,
+  ACCESS_TOKEN_EXPIRES_IN,
+  generateAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions
+};
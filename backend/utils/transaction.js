@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Códigos de error de MongoDB cuando el servidor no admite transacciones (instancia standalone)
+const TRANSACTIONS_UNSUPPORTED = [20, 263];
+
+// Función para ejecutar operaciones dentro de una transacción
+// fn recibe la sesión (o null) y debe pasarla a cada operación ({ session })
+// En un MongoDB standalone (sin replica set) se ejecuta sin transacción
+const runInTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (error) {
+    if (TRANSACTIONS_UNSUPPORTED.includes(error.code)) {
+      return fn(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  runInTransaction
+};
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const Video = require('../models/Video');
+const Course = require('../models/Course');
+const { runFfmpeg } = require('./ffmpeg');
+const { extractMetadata, generatePoster, generateSprite } = require('./videoMetadata');
+
+// Permite desactivar la transcodificación HLS (los videos se sirven tal cual se subieron)
+const HLS_ENABLED = process.env.HLS_ENABLED !== 'false';
+
+// Cantidad de transcodificaciones simultáneas
+const TRANSCODE_CONCURRENCY = parseInt(process.env.TRANSCODE_CONCURRENCY) || 1;
+
+// Duración de cada segmento HLS en segundos
+const HLS_SEGMENT_SECONDS = 6;
+
+// Directorio base de las salidas HLS
+const HLS_ROOT = path.join(__dirname, '../uploads/hls');
+
+// Escalera de calidades. Solo se generan las que no superan la altura original
+const HLS_LADDER = [
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 }
+];
+
+const queue = [];
+let running = 0;
+
+// Función para elegir las calidades según la altura del video original
+const selectRenditions = (sourceHeight) => {
+  const renditions = HLS_LADDER.filter(rung => !sourceHeight || rung.height <= sourceHeight);
+  // Un video más pequeño que la menor calidad se transcodifica al menos a esa
+  return renditions.length ? renditions : [HLS_LADDER[0]];
+};
+
+// Función para construir los argumentos de ffmpeg que generan todas las variantes en una pasada
+const buildHlsArgs = (inputPath, outputDir, renditions, hasAudio) => {
+  const split = renditions.map((_, i) => `[v${i}]`).join('');
+  const scales = renditions.map((rung, i) => `[v${i}]scale=-2:${rung.height}[v${i}out]`).join(';');
+
+  const args = [
+    '-y',
+    '-i', inputPath,
+    '-filter_complex', `[0:v]split=${renditions.length}${split};${scales}`
+  ];
+
+  renditions.forEach((rung, i) => {
+    args.push(
+      '-map', `[v${i}out]`,
+      `-c:v:${i}`, 'libx264',
+      `-b:v:${i}`, `${rung.videoBitrate}k`,
+      `-maxrate:v:${i}`, `${Math.round(rung.videoBitrate * 1.07)}k`,
+      `-bufsize:v:${i}`, `${rung.videoBitrate * 1.5}k`
+    );
+    if (hasAudio) {
+      args.push('-map', 'a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, `${rung.audioBitrate}k`);
+    }
+  });
+
+  if (hasAudio) {
+    args.push('-ac', '2');
+  }
+
+  const streamMap = renditions
+    .map((rung, i) => (hasAudio ? `v:${i},a:${i},name:${rung.name}` : `v:${i},name:${rung.name}`))
+    .join(' ');
+
+  args.push(
+    '-preset', 'veryfast',
+    '-pix_fmt', 'yuv420p',
+    // Keyframes alineados en todas las variantes para poder cambiar de calidad
+    '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+    '-f', 'hls',
+    '-hls_time', String(HLS_SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(outputDir, '%v', 'segment_%04d.ts'),
+    '-master_pl_name', 'master.m3u8',
+    '-var_stream_map', streamMap,
+    path.join(outputDir, '%v', 'index.m3u8')
+  );
+
+  return args;
+};
+
+// Función para transcodificar un video a HLS. Devuelve los campos a guardar
+const transcodeToHls = async (video, metadata) => {
+  const outputDir = path.join(HLS_ROOT, video._id.toString());
+  const renditions = selectRenditions(metadata.height);
+
+  try {
+    // Empezar desde un directorio limpio por si hubo un intento anterior
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+    await Promise.all(renditions.map(rung =>
+      fs.promises.mkdir(path.join(outputDir, rung.name), { recursive: true })
+    ));
+
+    await runFfmpeg(buildHlsArgs(video.filePath, outputDir, renditions, metadata.hasAudio));
+  } catch (error) {
+    await fs.promises.rm(outputDir, { recursive: true, force: true }).catch(() => {});
+    throw error;
+  }
+
+  const aspectRatio = metadata.width && metadata.height ? metadata.width / metadata.height : 16 / 9;
+
+  return {
+    hlsPath: outputDir,
+    renditions: renditions.map(rung => ({
+      name: rung.name,
+      width: Math.round((rung.height * aspectRatio) / 2) * 2,
+      height: rung.height,
+      bandwidth: (rung.videoBitrate + (metadata.hasAudio ? rung.audioBitrate : 0)) * 1000
+    }))
+  };
+};
+
+// Función para generar póster y sprite. Un fallo aquí no invalida el video
+const generateImages = async (video, metadata) => {
+  const update = {};
+
+  try {
+    update.thumbnailPath = await generatePoster(video, metadata);
+    const sprite = await generateSprite(video, metadata);
+    if (sprite) update.sprite = sprite;
+  } catch (error) {
+    console.warn(`No se pudieron generar las miniaturas del video ${video._id}:`, error.message);
+  }
+
+  return update;
+};
+
+// Función para procesar un video: metadatos, miniaturas y (si está activo) HLS
+const processVideo = async (videoId) => {
+  const video = await Video.findById(videoId);
+  if (!video) return;
+
+  try {
+    const metadata = await extractMetadata(video.filePath);
+    const { hasAudio, duration, ...details } = metadata;
+
+    const images = await generateImages(video, metadata);
+    const hls = HLS_ENABLED ? await transcodeToHls(video, metadata) : {};
+
+    await Video.findByIdAndUpdate(video._id, {
+      duration,
+      metadata: details,
+      ...images,
+      ...hls,
+      status: 'ready',
+      processingError: '',
+      processedAt: new Date()
+    });
+
+    const renditions = hls.renditions ? ` - HLS: ${hls.renditions.map(rung => rung.name).join(', ')}` : '';
+    console.log(`🎞️  Video ${video._id} procesado (${duration}s, ${details.width}x${details.height})${renditions}`);
+  } catch (error) {
+    console.error(`Error procesando video ${video._id}:`, error.message);
+    await Video.findByIdAndUpdate(video._id, {
+      status: 'failed',
+      processingError: error.message
+    });
+  }
+
+  // La duración del curso depende de la de sus videos
+  await Course.recalculateDuration(video.course);
+};
+
+// Función para procesar la cola respetando la concurrencia configurada
+const processQueue = () => {
+  while (running < TRANSCODE_CONCURRENCY && queue.length > 0) {
+    const videoId = queue.shift();
+    running += 1;
+
+    processVideo(videoId)
+      .catch(error => console.error('Error en la cola de procesamiento:', error))
+      .finally(() => {
+        running -= 1;
+        processQueue();
+      });
+  }
+};
+
+// Función para encolar un video (no espera a que termine el procesamiento)
+const enqueueProcessing = (videoId) => {
+  const id = videoId.toString();
+  if (!queue.includes(id)) {
+    queue.push(id);
+  }
+  processQueue();
+};
+
+// Función para reencolar los videos que quedaron en proceso al reiniciar el servidor
+const resumePendingProcessing = async () => {
+  const pending = await Video.find({ status: 'processing' }).select('_id');
+  pending.forEach(video => enqueueProcessing(video._id));
+
+  if (pending.length > 0) {
+    console.log(`🎞️  ${pending.length} video(s) reencolados para procesamiento`);
+  }
+};
+
+// Función para eliminar la salida HLS de un video
+const deleteHlsOutput = async (video) => {
+  if (video.hlsPath) {
+    await fs.promises.rm(video.hlsPath, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  HLS_ENABLED,
+  enqueueProcessing,
+  resumePendingProcessing,
+  deleteHlsOutput
+};
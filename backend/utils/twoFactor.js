@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { generateSecret, generateURI, verify } = require('otplib');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+
+// Nombre que muestran las apps de autenticación
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Cursillos';
+
+// Vigencia del challenge token entre el login y la verificación del código
+const CHALLENGE_EXPIRES_IN = '5m';
+
+// Cantidad de códigos de recuperación generados
+const RECOVERY_CODE_COUNT = 10;
+
+// Clave de la política de roles que requieren 2FA
+const POLICY_KEY = 'twoFactorRequiredRoles';
+
+// Función para obtener la clave de cifrado de los secretos TOTP
+const getEncryptionKey = () => {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+};
+
+// Función para cifrar un secreto TOTP (AES-256-GCM)
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+// Función para descifrar un secreto TOTP
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Función para generar un secreto nuevo con su URI otpauth y el QR correspondiente
+const createEnrollment = async (user) => {
+  const secret = generateSecret();
+  const otpauthUrl = generateURI({ issuer: TWO_FACTOR_ISSUER, label: user.email, secret });
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+// Función para verificar un código TOTP
+// Rechaza códigos de un intervalo ya usado para evitar reutilización
+const verifyTotp = async (encryptedSecret, code, lastUsedStep = 0) => {
+  const token = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(token)) return { valid: false };
+
+  const result = await verify({
+    secret: decryptSecret(encryptedSecret),
+    token,
+    epochTolerance: 30 // Acepta el intervalo anterior y el siguiente
+  });
+
+  if (!result.valid || result.timeStep <= lastUsedStep) {
+    return { valid: false };
+  }
+
+  return { valid: true, timeStep: result.timeStep };
+};
+
+// Función para generar códigos de recuperación (en claro para el usuario, hasheados para la BD)
+const generateRecoveryCodes = async () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const hashes = await Promise.all(codes.map(code => bcrypt.hash(code, 10)));
+
+  return {
+    codes,
+    recoveryCodes: hashes.map(hash => ({ hash, usedAt: null }))
+  };
+};
+
+// Función para consumir un código de recuperación (devuelve true si era válido y no usado)
+// El código se marca con una actualización condicional para que no sirva a dos peticiones simultáneas
+const consumeRecoveryCode = async (user, code) => {
+  const normalized = String(code || '').trim().toLowerCase();
+
+  for (const recoveryCode of user.twoFactorRecoveryCodes) {
+    if (!recoveryCode.usedAt && await bcrypt.compare(normalized, recoveryCode.hash)) {
+      const usedAt = new Date();
+      const { modifiedCount } = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: { $elemMatch: { hash: recoveryCode.hash, usedAt: null } } },
+        { $set: { 'twoFactorRecoveryCodes.$.usedAt': usedAt } }
+      );
+      if (modifiedCount === 0) return false;
+
+      recoveryCode.usedAt = usedAt;
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Función para crear el challenge token que se devuelve tras un login con 2FA pendiente
+const createChallengeToken = (user) => {
+  return jwt.sign(
+    { id: user._id, tv: user.tokenVersion || 0, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  );
+};
+
+// Función para validar un challenge token (lanza error si es inválido)
+const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== '2fa') {
+    throw new jwt.JsonWebTokenError('Challenge token inválido');
+  }
+
+  return decoded;
+};
+
+// Función para obtener los roles que deben usar 2FA
+// Por defecto se toma de TWO_FACTOR_REQUIRED_ROLES (separado por comas)
+const getRequiredRoles = async () => {
+  const defaultRoles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+  return Setting.getValue(POLICY_KEY, defaultRoles);
+};
+
+// Función para guardar los roles que deben usar 2FA
+const setRequiredRoles = async (roles, userId) => {
+  const setting = await Setting.setValue(POLICY_KEY, roles, userId);
+  return setting.value;
+};
+
+// Función para saber si la política exige 2FA al usuario
+const isTwoFactorRequired = async (user) => {
+  const roles = await getRequiredRoles();
+  return roles.includes(user.role);
+};
+
+module.exports = {
+  encryptSecret,
+  createEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  createChallengeToken,
+  verifyChallengeToken,
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired
+};
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { parseCsv } = require('./csv');
+const { generateRandomToken } = require('./hash');
+const { createInvitation } = require('./invitations');
+const { enrollUser } = require('./enrollment');
+
+// Máximo de filas (sin contar el encabezado) por importación
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 1000;
+
+// Columnas admitidas en el encabezado (en cualquier orden); solo email es obligatoria
+const IMPORT_COLUMNS = ['email', 'firstName', 'lastName', 'role', 'courseIds'];
+
+// Roles válidos según el modelo
+const ROLES = User.schema.path('role').enumValues;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class ImportError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = status;
+  }
+}
+
+// Función para normalizar el nombre de una columna (first_name, First Name -> firstname)
+const normalizeColumn = (name) => name.toLowerCase().replace(/[\s_-]/g, '');
+
+// Función para leer las filas del CSV según el encabezado
+// Lanza ImportError si el archivo no se puede importar
+const readRows = (text) => {
+  const [header, ...rows] = parseCsv(text);
+
+  if (!header) {
+    throw new ImportError(400, 'El archivo está vacío');
+  }
+
+  const columns = header.cells.map(name => IMPORT_COLUMNS.find(column => normalizeColumn(column) === normalizeColumn(name)));
+  const unknown = header.cells.filter((name, index) => !columns[index]);
+
+  if (unknown.length) {
+    throw new ImportError(400, `Columnas desconocidas: ${unknown.join(', ')}. Columnas admitidas: ${IMPORT_COLUMNS.join(', ')}`);
+  }
+  if (!columns.includes('email')) {
+    throw new ImportError(400, 'El encabezado debe incluir la columna email');
+  }
+  if (!rows.length) {
+    throw new ImportError(400, 'El archivo no tiene filas para importar');
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw new ImportError(400, `El archivo supera el máximo de ${IMPORT_MAX_ROWS} filas`);
+  }
+
+  return rows.map(({ line, cells }) => {
+    const values = Object.fromEntries(columns.map((column, index) => [column, cells[index] || '']));
+
+    return {
+      line,
+      email: values.email.toLowerCase(),
+      firstName: values.firstName || '',
+      lastName: values.lastName || '',
+      role: values.role ? values.role.toLowerCase() : '',
+      courseIds: [...new Set((values.courseIds || '').split(/[\s;|,]+/).filter(Boolean))]
+    };
+  });
+};
+
+// Función para validar las filas y armar el plan de la importación, sin modificar nada
+// Cada fila indica la acción (create, existing o skip si tiene errores) y los cursos en que se inscribirá
+const planImport = async (text) => {
+  const rows = readRows(text);
+
+  const emails = rows.map(row => row.email).filter(email => EMAIL_REGEX.test(email));
+  const courseIds = [...new Set(rows.flatMap(row => row.courseIds))].filter(id => mongoose.isValidObjectId(id));
+
+  const [users, courses] = await Promise.all([
+    User.find({ email: { $in: emails } }).select('email firstName lastName role isActive'),
+    Course.find({ _id: { $in: courseIds }, isActive: true })
+  ]);
+
+  const usersByEmail = new Map(users.map(user => [user.email, user]));
+  const coursesById = new Map(courses.map(course => [course._id.toString(), course]));
+
+  // Inscripciones vigentes de los usuarios existentes, para mostrar cuáles ya están hechas
+  const enrollments = users.length && courses.length
+    ? await Enrollment.find(Enrollment.activeFilter({
+      user: { $in: users.map(user => user._id) },
+      course: { $in: courses.map(course => course._id) }
+    })).select('user course')
+    : [];
+  const enrolledKeys = new Set(enrollments.map(enrollment => `${enrollment.user}:${enrollment.course}`));
+
+  const firstLineByEmail = new Map();
+
+  return rows.map(row => {
+    const errors = [];
+    const warnings = [];
+    const user = usersByEmail.get(row.email) || null;
+
+    if (!EMAIL_REGEX.test(row.email)) {
+      errors.push('Email inválido');
+    } else if (firstLineByEmail.has(row.email)) {
+      errors.push(`El email está repetido (línea ${firstLineByEmail.get(row.email)})`);
+    } else {
+      firstLineByEmail.set(row.email, row.line);
+    }
+
+    if (row.role && !ROLES.includes(row.role)) {
+      errors.push(`Rol inválido. Debe ser uno de: ${ROLES.join(', ')}`);
+    }
+
+    if (user) {
+      if (row.role && row.role !== user.role) {
+        warnings.push(`El usuario ya existe con rol ${user.role}; el rol no se cambia`);
+      }
+      if (!user.isActive) {
+        warnings.push('El usuario está desactivado');
+      }
+    } else if (!row.firstName || !row.lastName) {
+      errors.push('firstName y lastName son requeridos para crear el usuario');
+    }
+
+    const rowCourses = [];
+    for (const courseId of row.courseIds) {
+      const course = mongoose.isValidObjectId(courseId) ? coursesById.get(courseId) : null;
+
+      if (!course) {
+        errors.push(`El curso ${courseId} no existe`);
+        continue;
+      }
+
+      rowCourses.push({
+        course,
+        status: user && enrolledKeys.has(`${user._id}:${course._id}`) ? 'already_enrolled' : 'enroll'
+      });
+    }
+
+    return {
+      ...row,
+      role: user ? user.role : (row.role || 'student'),
+      user,
+      action: errors.length ? 'skip' : (user ? 'existing' : 'create'),
+      courses: rowCourses,
+      errors,
+      warnings
+    };
+  });
+};
+
+// Función para crear un usuario importado con una contraseña aleatoria
+// La elige al aceptar la invitación, que además confirma su email
+const createImportedUser = (row) => User.create({
+  email: row.email,
+  password: generateRandomToken().token,
+  firstName: row.firstName,
+  lastName: row.lastName,
+  role: row.role,
+  emailVerified: false
+});
+
+// Función para ejecutar el plan: crea los usuarios que faltan, los inscribe en los cursos
+// y envía las invitaciones. Las filas con errores se omiten; un fallo en una fila no detiene las demás
+const applyImport = async (plan, admin) => {
+  for (const row of plan) {
+    if (row.action === 'skip') continue;
+
+    try {
+      if (row.action === 'create') {
+        row.user = await createImportedUser(row);
+      }
+
+      for (const item of row.courses) {
+        const enrolled = await enrollUser(item.course, row.user._id, { source: 'import' });
+        item.status = enrolled ? 'enrolled' : 'already_enrolled';
+      }
+    } catch (error) {
+      if (error.code === 11000) {
+        row.errors.push('Ya existe un usuario con este email');
+      } else {
+        console.error(`Error importando la línea ${row.line}:`, error);
+        row.errors.push('No se pudo completar la fila');
+      }
+      if (!row.user) row.action = 'skip';
+      continue;
+    }
+
+    if (row.action === 'create') {
+      try {
+        await createInvitation({ email: row.user.email, role: row.user.role, user: row.user._id }, admin);
+      } catch (error) {
+        console.error(`Error enviando invitación de la línea ${row.line}:`, error);
+        row.errors.push('El usuario se creó pero no se pudo enviar la invitación: quedó pendiente sin enviar, reenvíala desde las invitaciones');
+      }
+    }
+  }
+
+  return plan;
+};
+
+// Función para dar formato a una fila del resultado
+const formatImportRow = (row) => ({
+  line: row.line,
+  email: row.email,
+  firstName: row.firstName || undefined,
+  lastName: row.lastName || undefined,
+  role: row.role,
+  action: row.action,
+  userId: row.user ? row.user._id : null,
+  courses: row.courses.map(({ course, status }) => ({
+    id: course._id,
+    title: course.title,
+    status
+  })),
+  errors: row.errors,
+  warnings: row.warnings
+});
+
+// Función para resumir el resultado de una importación
+const summarizeImport = (plan) => ({
+  rows: plan.length,
+  invalid: plan.filter(row => row.errors.length).length,
+  created: plan.filter(row => row.action === 'create').length,
+  existing: plan.filter(row => row.action === 'existing').length,
+  enrollments: plan.filter(row => row.action !== 'skip').reduce((total, row) =>
+    total + row.courses.filter(item => ['enroll', 'enrolled'].includes(item.status)).length, 0)
+});
+
+module.exports = {
+  IMPORT_COLUMNS,
+  ImportError,
+  planImport,
+  applyImport,
+  formatImportRow,
+  summarizeImport
+};
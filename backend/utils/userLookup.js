@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Función para buscar una lista de usuarios identificados por id (userIds) y/o por email (emails)
+// Devuelve un elemento por cada valor recibido, en el mismo orden: { field, value, user }
+// field es 'userId' o 'email' y user es null si no existe
+const resolveUsers = async (userIds = [], emails = []) => {
+  const requested = [
+    ...userIds.map(value => ({ field: 'userId', value: String(value) })),
+    ...emails.map(value => ({ field: 'email', value: String(value).toLowerCase().trim() }))
+  ];
+
+  const users = await User.find({
+    $or: [
+      { _id: { $in: requested.filter(item => item.field === 'userId' && mongoose.isValidObjectId(item.value)).map(item => item.value) } },
+      { email: { $in: requested.filter(item => item.field === 'email').map(item => item.value) } }
+    ]
+  }).select('firstName lastName fullName email');
+
+  return requested.map(item => ({
+    ...item,
+    user: users.find(user =>
+      item.field === 'email' ? user.email === item.value : user._id.toString() === item.value
+    ) || null
+  }));
+};
+
+// Función para aplicar una acción a cada usuario de resolveUsers, una sola vez por usuario
+// handler(user) devuelve el estado del resultado; los no encontrados y los repetidos se informan sin llamarlo
+// Devuelve { results, summary } con el resultado de cada valor recibido y la cantidad por estado
+const applyToUsers = async (resolved, handler) => {
+  const results = [];
+  const processed = new Set();
+
+  for (const { field, value, user } of resolved) {
+    let status;
+
+    if (!user) {
+      status = 'not_found';
+    } else if (processed.has(user._id.toString())) {
+      status = 'duplicate';
+    } else {
+      processed.add(user._id.toString());
+      status = await handler(user);
+    }
+
+    results.push({
+      [field]: value,
+      user: user ? { id: user._id, name: user.fullName, email: user.email } : null,
+      status
+    });
+  }
+
+  const summary = results.reduce((counts, result) => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+    return counts;
+  }, {});
+
+  return { results, summary };
+};
+
+module.exports = {
+  resolveUsers,
+  applyToUsers
+};
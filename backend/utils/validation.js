@@ -0,0 +1,7 @@
+// Función para validar que los campos del body sean textos no vacíos
+// (un array u objeto llegaría a toLowerCase, al hash o a la consulta)
+const hasText = (...values) => values.every(value => typeof value === 'string' && value !== '');
+
+module.exports = {
+  hasText
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { runFfmpeg, probe } = require('./ffmpeg');
+
+// Directorio de miniaturas (creado por middleware/upload.js)
+const THUMBNAILS_DIR = path.join(__dirname, '../uploads/thumbnails');
+
+// Ancho del póster y de cada cuadro del sprite
+const POSTER_WIDTH = 640;
+const SPRITE_TILE_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+
+// Cantidad máxima de cuadros del sprite y separación mínima entre ellos (segundos)
+const SPRITE_MAX_TILES = 100;
+const SPRITE_MIN_INTERVAL = 5;
+
+// Función para convertir una fracción de ffprobe ("30000/1001") a número
+const parseFrameRate = (value) => {
+  const [num, den] = String(value || '').split('/').map(Number);
+  if (!num || !den) return null;
+  return Math.round((num / den) * 100) / 100;
+};
+
+// Función para extraer duración, resolución, códecs y bitrate de un video
+const extractMetadata = async (filePath) => {
+  const info = await probe(filePath);
+  const videoStream = info.streams.find(stream => stream.codec_type === 'video');
+  const audioStream = info.streams.find(stream => stream.codec_type === 'audio');
+
+  if (!videoStream) {
+    throw new Error('El archivo no contiene una pista de video');
+  }
+
+  const duration = parseFloat(info.format.duration || videoStream.duration) || 0;
+
+  return {
+    duration: Math.round(duration),
+    width: videoStream.width || null,
+    height: videoStream.height || null,
+    videoCodec: videoStream.codec_name || '',
+    audioCodec: audioStream ? audioStream.codec_name : '',
+    bitrate: parseInt(info.format.bit_rate) || null,
+    frameRate: parseFrameRate(videoStream.avg_frame_rate || videoStream.r_frame_rate),
+    hasAudio: !!audioStream
+  };
+};
+
+// Función para calcular el alto par que conserva la relación de aspecto
+const scaledHeight = (width, metadata) => {
+  if (!metadata.width || !metadata.height) return Math.round((width * 9) / 16 / 2) * 2;
+  return Math.round((width * metadata.height) / metadata.width / 2) * 2;
+};
+
+// Función para generar el póster del video (un cuadro cerca del inicio)
+const generatePoster = async (video, metadata) => {
+  const outputPath = path.join(THUMBNAILS_DIR, `${video._id}.jpg`);
+  // Evitar el primer cuadro, que suele ser negro
+  const seek = Math.min(metadata.duration * 0.1, 10);
+
+  await runFfmpeg([
+    '-y',
+    '-ss', seek.toFixed(2),
+    '-i', video.filePath,
+    '-frames:v', '1',
+    '-vf', `scale=${POSTER_WIDTH}:${scaledHeight(POSTER_WIDTH, metadata)}`,
+    '-q:v', '3',
+    outputPath
+  ]);
+
+  return outputPath;
+};
+
+// Función para generar el sprite (storyboard) con cuadros a intervalos regulares
+const generateSprite = async (video, metadata) => {
+  if (!metadata.duration) return null;
+
+  const interval = Math.max(SPRITE_MIN_INTERVAL, Math.ceil(metadata.duration / SPRITE_MAX_TILES));
+  const count = Math.ceil(metadata.duration / interval);
+  const columns = Math.min(SPRITE_COLUMNS, count);
+  const rows = Math.ceil(count / columns);
+  const tileHeight = scaledHeight(SPRITE_TILE_WIDTH, metadata);
+  const outputPath = path.join(THUMBNAILS_DIR, `${video._id}-sprite.jpg`);
+
+  await runFfmpeg([
+    '-y',
+    '-i', video.filePath,
+    '-vf', `fps=1/${interval},scale=${SPRITE_TILE_WIDTH}:${tileHeight},tile=${columns}x${rows}`,
+    '-frames:v', '1',
+    '-q:v', '5',
+    outputPath
+  ]);
+
+  return {
+    path: outputPath,
+    interval,
+    count,
+    columns,
+    rows,
+    tileWidth: SPRITE_TILE_WIDTH,
+    tileHeight
+  };
+};
+
+// Función para formatear segundos como marca de tiempo WebVTT (HH:MM:SS.mmm)
+const formatVttTime = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${seconds.toFixed(3).padStart(6, '0')}`;
+};
+
+// Función para construir el WebVTT que describe el sprite (formato de previsualización de los reproductores)
+const buildStoryboardVtt = (sprite, duration, imageUrl) => {
+  const cues = [];
+
+  for (let i = 0; i < sprite.count; i++) {
+    const start = i * sprite.interval;
+    const end = Math.min(start + sprite.interval, duration || start + sprite.interval);
+    const x = (i % sprite.columns) * sprite.tileWidth;
+    const y = Math.floor(i / sprite.columns) * sprite.tileHeight;
+
+    cues.push(`${formatVttTime(start)} --> ${formatVttTime(end)}\n${imageUrl}#xywh=${x},${y},${sprite.tileWidth},${sprite.tileHeight}`);
+  }
+
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+};
+
+// Función para eliminar el póster y el sprite generados de un video
+const deleteGeneratedImages = async (video) => {
+  const paths = [video.thumbnailPath, video.sprite && video.sprite.path].filter(Boolean);
+  await Promise.all(paths.map(filePath => fs.promises.rm(filePath, { force: true })));
+};
+
+module.exports = {
+  extractMetadata,
+  generatePoster,
+  generateSprite,
+  buildStoryboardVtt,
+  deleteGeneratedImages
+};